@@ -1,18 +1,23 @@
 const { Vec3 } = require('vec3');
+const EntityTracker = require('./entityTracker');
 
 class EnvironmentPerception {
-    constructor(bot, maxDistance = 256) {
+    // memoryMap: 可传入共享的记忆地图，编队内的感知系统写入同一份世界记忆
+    constructor(bot, maxDistance = 256, memoryMap = new Map()) {
         this.bot = bot;
         this.maxDistance = Math.min(maxDistance,256);
         this.visibleBlocks = new Map();
         this.blockCache = new Map();
-        this.memoryMap = new Map();
+        this.memoryMap = memoryMap;
         this.lastUpdateTime = 0;
         this.updateInterval = 200;
         this.lastBotPosition = null;
         this.movementThreshold = 1.0;
         this.lastBotYaw = null;
         
+        // 运动实体(玩家、生物、掉落物)的位置与速度
+        this.entities = new EntityTracker(bot);
+        
         // 放宽视线感知配置
         this.visionConfig = {
             scanRadius: this.maxDistance,
@@ -386,6 +391,26 @@ class EnvironmentPerception {
         return foundBlocks;
     }
 
+    // 候选方块数受 maxBlocksToCheck 限制，按 generateCandidateBlocks 的采样顺序估算实际覆盖的水平半径
+    getEffectiveScanRadius() {
+        const { scanRadius, verticalScanRange, maxBlocksToCheck } = this.visionConfig;
+        const layers = verticalScanRange + 3;
+        const columns = new Set();
+        let radius = 0;
+        for (let r = 1; r <= scanRadius; r += (r < 8 ? 1 : (r < 20 ? 2 : 3))) {
+            for (let angle = 0; angle < 360; angle += 10) {
+                const x = Math.floor(0.5 + r * Math.cos(angle * Math.PI / 180));
+                const z = Math.floor(0.5 + r * Math.sin(angle * Math.PI / 180));
+                columns.add(`${x},${z}`);
+            }
+            if (columns.size * layers > maxBlocksToCheck) {
+                break;
+            }
+            radius = r;
+        }
+        return Math.max(1, radius);
+    }
+
     adjustScanParameters(newParams) {
         if (typeof newParams.scanRadius === 'number') {
             // 允许动态调整最大感知距离
@@ -417,6 +442,15 @@ class EnvironmentPerception {
         return Array.from(this.memoryMap.values());
     }
 
+    // 实体观测按tick调用，内部按间隔节流
+    updateEntities() {
+        this.entities.update();
+    }
+
+    getEntitiesArray() {
+        return this.entities.toArray();
+    }
+
     async performLineOfSightScanAsync(batchSize = 200) {
         const botPosition = this.bot.entity.position;
         const eyePosition = {
@@ -1,4 +1,11 @@
 const { Vec3 } = require('vec3');
+const VelocityObstacleAvoider = require('./velocityObstacle');
+const GroundWorldModel = require('./groundWorldModel');
+const PlannerRegistry = require('./plannerRegistry');
+const CostModel = require('./costModel');
+const Geofence = require('./geofence');
+
+const UNIFORM_TERRAIN = Object.freeze({ cost: 1, penalty: 0 });
 
 class AdaptiveExplorer {
     constructor(bot, perception) {
@@ -11,22 +18,36 @@ class AdaptiveExplorer {
         this.goalRadius = 1.5;
         this.maxJumpHeight = 1.0;
         this.maxFallHeight = 3.0;
+        this.stepUpCost = 1.0;   // 每上一格台阶的附加代价
+        this.dropCost = 0.5;     // 每下落一格的附加代价
         
         // 动态导航状态
         this.finalTarget = null;
         this.currentSubTarget = null;
         this.plannedPath = [];
         this.pathIndex = 0;
+        this.partialPath = false; // plannedPath 只是分层规划细化的前一段，走完前要接着规划
+        this.intermediateTarget = null; // 上次选定的中间目标 { position, finalTarget }
+        this.plannedTerrainVersion = 0; // 上次规划时的 terrainVersion
         this.lastPosition = null;
         this.stuckCounter = 0;
         this.maxStuckCount = 3;
         
+        // 计划编号：plannedPath 每次被替换或插入绕行点时分配新编号，自救和探索性移动的临时计划也单独编号
+        this.planSequence = 0;
+        this.plan = { id: 0, reason: null, source: null }; // 当前 plannedPath 对应的计划
+        
         // 知识地图
         this.knowledgeMap = new Map();
         this.obstacleMap = new Set();
         this.safeAreas = new Set();
         this.exploredBoundary = new Map();
         
+        // 地形代价：方块的通行代价、危险和可通行属性由 costProfiles.json 中的配置决定
+        this.costModel = CostModel.load();
+        this.proximitySources = new Map(); // 列键 "x,z" -> [{ y, proximity }]，有邻近代价的方块
+        this.weightedBlocks = new Set();   // 代价倍数大于1或有危险代价的方块位置键
+        
         // 重规划参数
         this.replanThreshold = 3.0;
         this.replanInterval = 1000;
@@ -56,43 +77,201 @@ class AdaptiveExplorer {
         this.lastPositions = [];
         this.lastPositionsMax = 6;
         
-        // 定义忽略方块白名单
-        this.IGNORE_BLOCKS = ['poppy', 'dandelion', 'oxeye_daisy', 'torch', 'oak_trapdoor'];
+        // 地理围栏，围栏内的格子视为障碍物
+        this.geofence = null;
+        
+        // 编队时空预约表，规划时避开其他无人机同一时刻占用的格子
+        this.reservations = null;
+        this.droneId = 0;
+        this.planStartTime = 0;
+        
+        // 动态障碍：感知到的运动实体用速度障碍做短时域避让
+        this.dynamicAvoidance = new VelocityObstacleAvoider();
+        
+        // 格子变化日志：知识地图和避让记录改变某格可通行性时追加，供增量规划器只修复受影响的部分
+        this.knowledgeVersion = 0;
+        this.cellChanges = []; // [{ version, x, z }]
+        this.maxCellChanges = 50000;
+        // 感知到的方块或代价配置改变时递增；行走轨迹、卡住点等避让记录只进变化日志，不计入
+        this.terrainVersion = 0;
+        
+        // 随机数来源，setRandom 换成带种子的发生器后邻域顺序、自救和随机移动可以复现
+        this.random = Math.random;
+        // 确定性模式：搜索只按节点数截止，不受机器快慢影响
+        this.deterministic = false;
+        
+        // 地面规划算法，可在运行时按名称切换
+        this.planners = PlannerRegistry.createDefault();
+        this.planner = this.createPlanner('astar');
+        // 规划线程(PlanningWorker)，设置后地面搜索在线程中用知识地图快照进行，不阻塞主线程
+        this.planningWorker = null;
+        
+        // 地面搜索限制，按扩展节点数和耗时双重截止
+        this.searchConfig = {
+            maxNodes: 20000,     // 最多扩展的节点数(RRT*为树节点数)
+            maxTime: 500,        // 最长搜索时间(ms)，未设置规划线程时搜索在主线程同步进行
+            goalTolerance: 1.5,  // 与目标格水平距离小于该值视为到达
+            searchMargin: 32     // 搜索范围为起点与目标包围盒外扩的格数
+        };
+        this.lastSearchStats = null; // { planner, result, expanded, generated, cost, safetyChecks, time, pathLength }
+        
+        // 三维飞行规划参数
+        this.flightConfig = {
+            clearance: 1,          // 与障碍物保持的最小间距(格)
+            minAltitude: -60,      // 允许飞行的最低高度(绝对Y)
+            maxAltitude: 300,      // 允许飞行的最高高度(绝对Y)
+            bodyHeight: 2,         // 机体占用的竖直格数
+            maxIterations: 4000,
+            cruiseSpeed: 10        // 巡航速度(格/秒)，用于估算到达各格子的时刻
+        };
+    }
+
+    setGeofence(geofence) {
+        this.geofence = geofence;
+    }
+
+    setPlanningWorker(worker) {
+        this.planningWorker = worker;
+    }
+
+    // random: 与 Math.random 用法相同的函数，规划器(如 RRT*)采样时也经由这里取值
+    setRandom(random) {
+        this.random = random;
     }
 
-    async exploreToTarget(targetPos) {
+    setDeterministic(enabled) {
+        this.deterministic = enabled;
+    }
+
+    setReservations(reservations, droneId) {
+        this.reservations = reservations;
+        this.droneId = droneId;
+    }
+
+    /**
+     * 动态障碍避让：position 为机体脚下位置，preferred 为期望速度(格/秒)
+     * options.flight 为 true 时允许升降，且候选速度探测点所在格子须可飞行
+     * 返回 { velocity, changed, time, obstacle }
+     */
+    avoidDynamicObstacles(position, preferred, options = {}) {
+        const tracker = this.perception && this.perception.entities;
+        if (!tracker || preferred.norm() === 0) {
+            return { velocity: preferred, changed: false, time: Infinity, obstacle: null };
+        }
+        const { detectionRadius, probeTime } = this.dynamicAvoidance.config;
+        const bodyCenter = position.offset(0, this.flightConfig.bodyHeight / 2, 0);
+        // 实体与机体都按中心点比较，高度相差较大时自然不构成冲突
+        const obstacles = tracker.getTracks(position, detectionRadius).map(track => ({
+            id: track.id,
+            name: track.name,
+            position: track.position.offset(0, track.height / 2, 0),
+            velocity: track.velocity,
+            radius: track.radius
+        }));
+        if (obstacles.length === 0) {
+            return { velocity: preferred, changed: false, time: Infinity, obstacle: null };
+        }
+        const isAllowed = options.flight
+            ? velocity => {
+                const probe = position.plus(velocity.scaled(probeTime));
+                return this.isVoxelFlyable({ x: Math.floor(probe.x), y: Math.floor(probe.y), z: Math.floor(probe.z) }, 0);
+            }
+            : null;
+        return this.dynamicAvoidance.select(bodyCenter, preferred, obstacles, { vertical: !!options.flight, isAllowed });
+    }
+
+    // 沿路径飞行 distance 格后到达 cell 时是否被其他无人机预约；起点一格内不检查，保证能够离开
+    isCellReserved(cell, distance, startGrid) {
+        if (!this.reservations || this.heuristic3D(cell, startGrid) < 1.5) {
+            return false;
+        }
+        const time = this.planStartTime + distance / this.flightConfig.cruiseSpeed * 1000;
+        return this.reservations.isReserved(this.droneId, cell, time);
+    }
+
+    /**
+     * 增量式探索一步，返回结构化计划 { id, waypoints, cursor, reason, source, target }：
+     * waypoints 为完整航点(含已走过的部分)，cursor 为下一个要前往的航点下标，
+     * reason 为本计划产生的原因(newTarget/stuck/blocked/offPath/completed/deadEnd/detour/exploratory)，
+     * source 为 planner(规划器)/explored(探索性折线)/rescue(卡住自救)/exploratory(探索性移动)。
+     * progress: 调用方跟随到的位置 { planId, cursor }，编号与当前计划一致时同步游标。
+     * 在规划线程中的搜索被之后的调用取代时返回 null，由之后的调用给出计划
+     */
+    async exploreToTarget(targetPos, progress = null) {
         const currentPos = this.bot.entity.position;
         console.log(`增量式探索到: (${targetPos.x.toFixed(1)}, ${targetPos.y.toFixed(1)}, ${targetPos.z.toFixed(1)})`);
         
         this.updateKnowledgeMap();
         
+        let targetChanged = false;
         if (!this.finalTarget || this.distance2D(targetPos, this.finalTarget) > 2.0) {
             this.finalTarget = targetPos;
             this.plannedPath = [];
             this.pathIndex = 0;
+            targetChanged = true;
             console.log('设置新的最终目标');
+        } else if (progress && progress.planId === this.plan.id) {
+            this.pathIndex = Math.max(this.pathIndex, Math.min(progress.cursor, this.plannedPath.length));
         }
         
-        if (this.needsReplanning(currentPos)) {
-            console.log('触发重规划');
-            await this.replanPath(currentPos);
+        const reason = this.needsReplanning(currentPos);
+        if (reason) {
+            console.log(`触发重规划: ${reason}`);
+            if (!await this.replanPath(currentPos, targetChanged ? 'newTarget' : reason)) {
+                console.log('规划请求已被更新的请求取代');
+                return null;
+            }
         }
         
         // 卡住检测，优先自救
         if (this.isStuck(currentPos)) {
             console.log('检测到卡住，优先自救');
-            return await this.stuckRescueMove(currentPos);
+            const [, step] = await this.stuckRescueMove(currentPos);
+            return this.temporaryPlan(currentPos, step, 'stuck', 'rescue');
         }
         
         const nextStep = await this.getNextStep(currentPos);
         if (nextStep) {
             this.updatePositionTracking(currentPos);
             console.log(`下一步: (${nextStep.x.toFixed(1)}, ${nextStep.y.toFixed(1)}, ${nextStep.z.toFixed(1)})`);
-            return [currentPos, nextStep];
+            if (this.plannedPath[this.pathIndex] === nextStep) {
+                return this.currentPlan();
+            }
+            // 计划路径已走完时 getNextStep 会改为自救移动
+            return this.temporaryPlan(currentPos, nextStep, 'stuck', 'rescue');
         }
         
         console.log('常规路径失败，使用探索性移动');
-        return await this.exploratoryMovement(currentPos);
+        const [, step] = await this.exploratoryMovement(currentPos);
+        return this.temporaryPlan(currentPos, step, 'exploratory', 'exploratory');
+    }
+
+    // plannedPath 被替换或修改后分配新的计划编号
+    startPlan(reason, source) {
+        this.planSequence++;
+        this.plan = { id: this.planSequence, reason, source };
+    }
+
+    currentPlan() {
+        return {
+            ...this.plan,
+            waypoints: this.plannedPath.map(point => ({ x: point.x, y: point.y, z: point.z })),
+            cursor: this.pathIndex,
+            target: this.finalTarget ? { x: this.finalTarget.x, y: this.finalTarget.y, z: this.finalTarget.z } : null
+        };
+    }
+
+    // 不改变 plannedPath 的单步移动(自救、探索性移动)，以两点计划返回
+    temporaryPlan(currentPos, step, reason, source) {
+        this.planSequence++;
+        return {
+            id: this.planSequence,
+            reason,
+            source,
+            waypoints: [{ x: currentPos.x, y: currentPos.y, z: currentPos.z }, { x: step.x, y: step.y, z: step.z }],
+            cursor: 1,
+            target: this.finalTarget ? { x: this.finalTarget.x, y: this.finalTarget.y, z: this.finalTarget.z } : null
+        };
     }
 
     updateKnowledgeMap() {
@@ -105,51 +284,161 @@ class AdaptiveExplorer {
         
         this.cleanupKnowledgeMap(currentTime);
         
+        const version = this.knowledgeVersion;
         for (const block of memoryBlocks) {
             const key = this.getPositionKey(block.position);
-            this.knowledgeMap.set(key, {
-                block: block,
-                timestamp: currentTime,
-                safe: this.evaluateBlockSafety(block.type),
-                passable: this.isBlockPassable(block)
-            });
-            
-            if (this.isBlockObstacle(block)) {
-                this.obstacleMap.add(key);
-                this.safeAreas.delete(key);
-                
-                // 如果是栅栏，标记上方一格为障碍物
-                if (block.type.toLowerCase().includes('fence')) {
-                    const aboveKey = this.getPositionKey({
-                        x: block.position.x,
-                        y: block.position.y + 1,
-                        z: block.position.z
-                    });
-                    this.obstacleMap.add(aboveKey);
-                    this.safeAreas.delete(aboveKey);
-                    this.knowledgeMap.set(aboveKey, {
-                        block: { type: 'air', position: { x: block.position.x, y: block.position.y + 1, z: block.position.z } },
-                        timestamp: currentTime,
-                        safe: 0.0,
-                        passable: false
-                    });
-                }
-            } else if (this.isBlockSafe(block.type)) {
-                this.safeAreas.add(key);
-                this.obstacleMap.delete(key);
+            const previous = this.knowledgeMap.get(key);
+            if (!previous || previous.block.type !== block.type) {
+                this.noteCellChanged(block.position, key);
             }
-            
+            this.classifyBlock(key, block, currentTime);
             this.updateExploredBoundary(block.position);
         }
+        if (this.knowledgeVersion !== version) {
+            this.terrainVersion++;
+        }
         
         console.log(`知识地图更新: ${this.knowledgeMap.size} 个位置, ${this.obstacleMap.size} 个障碍物, ${this.safeAreas.size} 个安全区域`);
     }
 
+    // 按当前代价配置记录方块，更新障碍、安全区域和邻近代价来源
+    classifyBlock(key, block, timestamp) {
+        const model = this.costModel;
+        this.knowledgeMap.set(key, {
+            block: block,
+            timestamp: timestamp,
+            safe: this.evaluateBlockSafety(block.type),
+            passable: this.isBlockPassable(block)
+        });
+        
+        if (this.isBlockObstacle(block)) {
+            this.obstacleMap.add(key);
+            this.safeAreas.delete(key);
+            
+            // 栅栏等高障碍物，标记上方一格为障碍物
+            if (model.lookup(block.type).tall) {
+                const aboveKey = this.getPositionKey({
+                    x: block.position.x,
+                    y: block.position.y + 1,
+                    z: block.position.z
+                });
+                if (!this.obstacleMap.has(aboveKey)) {
+                    this.noteCellChanged(block.position);
+                }
+                this.obstacleMap.add(aboveKey);
+                this.safeAreas.delete(aboveKey);
+                this.knowledgeMap.set(aboveKey, {
+                    block: { type: 'air', position: { x: block.position.x, y: block.position.y + 1, z: block.position.z } },
+                    timestamp: timestamp,
+                    safe: 0.0,
+                    passable: false,
+                    synthetic: true
+                });
+            }
+        } else if (this.isBlockSafe(block.type)) {
+            this.safeAreas.add(key);
+            this.obstacleMap.delete(key);
+        }
+        
+        const rule = model.lookup(block.type);
+        if (rule.cost > 1 || rule.hazard > 0) {
+            this.weightedBlocks.add(key);
+        } else {
+            this.weightedBlocks.delete(key);
+        }
+        const columnKey = `${Math.floor(block.position.x)},${Math.floor(block.position.z)}`;
+        const y = Math.floor(block.position.y);
+        const sources = (this.proximitySources.get(columnKey) || []).filter(source => source.y !== y);
+        if (rule.proximity > 0) {
+            sources.push({ y, proximity: rule.proximity });
+        }
+        if (sources.length > 0) {
+            this.proximitySources.set(columnKey, sources);
+        } else {
+            this.proximitySources.delete(columnKey);
+        }
+    }
+
+    setCostProfile(name) {
+        this.costModel.setProfile(name);
+        this.reclassifyKnowledge();
+        console.log(`地形代价配置切换为 ${name}`);
+    }
+
+    // 代价配置切换后按新规则重新分类知识地图中的方块
+    reclassifyKnowledge() {
+        const entries = [];
+        for (const [key, info] of this.knowledgeMap) {
+            if (info.synthetic) {
+                this.knowledgeMap.delete(key);
+            } else {
+                entries.push([key, info]);
+            }
+        }
+        this.obstacleMap.clear();
+        this.safeAreas.clear();
+        this.proximitySources.clear();
+        this.weightedBlocks.clear();
+        for (const [key, info] of entries) {
+            this.classifyBlock(key, info.block, info.timestamp);
+            this.noteKeyChanged(key);
+        }
+        this.terrainVersion++;
+    }
+
+    /**
+     * position 所在格子的地形代价 { cost, penalty }：cost 为地面方块的代价倍数，
+     * penalty 为地面、身体和头部方块中最大的危险代价，加上邻近范围内的代价来源按距离衰减后的最大值
+     */
+    getTerrainCost(position) {
+        if (this.hasUniformTerrain()) {
+            return UNIFORM_TERRAIN;
+        }
+        const model = this.costModel;
+        const x = Math.floor(position.x);
+        const z = Math.floor(position.z);
+        const y = position.y !== undefined ? Math.floor(position.y) : this.getGroundLevelKnowledge(position.x, position.z);
+        const ground = this.knowledgeMap.get(`${x},${y - 1},${z}`);
+        let cost = ground ? model.lookup(ground.block.type).cost : 1;
+        let penalty = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            const info = this.knowledgeMap.get(`${x},${y + dy},${z}`);
+            if (info && !info.synthetic) {
+                penalty = Math.max(penalty, model.lookup(info.block.type).hazard);
+            }
+        }
+        if (this.proximitySources.size > 0) {
+            const radius = model.proximityRadius;
+            let proximity = 0;
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    if (dx === 0 && dz === 0) continue;
+                    const sources = this.proximitySources.get(`${x + dx},${z + dz}`);
+                    if (!sources) continue;
+                    const falloff = (radius + 1 - Math.max(Math.abs(dx), Math.abs(dz))) / radius;
+                    for (const source of sources) {
+                        if (source.y >= y - 1 && source.y <= y + 1) {
+                            proximity = Math.max(proximity, source.proximity * falloff);
+                        }
+                    }
+                }
+            }
+            penalty += proximity;
+        }
+        return { cost, penalty };
+    }
+
+    // 已知方块都没有额外代价时，所有格子的地形代价相同
+    hasUniformTerrain() {
+        return this.weightedBlocks.size === 0 && this.proximitySources.size === 0;
+    }
+
+    // 返回需要重规划的原因，不需要时返回 null
     needsReplanning(currentPos) {
         const now = Date.now();
         
         if (now - this.lastReplanTime < this.replanInterval) {
-            return false;
+            return null;
         }
         
         if (this.isStuck(currentPos)) {
@@ -157,7 +446,8 @@ class AdaptiveExplorer {
             // 记录卡住点
             const stuckKey = this.getPositionKey(currentPos);
             this.stuckPositions.set(stuckKey, Date.now());
-            return true;
+            this.noteCellChanged(currentPos);
+            return 'stuck';
         }
         
         if (this.plannedPath.length > 0 && this.pathIndex < this.plannedPath.length) {
@@ -165,46 +455,92 @@ class AdaptiveExplorer {
             
             if (!this.isPathClearInKnowledgeMap(currentPos, currentTarget)) {
                 console.log('当前路径被新发现的障碍物阻挡');
-                return true;
+                return 'blocked';
             }
             
             if (this.distance2D(currentPos, currentTarget) > this.forceReplanDistance) {
                 console.log('偏离路径太远');
-                return true;
+                return 'offPath';
             }
         }
         
+        // 增量规划器按变化日志只修复受影响的部分，感知到新地形就重规划，不必等路径被挡住；
+        // 机体自身的行走轨迹每步都会记入变化日志，不作为触发条件
+        if (this.planner.incremental && this.plannedPath.length > 0 && this.terrainVersion !== this.plannedTerrainVersion) {
+            console.log('感知到地形变化，增量修复路径');
+            return 'changed';
+        }
+        
         if (this.hasFoundPath(currentPos)) {
             console.log('发现更好的路径');
-            return true;
+            return 'betterPath';
+        }
+        
+        // 分层规划只细化了前一段，走向最后一个航点时接着规划下一段
+        if (this.partialPath && this.plannedPath.length > 0 && this.pathIndex >= this.plannedPath.length - 1) {
+            console.log('分层规划的细化段即将走完');
+            return 'refine';
         }
         
-        return this.plannedPath.length === 0 || this.pathIndex >= this.plannedPath.length;
+        if (this.plannedPath.length === 0) return 'noPlan';
+        return this.pathIndex >= this.plannedPath.length ? 'completed' : null;
     }
 
-    async replanPath(currentPos) {
+    // 重新规划 plannedPath，规划线程中的搜索被之后的请求取代时不改动当前计划并返回 false
+    async replanPath(currentPos, reason = 'replan') {
         console.log('开始重新规划路径');
         const startTime = Date.now();
         
         this.lastReplanTime = startTime;
-        this.plannedPath = [];
-        this.pathIndex = 0;
+        this.plannedTerrainVersion = this.terrainVersion;
         this.stuckCounter = 0;
         
-        const intermediateTarget = this.findBestIntermediateTarget(currentPos, this.finalTarget);
-        console.log(`中间目标: (${intermediateTarget.x.toFixed(1)}, ${intermediateTarget.y.toFixed(1)}, ${intermediateTarget.z.toFixed(1)})`);
-        
-        const path = await this.knowledgeBasedAStar(currentPos, intermediateTarget);
+        // 最终目标在已知区域时先直接搜索整条路径，失败再退回中间目标
+        let path = null;
+        if (this.isPositionInKnownArea(this.finalTarget)) {
+            path = await this.planGroundPath(currentPos, this.adjustToGroundKnowledge(this.finalTarget));
+            if (this.lastSearchStats.result === 'cancelled') return false;
+        }
+        let intermediateTarget = null;
+        if (!path) {
+            intermediateTarget = this.chooseIntermediateTarget(currentPos);
+            console.log(`中间目标: (${intermediateTarget.x.toFixed(1)}, ${intermediateTarget.y.toFixed(1)}, ${intermediateTarget.z.toFixed(1)})`);
+            path = await this.planGroundPath(currentPos, intermediateTarget);
+            if (this.lastSearchStats.result === 'cancelled') return false;
+            if (!path) {
+                this.intermediateTarget = null;
+            }
+        }
         
+        this.plannedPath = [];
+        this.pathIndex = 0;
+        this.partialPath = false;
         if (path && path.length > 1) {
             this.plannedPath = this.optimizePath(path);
             this.pathIndex = 1;
-            console.log(`重规划完成: ${this.plannedPath.length} 个节点, 耗时 ${Date.now() - startTime}ms`);
+            this.partialPath = this.lastSearchStats.mode === 'partial';
+            this.startPlan(reason, 'planner');
+            console.log(`重规划完成(计划 #${this.plan.id}): ${this.plannedPath.length} 个节点, 耗时 ${Date.now() - startTime}ms`);
         } else {
             this.plannedPath = await this.generateExploredPath(currentPos, intermediateTarget);
             this.pathIndex = Math.min(1, this.plannedPath.length - 1);
-            console.log(`生成探索性路径: ${this.plannedPath.length} 个节点`);
+            this.startPlan(reason, 'explored');
+            console.log(`生成探索性路径(计划 #${this.plan.id}): ${this.plannedPath.length} 个节点`);
+        }
+        return true;
+    }
+
+    // 增量规划器只在目标不变时修复搜索树，上次的中间目标未到达且仍安全时沿用，避免每次重规划都换目标而完整规划
+    chooseIntermediateTarget(currentPos) {
+        const previous = this.intermediateTarget;
+        if (this.planner.incremental && previous && previous.finalTarget === this.finalTarget &&
+            this.distance2D(currentPos, previous.position) >= 2 && this.isPositionSafeKnowledge(previous.position)) {
+            console.log('沿用上次的中间目标');
+            return previous.position;
         }
+        const position = this.findBestIntermediateTarget(currentPos, this.finalTarget);
+        this.intermediateTarget = { position, finalTarget: this.finalTarget };
+        return position;
     }
 
     findBestIntermediateTarget(currentPos, finalTarget) {
@@ -279,87 +615,294 @@ class AdaptiveExplorer {
         return totalScore;
     }
 
-    async knowledgeBasedAStar(start, goal) {
-        console.log('开始基于知识地图的A*寻路');
-        
-        const gridSize = 1;
-        const openSet = [];
-        const closedSet = new Set();
-        const cameFrom = new Map();
-        const gScore = new Map();
-        const fScore = new Map();
+    /**
+     * 地面规划：设置了规划线程时交给线程搜索，否则在主线程同步搜索，统计信息写入 lastSearchStats。
+     * 线程中的搜索被之后的请求取代时返回 null，lastSearchStats.result 为 cancelled
+     */
+    async planGroundPath(start, goal) {
+        const planner = this.planner;
+        const worker = this.planningWorker;
+        console.log(`开始基于知识地图的地面规划(${planner.name}${worker ? '，规划线程' : ''})`);
+        const startTime = Date.now();
+        const { path, stats, safetyChecks } = worker
+            ? await this.searchInWorker(start, goal)
+            : this.searchGroundPath(start, goal);
+        
+        this.lastSearchStats = {
+            planner: planner.name,
+            ...stats,
+            safetyChecks,
+            worker: !!worker,
+            time: Date.now() - startTime,
+            pathLength: path ? path.length : 0
+        };
+        const summary = this.lastSearchStats;
+        if (stats.result === 'cancelled') {
+            console.log(`${planner.name} 规划已取消: 被更新的请求取代，耗时 ${summary.time}ms`);
+            return null;
+        }
+        console.log(`${planner.name} ${stats.result === 'found' ? '成功' : '未找到路径'}(${stats.result}): 扩展 ${summary.expanded} 个节点，生成 ${summary.generated} 个，安全检查 ${summary.safetyChecks} 次，耗时 ${summary.time}ms`);
+        if (stats.mode === 'repair') {
+            const fullTime = stats.lastFullTime === null ? '--' : `${stats.lastFullTime}ms`;
+            console.log(`增量修复: ${stats.changedCells} 个格子可通行性或代价变化，修复耗时 ${summary.time}ms，上次完整规划耗时 ${fullTime}`);
+        } else if (stats.repairSkipped) {
+            console.log(`未能增量修复，完整规划: ${stats.repairSkipped}`);
+        } else if (stats.mode === 'partial') {
+            const estimate = stats.estimate === null ? '--' : stats.estimate.toFixed(1);
+            console.log(`分层规划: 抽象路线 ${stats.routeNodes} 个节点，只细化前一段，估计总代价 ${estimate}；缓存 ${stats.regions} 个区域，本次构建 ${stats.built} 个，失效 ${stats.invalidated} 个`);
+        }
+        return path;
+    }
+
+    // 把知识地图包装成世界模型交给当前规划算法，同步搜索，返回 { path, stats, safetyChecks }
+    searchGroundPath(start, goal, limits = this.searchConfig) {
+        const world = new GroundWorldModel(this, start, goal, this.searchConfig.searchMargin);
+        const { path, stats } = this.planner.plan(start, goal, world, this.deterministic ? { ...limits, maxTime: Infinity } : limits);
+        return { path, stats, safetyChecks: world.safetyChecks };
+    }
+
+    // 在规划线程中搜索，线程出错时退回主线程同步搜索
+    async searchInWorker(start, goal) {
+        const worker = this.planningWorker;
+        try {
+            return await worker.plan({
+                snapshot: this.createPlanningSnapshot(worker.sentVersion),
+                start: { x: start.x, y: start.y, z: start.z },
+                goal: { x: goal.x, y: goal.y, z: goal.z },
+                planner: this.planner.name,
+                searchConfig: this.searchConfig,
+                // 线程中的随机采样用由本机随机数派生的种子，与线程里先前请求的取值无关
+                seed: Math.floor(this.random() * 0x100000000)
+            });
+        } catch (error) {
+            console.log(`规划线程出错，改在主线程规划: ${error.message}`);
+            return this.searchGroundPath(start, goal);
+        }
+    }
+
+    // 切换地面规划算法，下次规划生效
+    setPlanner(name) {
+        this.planner = this.createPlanner(name);
+        console.log(`地面规划算法切换为 ${name}`);
+    }
+
+    // 规划器取随机数时读取当前的 this.random，之后 setRandom 也对已创建的规划器生效
+    createPlanner(name) {
+        return this.planners.create(name, { random: () => this.random() });
+    }
+
+    configureSearch(key, value) {
+        if (!(key in this.searchConfig)) {
+            throw new Error(`未知的搜索参数: ${key}`);
+        }
+        if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+            throw new Error(`搜索参数 ${key} 必须为正数`);
+        }
+        this.searchConfig[key] = value;
+    }
+
+    // ===== 三维飞行规划 =====
+
+    // 体素空间A*：26邻域、三维启发式，保持与障碍物的间距并遵守高度限制
+    // options.reserve: 规划成功后登记到编队预约表，仅用于实际执行的路径
+    // options.maxIterations / options.maxTime: 覆盖默认的迭代上限并限制搜索时间(ms)，用于后台估算
+    async planFlightPath(start, goal, options = {}) {
+        console.log('开始三维飞行路径规划');
+        const startTime = Date.now();
+        this.planStartTime = startTime;
+        this.updateKnowledgeMap();
         
-        const startGrid = this.worldToGrid(start, gridSize);
-        const goalGrid = this.worldToGrid(goal, gridSize);
+        const { minAltitude, maxAltitude } = this.flightConfig;
+        const maxIterations = options.maxIterations !== undefined ? options.maxIterations : this.flightConfig.maxIterations;
+        const maxTime = options.maxTime !== undefined ? options.maxTime : Infinity;
+        if (goal.y < minAltitude || goal.y > maxAltitude) {
+            console.log(`目标高度 ${goal.y.toFixed(1)} 超出飞行高度限制 [${minAltitude}, ${maxAltitude}]`);
+            return null;
+        }
         
-        const startKey = this.gridKey(startGrid);
-        const goalKey = this.gridKey(goalGrid);
+        const startGrid = this.worldToGrid(start, 1);
+        const goalGrid = this.worldToGrid(goal, 1);
+        const flyableCache = new Map();
         
-        openSet.push(startGrid);
-        gScore.set(startKey, 0);
-        fScore.set(startKey, this.heuristic2D(startGrid, goalGrid));
+        const openSet = [startGrid];
+        const openKeys = new Set([this.gridKey(startGrid)]);
+        const closedSet = new Set();
+        const cameFrom = new Map();
+        const gScore = new Map([[this.gridKey(startGrid), 0]]);
+        const fScore = new Map([[this.gridKey(startGrid), this.heuristic3D(startGrid, goalGrid)]]);
         
         let iterations = 0;
-        const maxIterations = 200;
-        
         while (openSet.length > 0 && iterations < maxIterations) {
             iterations++;
+            if (Date.now() - startTime > maxTime) {
+                console.log(`三维A*超出时间限制 ${maxTime}ms，已迭代 ${iterations} 次`);
+                return null;
+            }
             
-            openSet.sort((a, b) => {
-                const aKey = this.gridKey(a);
-                const bKey = this.gridKey(b);
-                return (fScore.get(aKey) || Infinity) - (fScore.get(bKey) || Infinity);
-            });
-            
-            const current = openSet.shift();
+            let bestIndex = 0;
+            for (let i = 1; i < openSet.length; i++) {
+                if (fScore.get(this.gridKey(openSet[i])) < fScore.get(this.gridKey(openSet[bestIndex]))) {
+                    bestIndex = i;
+                }
+            }
+            const current = openSet[bestIndex];
+            openSet[bestIndex] = openSet[openSet.length - 1];
+            openSet.pop();
             const currentKey = this.gridKey(current);
+            openKeys.delete(currentKey);
             
-            if (this.gridDistance(current, goalGrid) < 1.5) {
-                console.log(`A*成功: ${iterations} 次迭代`);
-                return this.reconstructPath(cameFrom, current, goalGrid, gridSize);
+            if (this.heuristic3D(current, goalGrid) < 1.5) {
+                const path = this.reconstructFlightPath(cameFrom, current, goal);
+                const optimized = this.optimizeFlightPath(path, startGrid, goalGrid);
+                console.log(`三维A*成功: ${iterations} 次迭代, ${optimized.length} 个航点, 耗时 ${Date.now() - startTime}ms`);
+                // 规划完成立即登记，之后规划的无人机会避开这条路径
+                if (this.reservations && options.reserve) {
+                    this.reservations.reservePath(this.droneId, optimized, this.flightConfig.cruiseSpeed, startTime);
+                }
+                return optimized;
             }
             
             closedSet.add(currentKey);
             
-            const neighbors = this.getKnowledgeBasedNeighbors(current, gridSize);
-            
-            for (const neighbor of neighbors) {
+            for (const neighbor of this.getFlightNeighbors(current)) {
                 const neighborKey = this.gridKey(neighbor);
-                
                 if (closedSet.has(neighborKey)) {
                     continue;
                 }
                 
-                const worldPos = this.gridToWorld(neighbor, gridSize);
-                worldPos.y = this.getGroundLevelKnowledge(worldPos.x, worldPos.z);
-                
-                if (!this.isPositionSafeKnowledge(worldPos)) {
+                let flyable = flyableCache.get(neighborKey);
+                if (flyable === undefined) {
+                    flyable = this.isVoxelFlyable(neighbor, this.getFlightMargin(neighbor, startGrid, goalGrid));
+                    flyableCache.set(neighborKey, flyable);
+                }
+                if (!flyable) {
                     continue;
                 }
                 
-                const moveCost = this.calculateMoveCost(current, neighbor, gridSize);
-                const tentativeGScore = (gScore.get(currentKey) || Infinity) + moveCost;
-                
-                if (!openSet.find(n => this.gridKey(n) === neighborKey)) {
-                    openSet.push(neighbor);
-                } else if (tentativeGScore >= (gScore.get(neighborKey) || Infinity)) {
+                const tentativeGScore = gScore.get(currentKey) + this.heuristic3D(current, neighbor);
+                if (openKeys.has(neighborKey) && tentativeGScore >= gScore.get(neighborKey)) {
+                    continue;
+                }
+                // 预约与到达时刻有关，不进入可飞缓存
+                if (this.isCellReserved(neighbor, tentativeGScore, startGrid)) {
                     continue;
                 }
                 
                 cameFrom.set(neighborKey, current);
                 gScore.set(neighborKey, tentativeGScore);
-                fScore.set(neighborKey, tentativeGScore + this.heuristic2D(neighbor, goalGrid));
-            }
-            
-            if (iterations % 50 === 0) {
-                console.log(`A*进度: ${iterations}/${maxIterations}, 开放集: ${openSet.length}, 已访问: ${closedSet.size}`);
+                fScore.set(neighborKey, tentativeGScore + this.heuristic3D(neighbor, goalGrid));
+                if (!openKeys.has(neighborKey)) {
+                    openSet.push(neighbor);
+                    openKeys.add(neighborKey);
+                }
             }
         }
         
-        console.log(`A*未找到路径: ${iterations} 次迭代后终止`);
+        console.log(`三维A*未找到路径: ${iterations} 次迭代后终止, 耗时 ${Date.now() - startTime}ms`);
         return null;
     }
 
+    getFlightNeighbors(gridPos) {
+        const neighbors = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    if (dx === 0 && dy === 0 && dz === 0) continue;
+                    neighbors.push({ x: gridPos.x + dx, y: gridPos.y + dy, z: gridPos.z + dz });
+                }
+            }
+        }
+        return neighbors;
+    }
+
+    // 起点和终点附近逐渐放宽间距要求，保证能够起降
+    getFlightMargin(cell, startGrid, goalGrid) {
+        const nearest = Math.min(this.heuristic3D(cell, startGrid), this.heuristic3D(cell, goalGrid));
+        return Math.max(0, Math.min(this.flightConfig.clearance, Math.floor(nearest)));
+    }
+
+    isVoxelFlyable(cell, margin = this.flightConfig.clearance) {
+        const { minAltitude, maxAltitude, bodyHeight } = this.flightConfig;
+        if (cell.y < minAltitude || cell.y + bodyHeight - 1 > maxAltitude) {
+            return false;
+        }
+        if (this.geofence && !this.geofence.isPositionAllowed({ x: cell.x + 0.5, y: cell.y, z: cell.z + 0.5 })) {
+            return false;
+        }
+        for (let dx = -margin; dx <= margin; dx++) {
+            for (let dz = -margin; dz <= margin; dz++) {
+                for (let dy = -margin; dy <= bodyHeight - 1 + margin; dy++) {
+                    if (this.isVoxelOccupied(cell.x + dx, cell.y + dy, cell.z + dz)) {
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    isVoxelOccupied(x, y, z) {
+        const key = `${x},${y},${z}`;
+        if (this.obstacleMap.has(key)) {
+            return true;
+        }
+        const info = this.knowledgeMap.get(key);
+        return !!info && !info.passable;
+    }
+
+    // startDistance: 到达 from 时已飞行的距离，用于检查编队预约
+    isFlightSegmentClear(from, to, startGrid, goalGrid, startDistance = 0) {
+        const length = this.heuristic3D(from, to);
+        const steps = Math.ceil(length * 2);
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const cell = this.worldToGrid({
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                z: from.z + (to.z - from.z) * t
+            }, 1);
+            if (!this.isVoxelFlyable(cell, this.getFlightMargin(cell, startGrid, goalGrid))) {
+                return false;
+            }
+            if (this.isCellReserved(cell, startDistance + length * t, startGrid)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    reconstructFlightPath(cameFrom, current, goal) {
+        const path = [{ x: goal.x, y: goal.y, z: goal.z }];
+        let currentNode = current;
+        while (currentNode) {
+            path.unshift({ x: currentNode.x + 0.5, y: currentNode.y, z: currentNode.z + 0.5 });
+            currentNode = cameFrom.get(this.gridKey(currentNode));
+        }
+        return path;
+    }
+
+    // 视线裁剪：跳过可以直线飞越的中间航点
+    optimizeFlightPath(path, startGrid, goalGrid) {
+        if (path.length <= 2) return path;
+        const optimized = [path[0]];
+        let i = 0;
+        let travelled = 0;
+        while (i < path.length - 1) {
+            let j = path.length - 1;
+            while (j > i + 1 && !this.isFlightSegmentClear(path[i], path[j], startGrid, goalGrid, travelled)) {
+                j--;
+            }
+            travelled += this.heuristic3D(path[i], path[j]);
+            optimized.push(path[j]);
+            i = j;
+        }
+        return optimized;
+    }
+
+    heuristic3D(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+    }
+
     async getNextStep(currentPos) {
         if (this.plannedPath.length > 0 && this.pathIndex < this.plannedPath.length) {
             const nextWaypoint = this.plannedPath[this.pathIndex];
@@ -370,7 +913,8 @@ class AdaptiveExplorer {
                 if (this.isDeadEnd(currentPos)) {
                     console.log('当前位置为死胡同，加入deadEnds并重规划');
                     this.deadEnds.add(this.getPositionKey(currentPos));
-                    await this.replanPath(currentPos);
+                    this.noteCellChanged(currentPos);
+                    await this.replanPath(currentPos, 'deadEnd');
                     return null;
                 }
                 if (this.pathIndex < this.plannedPath.length) {
@@ -430,6 +974,7 @@ class AdaptiveExplorer {
             console.log(`找到绕行路径: (${bestDetour.x.toFixed(1)}, ${bestDetour.y.toFixed(1)}, ${bestDetour.z.toFixed(1)})`);
             
             this.plannedPath.splice(this.pathIndex, 0, bestDetour);
+            this.startPlan('detour', this.plan.source);
             return bestDetour;
         }
         
@@ -459,9 +1004,9 @@ class AdaptiveExplorer {
         // 3. 执行微小移动
         console.log('执行微小移动');
         return [currentPos, {
-            x: currentPos.x + (Math.random() - 0.5) * 0.5,
+            x: currentPos.x + (this.random() - 0.5) * 0.5,
             y: currentPos.y,
-            z: currentPos.z + (Math.random() - 0.5) * 0.5
+            z: currentPos.z + (this.random() - 0.5) * 0.5
         }];
     }
 
@@ -480,12 +1025,15 @@ class AdaptiveExplorer {
         // 路径记忆
         const posKey = this.getPositionKey(currentPos);
         this.recentPath.push(posKey);
+        this.noteCellChanged(currentPos);
         if (this.recentPath.length > this.recentPathMaxLength) {
-            this.recentPath.shift();
+            this.noteKeyChanged(this.recentPath.shift());
         }
         // 连续卡住自救：超过阈值自动清理deadEnds和recentPath
         if (this.stuckRescueCounter > this.stuckRescueThreshold) {
             console.log('连续卡住，自动清理deadEnds和recentPath以自救');
+            this.deadEnds.forEach(key => this.noteKeyChanged(key));
+            this.recentPath.forEach(key => this.noteKeyChanged(key));
             this.deadEnds.clear();
             this.recentPath = [];
             this.stuckRescueCounter = 0;
@@ -508,8 +1056,10 @@ class AdaptiveExplorer {
         return false;
     }
 
+    // 从起点高度出发逐个采样点跟踪地面高度，途中只能上一格台阶或下落不超过 maxFallHeight 格
     isPathClearInKnowledgeMap(start, end) {
         const steps = Math.ceil(this.distance2D(start, end) * 2);
+        let level = Math.floor(start.y);
         
         for (let i = 0; i <= steps; i++) {
             const t = i / steps;
@@ -517,9 +1067,13 @@ class AdaptiveExplorer {
                 x: start.x + (end.x - start.x) * t,
                 z: start.z + (end.z - start.z) * t
             };
-            checkPos.y = this.getGroundLevelKnowledge(checkPos.x, checkPos.z);
+            level = this.getGroundLevelNear(checkPos.x, checkPos.z, level);
+            checkPos.y = level;
             
-            if (!this.isPositionSafeKnowledge(checkPos)) {
+            const x = Math.floor(checkPos.x);
+            const z = Math.floor(checkPos.z);
+            if (!this.isSpaceClearKnowledge(x, level, z) || !this.isSpaceClearKnowledge(x, level + 1, z) ||
+                !this.isPositionSafeKnowledge(checkPos)) {
                 return false;
             }
         }
@@ -528,6 +1082,9 @@ class AdaptiveExplorer {
     }
 
     isPositionSafeKnowledge(position) {
+        if (this.geofence && !this.geofence.isPositionAllowed(position, { airborne: false })) {
+            return false;
+        }
         // 体积判定：以目标点为中心，检查周围±0.3格的四个角和中心点
         const offsets = [
             {x: 0, z: 0},
@@ -571,10 +1128,8 @@ class AdaptiveExplorer {
             const groundInfo = this.knowledgeMap.get(groundKey);
             const bodyInfo = this.knowledgeMap.get(bodyKey);
             const headInfo = this.knowledgeMap.get(headKey);
-            // 水面、trapdoor等特殊方块判定为不可走
-            if (groundInfo && (groundInfo.block.type === 'air' || 
-                groundInfo.block.type.toLowerCase().includes('water') ||
-                groundInfo.block.type.toLowerCase().includes('trapdoor'))) {
+            // 水面、trapdoor、栅栏等不能站立的方块判定为不可走
+            if (groundInfo && !this.costModel.isStandable(groundInfo.block.type)) {
                 return false;
             }
             if (bodyInfo && !bodyInfo.passable) {
@@ -583,22 +1138,26 @@ class AdaptiveExplorer {
             if (headInfo && !headInfo.passable) {
                 return false;
             }
-            // 检查下方是否为栅栏
-            if (groundInfo && groundInfo.block.type.toLowerCase().includes('fence')) {
-                return false;
+            // 危险代价达到配置上限的格子不可走
+            for (const info of [groundInfo, bodyInfo, headInfo]) {
+                if (info && !info.synthetic && this.costModel.isHazardous(info.block.type)) {
+                    return false;
+                }
             }
         }
         return true;
     }
 
-    getGroundLevelKnowledge(x, z) {
-        let maxGroundY = Math.floor(this.bot.entity.position.y);
+    // (x, z) 列在 referenceY 上下5格内最高的已知可站立方块之上的高度，没有时返回 referenceY；referenceY 默认为机体高度
+    getGroundLevelKnowledge(x, z, referenceY = this.bot.entity.position.y) {
+        let maxGroundY = Math.floor(referenceY);
         
         for (let y = maxGroundY + 5; y >= maxGroundY - 5; y--) {
             const key = this.getPositionKey({ x: Math.floor(x), y: y, z: Math.floor(z) });
             const info = this.knowledgeMap.get(key);
             
-            if (info && info.block.type !== 'air' && !info.block.type.toLowerCase().includes('water') && !info.block.type.toLowerCase().includes('fence')) {
+            // 与 getGroundLevelNear 一致，按代价模型判断能否站立
+            if (info && !info.synthetic && !info.passable && this.costModel.isStandable(info.block.type)) {
                 return y + 1;
             }
         }
@@ -606,6 +1165,52 @@ class AdaptiveExplorer {
         return maxGroundY;
     }
 
+    // 从 fromY 向下 maxDepth 格内 (x, z) 列最高的已知可站立方块之上的高度，用于飞行中估计离地高度；没有时返回 null
+    findGroundBelowKnowledge(x, z, fromY, maxDepth = 64) {
+        const bx = Math.floor(x);
+        const bz = Math.floor(z);
+        const top = Math.floor(fromY);
+        for (let y = top; y >= top - maxDepth; y--) {
+            const info = this.knowledgeMap.get(`${bx},${y},${bz}`);
+            if (info && !info.synthetic && !info.passable && this.costModel.isStandable(info.block.type)) {
+                return y + 1;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 从高度 y 走到 (x, z) 列后站立的高度：取 [y - 1 - maxFallHeight, y + maxJumpHeight - 1] 内最高的已知地面方块之上，
+     * 即上一格台阶、平走或下落。范围内没有已知地面时按平地处理，返回 y
+     */
+    getGroundLevelNear(x, z, y) {
+        const bx = Math.floor(x);
+        const bz = Math.floor(z);
+        const top = y + Math.floor(this.maxJumpHeight) - 1;
+        const bottom = y - 1 - Math.floor(this.maxFallHeight);
+        for (let by = top; by >= bottom; by--) {
+            const info = this.knowledgeMap.get(`${bx},${by},${bz}`);
+            if (info && !info.synthetic && !info.passable && this.costModel.isStandable(info.block.type)) {
+                return by + 1;
+            }
+        }
+        return y;
+    }
+
+    // 方块格 (x, y, z) 是否可被身体穿过，未知按可穿过处理
+    isSpaceClearKnowledge(x, y, z) {
+        const key = `${x},${y},${z}`;
+        if (this.obstacleMap.has(key)) return false;
+        const info = this.knowledgeMap.get(key);
+        return !info || info.passable;
+    }
+
+    // 能否站在 (x, y, z) 格：身体和头部所在格子必须可穿过，地面和危险判定同 isPositionSafeKnowledge
+    isStandableKnowledge(x, y, z) {
+        return this.isSpaceClearKnowledge(x, y, z) && this.isSpaceClearKnowledge(x, y + 1, z) &&
+            this.isPositionSafeKnowledge({ x: x + 0.5, y, z: z + 0.5 });
+    }
+
     getPositionKey(pos) {
         return `${Math.floor(pos.x)},${Math.floor(pos.y)},${Math.floor(pos.z)}`;
     }
@@ -646,37 +1251,26 @@ class AdaptiveExplorer {
         };
     }
 
+    // 向上不超过跳跃高度，向下不超过安全下落高度
     isHeightAccessible(from, to) {
         const heightDiff = to.y - from.y;
-        return Math.abs(heightDiff) <= this.maxJumpHeight;
+        return heightDiff <= this.maxJumpHeight && -heightDiff <= this.maxFallHeight;
     }
 
     evaluateBlockSafety(blockType) {
-        if (blockType === 'air') return 1.0;
-        if (blockType.toLowerCase().includes('water')) return 0.0;
-        if (blockType.toLowerCase().includes('lava')) return 0.0;
-        if (blockType.toLowerCase().includes('fence')) return 0.0;
-        if (['grass_block', 'dirt', 'stone', 'cobblestone'].includes(blockType)) return 0.8;
-        return 0.5;
+        return this.costModel.safety(blockType);
     }
 
     isBlockPassable(block) {
-        return block.type === 'air' || 
-               block.type.toLowerCase().includes('grass') ||
-               this.IGNORE_BLOCKS.some(f => block.type.toLowerCase().includes(f));
+        return this.costModel.isPassable(block.type);
     }
 
     isBlockObstacle(block) {
-        return block.type !== 'air' && 
-               !block.type.toLowerCase().includes('grass') &&
-               !block.type.toLowerCase().includes('poppy') &&
-               (block.type.toLowerCase().includes('water') || block.type.toLowerCase().includes('fence'));
+        return this.costModel.isObstacle(block.type);
     }
 
     isBlockSafe(blockType) {
-        return ['grass_block', 'dirt', 'stone', 'cobblestone'].includes(blockType) &&
-               !blockType.toLowerCase().includes('water') &&
-               !blockType.toLowerCase().includes('fence');
+        return this.costModel.isSafe(blockType);
     }
 
     cleanupKnowledgeMap(currentTime) {
@@ -690,16 +1284,184 @@ class AdaptiveExplorer {
         }
         
         for (const key of keysToDelete) {
-            this.knowledgeMap.delete(key);
-            this.obstacleMap.delete(key);
-            this.safeAreas.delete(key);
+            this.forgetBlock(key);
+            this.noteKeyChanged(key, true);
         }
         // 清理过期的卡住点
         for (const [key, ts] of this.stuckPositions) {
             if (currentTime - ts > this.stuckTimeout) {
                 this.stuckPositions.delete(key);
+                this.noteKeyChanged(key);
+            }
+        }
+    }
+
+    // 从知识地图中删除方块及其障碍、安全区域和代价记录
+    forgetBlock(key) {
+        this.knowledgeMap.delete(key);
+        this.obstacleMap.delete(key);
+        this.safeAreas.delete(key);
+        this.weightedBlocks.delete(key);
+        this.removeProximitySource(key);
+    }
+
+    removeProximitySource(key) {
+        const position = this.parsePositionKey(key);
+        if (!position) return;
+        const columnKey = `${position.x},${position.z}`;
+        const sources = this.proximitySources.get(columnKey);
+        if (!sources) return;
+        const remaining = sources.filter(source => source.y !== position.y);
+        if (remaining.length > 0) {
+            this.proximitySources.set(columnKey, remaining);
+        } else {
+            this.proximitySources.delete(columnKey);
+        }
+    }
+
+    // 记录 position 所在列的可通行性或地形代价可能已变化；blockKey 为知识地图中新增、改变或删除的方块，规划线程据此同步方块
+    noteCellChanged(position, blockKey = null) {
+        this.knowledgeVersion++;
+        this.cellChanges.push({ version: this.knowledgeVersion, x: Math.floor(position.x), z: Math.floor(position.z), key: blockKey });
+        if (this.cellChanges.length > this.maxCellChanges) {
+            this.cellChanges.splice(0, this.cellChanges.length - this.maxCellChanges);
+        }
+    }
+
+    // isBlock 为 true 时 key 是知识地图中的方块
+    noteKeyChanged(key, isBlock = false) {
+        const position = this.parsePositionKey(key);
+        if (position) {
+            this.noteCellChanged(position, isBlock ? key : null);
+        }
+    }
+
+    // version 之后的变化日志条目，日志已截断到 version 之后时返回 null
+    cellChangesAfter(version) {
+        const changes = this.cellChanges;
+        if (version >= this.knowledgeVersion) return [];
+        if (changes.length === 0 || changes[0].version > version + 1) return null;
+        // 版本号连续递增，直接按偏移定位
+        return changes.slice(version + 1 - changes[0].version);
+    }
+
+    // version 之后记录的变化格子，日志已截断到 version 之后时返回 null
+    getCellChangesSince(version) {
+        const changes = this.cellChangesAfter(version);
+        return changes === null ? null : changes.map(({ x, z }) => ({ x, z }));
+    }
+
+    /**
+     * 规划线程用的知识地图快照：方块按 [x, y, z, 类型下标] 存入 Int32Array(可转移，不必逐个复制对象)，
+     * 类型名单独成表；changes 为 sinceVersion 之后的格子变化。线程已有 sinceVersion 时的知识地图，
+     * 快照只带此后新增或改变的方块和已删除方块的键(removed)；sinceVersion 为 null 或日志已截断时 full 为 true，
+     * changes 为 null，带全部方块。另带避让记录、地理围栏、代价配置和机体位置
+     */
+    createPlanningSnapshot(sinceVersion) {
+        const changes = sinceVersion === null ? null : this.cellChangesAfter(sinceVersion);
+        let entries = this.knowledgeMap.values();
+        const removed = [];
+        if (changes !== null) {
+            entries = [];
+            const seen = new Set();
+            for (const { key } of changes) {
+                if (key === null || seen.has(key)) continue;
+                seen.add(key);
+                const info = this.knowledgeMap.get(key);
+                if (info) {
+                    entries.push(info);
+                } else {
+                    removed.push(key);
+                }
+            }
+        }
+        const types = [];
+        const typeIndex = new Map();
+        const blocks = new Int32Array((changes === null ? this.knowledgeMap.size : entries.length) * 4);
+        let count = 0;
+        for (const info of entries) {
+            // 高障碍物上方的合成格子在线程中分类时重新生成
+            if (info.synthetic) continue;
+            const { position, type } = info.block;
+            let index = typeIndex.get(type);
+            if (index === undefined) {
+                index = types.length;
+                types.push(type);
+                typeIndex.set(type, index);
+            }
+            const offset = count * 4;
+            blocks[offset] = Math.floor(position.x);
+            blocks[offset + 1] = Math.floor(position.y);
+            blocks[offset + 2] = Math.floor(position.z);
+            blocks[offset + 3] = index;
+            count++;
+        }
+        const position = this.bot.entity.position;
+        return {
+            version: this.knowledgeVersion,
+            since: sinceVersion,
+            full: changes === null,
+            changes: changes === null ? null : changes.map(({ x, z }) => ({ x, z })),
+            types,
+            blocks,
+            count,
+            removed,
+            profile: this.costModel.profileName,
+            position: { x: position.x, y: position.y, z: position.z },
+            recentPath: this.recentPath.slice(),
+            stuckPositions: Array.from(this.stuckPositions.keys()),
+            deadEnds: Array.from(this.deadEnds),
+            geofence: this.geofence ? this.geofence.toJSON() : null
+        };
+    }
+
+    /**
+     * 规划线程中按快照更新知识地图和避让记录：完整快照清空后重建，其余在保留的知识地图上增删变化的方块，
+     * 代价配置改变时按新配置重新分类。格子变化日志由 applyCellChanges 单独接续，这里不改动
+     */
+    loadPlanningSnapshot(snapshot) {
+        this.bot.entity.position = new Vec3(snapshot.position.x, snapshot.position.y, snapshot.position.z);
+        // 重新分类时高障碍物等会记录格子变化，先换到临时日志，结束后丢弃
+        const { knowledgeVersion, cellChanges } = this;
+        this.cellChanges = [];
+        if (snapshot.full) {
+            this.knowledgeMap.clear();
+            this.obstacleMap.clear();
+            this.safeAreas.clear();
+            this.proximitySources.clear();
+            this.weightedBlocks.clear();
+        }
+        if (this.costModel.profileName !== snapshot.profile) {
+            this.costModel.setProfile(snapshot.profile);
+            this.reclassifyKnowledge();
+        }
+        snapshot.removed.forEach(key => this.forgetBlock(key));
+        const { blocks, types } = snapshot;
+        for (let i = 0; i < snapshot.count * 4; i += 4) {
+            const position = { x: blocks[i], y: blocks[i + 1], z: blocks[i + 2] };
+            this.classifyBlock(`${position.x},${position.y},${position.z}`, { position, type: types[blocks[i + 3]] }, 0);
+        }
+        this.knowledgeVersion = knowledgeVersion;
+        this.cellChanges = cellChanges;
+        this.recentPath = snapshot.recentPath;
+        this.stuckPositions = new Map(snapshot.stuckPositions.map(key => [key, 0]));
+        this.deadEnds = new Set(snapshot.deadEnds);
+        this.geofence = snapshot.geofence ? Geofence.fromJSON(snapshot.geofence) : null;
+    }
+
+    // 规划线程把快照带来的格子变化接到本地日志之后，版本号与主线程保持一致；快照不带变化时日志从头开始
+    applyCellChanges(snapshot) {
+        if (snapshot.changes === null) {
+            this.cellChanges = [];
+        } else {
+            snapshot.changes.forEach(({ x, z }, i) => {
+                this.cellChanges.push({ version: snapshot.since + 1 + i, x, z });
+            });
+            if (this.cellChanges.length > this.maxCellChanges) {
+                this.cellChanges.splice(0, this.cellChanges.length - this.maxCellChanges);
             }
         }
+        this.knowledgeVersion = snapshot.version;
     }
 
     updateExploredBoundary(position) {
@@ -710,25 +1472,31 @@ class AdaptiveExplorer {
         });
     }
 
+    // 附近在该高度或其下方地面一层有已知方块
     isPositionInKnownArea(position) {
         const searchRadius = 2;
         for (let dx = -searchRadius; dx <= searchRadius; dx++) {
             for (let dz = -searchRadius; dz <= searchRadius; dz++) {
-                const checkKey = this.getPositionKey({
-                    x: position.x + dx,
-                    y: position.y,
-                    z: position.z + dz
-                });
-                if (this.knowledgeMap.has(checkKey)) {
-                    return true;
+                for (const dy of [0, -1]) {
+                    const checkKey = this.getPositionKey({
+                        x: position.x + dx,
+                        y: position.y + dy,
+                        z: position.z + dz
+                    });
+                    if (this.knowledgeMap.has(checkKey)) {
+                        return true;
+                    }
                 }
             }
         }
         return false;
     }
 
+    // 给定高度时取该高度附近的地面(多层建筑中留在目标所在的一层)，否则取最高的已知地面
     adjustToGroundKnowledge(position) {
-        const groundY = this.getGroundLevelKnowledge(position.x, position.z);
+        const groundY = position.y !== undefined
+            ? this.getGroundLevelNear(position.x, position.z, Math.floor(position.y))
+            : this.getGroundLevelKnowledge(position.x, position.z);
         return { x: position.x, y: groundY, z: position.z };
     }
 
@@ -807,7 +1575,7 @@ class AdaptiveExplorer {
         ];
         // Fisher-Yates 洗牌算法打乱顺序
         for (let i = directions.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [directions[i], directions[j]] = [directions[j], directions[i]];
         }
         for (const dir of directions) {
@@ -820,33 +1588,55 @@ class AdaptiveExplorer {
         return neighbors;
     }
 
-    calculateMoveCost(from, to, gridSize) {
-        const dx = Math.abs(to.x - from.x);
-        const dz = Math.abs(to.z - from.z);
-        
-        if (dx === 1 && dz === 1) {
-            return 1.414;
-        } else {
-            return 1.0;
+    /**
+     * 地面三维邻域 [{ x, y, z }]，只返回能站立的格子：沿正交方向可以上一格台阶或下落不超过 maxFallHeight 格，
+     * 斜向只在同一高度移动。isStandable(x, y, z) 缺省为 isStandableKnowledge，调用方可传入带缓存的版本
+     */
+    getLevelNeighbors(cell, isStandable = (x, y, z) => this.isStandableKnowledge(x, y, z)) {
+        const neighbors = [];
+        const directions = [
+            {x: 1, z: 0}, {x: -1, z: 0}, {x: 0, z: 1}, {x: 0, z: -1},
+            {x: 1, z: 1}, {x: -1, z: -1}, {x: 1, z: -1}, {x: -1, z: 1}
+        ];
+        for (const dir of directions) {
+            const x = cell.x + dir.x;
+            const z = cell.z + dir.z;
+            const y = this.getGroundLevelNear(x, z, cell.y);
+            if (y !== cell.y) {
+                if (dir.x !== 0 && dir.z !== 0) continue;
+                // 起跳时头顶上方要有空间
+                if (y > cell.y && !this.isSpaceClearKnowledge(cell.x, cell.y + 2, cell.z)) continue;
+                // 下落时先平走出边缘再落下，落点头部以上到出发时头部高度之间都要能穿过
+                if (y < cell.y && !this.isDropClear(x, z, y + 2, cell.y + 1)) continue;
+            }
+            if (isStandable(x, y, z)) {
+                neighbors.push({ x, y, z });
+            }
         }
+        return neighbors;
     }
 
-    reconstructPath(cameFrom, current, goal, gridSize) {
-        const path = [];
-        let currentNode = current;
-        
-        const goalWorld = this.gridToWorld(goal, gridSize);
-        goalWorld.y = this.getGroundLevelKnowledge(goalWorld.x, goalWorld.z);
-        path.unshift(goalWorld);
-        
-        while (currentNode && cameFrom.has(this.gridKey(currentNode))) {
-            const worldPos = this.gridToWorld(currentNode, gridSize);
-            worldPos.y = this.getGroundLevelKnowledge(worldPos.x, worldPos.z);
-            path.unshift(worldPos);
-            currentNode = cameFrom.get(this.gridKey(currentNode));
+    isDropClear(x, z, fromY, toY) {
+        for (let y = fromY; y <= toY; y++) {
+            if (!this.isSpaceClearKnowledge(x, y, z)) return false;
         }
-        
-        return path;
+        return true;
+    }
+
+    /**
+     * 基础步长(直行1，斜行1.414)乘以目标格的地形代价倍数，再加上危险和邻近代价；
+     * 两端都有高度时，上台阶每格加 stepUpCost，下落每格加 dropCost
+     */
+    calculateMoveCost(from, to, gridSize, terrain = this.getTerrainCost(to)) {
+        const dx = Math.abs(to.x - from.x);
+        const dz = Math.abs(to.z - from.z);
+        const base = dx === 1 && dz === 1 ? 1.414 : 1.0;
+        let cost = base * terrain.cost + terrain.penalty;
+        if (from.y !== undefined && to.y !== undefined) {
+            const climb = to.y - from.y;
+            cost += climb > 0 ? climb * this.stepUpCost : -climb * this.dropCost;
+        }
+        return cost;
     }
 
     optimizePath(path) {
@@ -858,7 +1648,8 @@ class AdaptiveExplorer {
         while (i < path.length - 1) {
             let j = Math.min(i + 3, path.length - 1);
             
-            while (j > i + 1 && !this.isPathClearInKnowledgeMap(path[i], path[j])) {
+            // 高度变化处的航点保留，不跨台阶或落差取捷径
+            while (j > i + 1 && (this.changesLevel(path, i, j) || !this.isPathClearInKnowledgeMap(path[i], path[j]))) {
                 j--;
             }
             
@@ -869,6 +1660,15 @@ class AdaptiveExplorer {
         return optimized;
     }
 
+    // path[i] 之后到 path[j] 为止是否有航点与 path[i] 不在同一高度
+    changesLevel(path, i, j) {
+        const level = Math.floor(path[i].y);
+        for (let k = i + 1; k <= j; k++) {
+            if (Math.floor(path[k].y) !== level) return true;
+        }
+        return false;
+    }
+
     async generateExploredPath(currentPos, target) {
         const direction = this.getDirection2D(currentPos, target);
         const distance = this.distance2D(currentPos, target);
@@ -932,12 +1732,112 @@ class AdaptiveExplorer {
         return bestTarget;
     }
 
+    /**
+     * 水平距离 center 不超过 radius、且在知识地图中有记录的列(高度与 center 相差5格以内，
+     * 与 getGroundLevelKnowledge 的扫描范围一致)，返回列键 "x,z" 的集合。
+     * center.y 应为地面站立高度，飞行中由调用方换算，不取机体高度
+     */
+    getKnownColumns(center, radius) {
+        const cx = Math.floor(center.x);
+        const cy = Math.floor(center.y);
+        const cz = Math.floor(center.z);
+        const columns = new Set();
+        for (const key of this.knowledgeMap.keys()) {
+            const pos = this.parsePositionKey(key);
+            if (!pos || Math.abs(pos.y - cy) > 5) continue;
+            if ((pos.x - cx) ** 2 + (pos.z - cz) ** 2 > radius * radius) continue;
+            columns.add(`${pos.x},${pos.z}`);
+        }
+        return columns;
+    }
+
+    // 范围内已知列的数量和比例
+    getCoverage(center, radius, known = this.getKnownColumns(center, radius)) {
+        const cx = Math.floor(center.x);
+        const cz = Math.floor(center.z);
+        let total = 0;
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                if (dx * dx + dz * dz <= radius * radius) total++;
+            }
+        }
+        return { known: known.size, total, ratio: total > 0 ? known.size / total : 1 };
+    }
+
+    /**
+     * 探索边界：范围内可安全站立、且四邻域中有未知列的已知列，按8连通聚成簇。
+     * 每簇返回 { position, size, gain }：position 为离簇质心最近的边界格，
+     * gain 为簇内格子 gainRadius 范围内不重复的未知列数(预计能新看到的区域)
+     */
+    findFrontiers(center, radius, gainRadius = 4) {
+        const cx = Math.floor(center.x);
+        const cz = Math.floor(center.z);
+        const known = this.getKnownColumns(center, radius);
+        const isUnknown = (x, z) => (x - cx) ** 2 + (z - cz) ** 2 <= radius * radius && !known.has(`${x},${z}`);
+
+        const frontier = new Map(); // 列键 -> { x, z, y }
+        for (const column of known) {
+            const [x, z] = column.split(',').map(Number);
+            if (!isUnknown(x + 1, z) && !isUnknown(x - 1, z) && !isUnknown(x, z + 1) && !isUnknown(x, z - 1)) continue;
+            const ground = { x: x + 0.5, y: this.getGroundLevelKnowledge(x + 0.5, z + 0.5, center.y), z: z + 0.5 };
+            if (this.isPositionSafeKnowledge(ground)) {
+                frontier.set(column, { x, z, y: ground.y });
+            }
+        }
+
+        const clusters = [];
+        const seen = new Set();
+        for (const [column, start] of frontier) {
+            if (seen.has(column)) continue;
+            seen.add(column);
+            const cells = [];
+            const stack = [start];
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                cells.push(cell);
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const key = `${cell.x + dx},${cell.z + dz}`;
+                        if (frontier.has(key) && !seen.has(key)) {
+                            seen.add(key);
+                            stack.push(frontier.get(key));
+                        }
+                    }
+                }
+            }
+
+            const unknown = new Set();
+            for (const cell of cells) {
+                for (let dx = -gainRadius; dx <= gainRadius; dx++) {
+                    for (let dz = -gainRadius; dz <= gainRadius; dz++) {
+                        if (dx * dx + dz * dz <= gainRadius * gainRadius && isUnknown(cell.x + dx, cell.z + dz)) {
+                            unknown.add(`${cell.x + dx},${cell.z + dz}`);
+                        }
+                    }
+                }
+            }
+
+            const centroid = {
+                x: cells.reduce((sum, cell) => sum + cell.x, 0) / cells.length,
+                z: cells.reduce((sum, cell) => sum + cell.z, 0) / cells.length
+            };
+            const representative = cells.reduce((best, cell) =>
+                this.distance2D(cell, centroid) < this.distance2D(best, centroid) ? cell : best);
+            clusters.push({
+                position: { x: representative.x + 0.5, y: representative.y, z: representative.z + 0.5 },
+                size: cells.length,
+                gain: unknown.size
+            });
+        }
+        return clusters;
+    }
+
     findRandomSafeMovement(currentPos) {
         const attempts = 10;
         
         for (let i = 0; i < attempts; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 1 + Math.random() * 3;
+            const angle = this.random() * Math.PI * 2;
+            const distance = 1 + this.random() * 3;
             
             const target = {
                 x: currentPos.x + Math.cos(angle) * distance,
@@ -1025,9 +1925,9 @@ class AdaptiveExplorer {
         }
         // 实在不行就原地微小扰动
         return [currentPos, {
-            x: currentPos.x + (Math.random() - 0.5) * 0.5,
+            x: currentPos.x + (this.random() - 0.5) * 0.5,
             y: currentPos.y,
-            z: currentPos.z + (Math.random() - 0.5) * 0.5
+            z: currentPos.z + (this.random() - 0.5) * 0.5
         }];
     }
 }
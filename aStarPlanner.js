@@ -0,0 +1,132 @@
+const BinaryHeap = require('./binaryHeap');
+
+/**
+ * 栅格A*规划器，weight > 1 时为加权A*(f = g + w·h)，以路径最优性换取更少的扩展节点
+ * 开放集为二叉堆(节点改进后重新入堆，弹出时跳过已关闭的旧副本)，按 limits 的节点数和耗时截止。
+ * vertical 为 true 时节点带高度，邻域包括上下台阶和下落，可以翻越山坡、楼梯和多层建筑
+ */
+class AStarPlanner {
+    constructor(options = {}) {
+        this.name = options.name || 'astar';
+        this.weight = options.weight || 1;
+        this.vertical = !!options.vertical;
+    }
+
+    /**
+     * start/goal 为世界坐标，world 为 GroundWorldModel，limits: { maxNodes, maxTime, goalTolerance, cancelled }
+     * (cancelled 为可选的函数，返回 true 时中止搜索，结果为 cancelled)
+     * 返回 { path, stats: { result, expanded, generated, cost } }，path 为以起点开头的世界坐标序列，失败为 null
+     */
+    plan(start, goal, world, limits = {}) {
+        const { maxNodes = Infinity, maxTime = Infinity, goalTolerance = 1.5, cancelled = null } = limits;
+        const startTime = Date.now();
+        const startCell = world.toCell(start);
+        const goalCell = world.toCell(goal);
+
+        const openSet = new BinaryHeap();
+        const nodes = new Map(); // 节点键 -> { x, z, g, parent, closed }
+        const startNode = { ...startCell, g: 0, parent: null, closed: false };
+        if (this.vertical) {
+            startNode.y = world.y;
+        }
+        nodes.set(this.nodeKey(startNode, world), startNode);
+        openSet.push(startNode, this.weight * world.distance(startCell, goalCell));
+
+        let expanded = 0;
+        let result = 'exhausted';
+        let goalNode = null;
+        while (openSet.size > 0) {
+            if (expanded >= maxNodes) {
+                result = 'nodeLimit';
+                break;
+            }
+            // 每64个节点检查一次时钟和取消请求
+            if ((expanded & 63) === 0 && Date.now() - startTime > maxTime) {
+                result = 'timeLimit';
+                break;
+            }
+            if ((expanded & 63) === 0 && cancelled && cancelled()) {
+                result = 'cancelled';
+                break;
+            }
+
+            const current = openSet.pop();
+            if (current.closed) continue;
+            current.closed = true;
+            expanded++;
+            this.settle(current, world, nodes);
+
+            if (world.distance(current, goalCell) < goalTolerance && this.atGoalLevel(current, world)) {
+                result = 'found';
+                goalNode = current;
+                break;
+            }
+
+            for (const neighbor of this.successors(current, world)) {
+                const key = this.nodeKey(neighbor, world);
+                let node = nodes.get(key);
+                if ((node && node.closed) || !this.canEnter(neighbor, world)) {
+                    continue;
+                }
+                if (!node) {
+                    node = { ...neighbor, g: Infinity, parent: null, closed: false };
+                    nodes.set(key, node);
+                }
+                if (this.relax(current, node, world)) {
+                    openSet.push(node, node.g + this.weight * world.distance(node, goalCell));
+                }
+            }
+        }
+
+        return {
+            path: goalNode ? world.toPath(start, this.trace(goalNode, world), goal) : null,
+            stats: { result, expanded, generated: nodes.size, cost: goalNode ? goalNode.g : null }
+        };
+    }
+
+    nodeKey(cell, world) {
+        return this.vertical ? world.levelKey(cell.x, cell.y, cell.z) : world.key(cell.x, cell.z);
+    }
+
+    successors(current, world) {
+        return this.vertical ? world.levelNeighbors(current) : world.neighbors(current);
+    }
+
+    // 带高度的邻域生成时已检查能否站立
+    canEnter(cell, world) {
+        return this.vertical || world.isWalkable(cell.x, cell.z);
+    }
+
+    // 带高度时目标处地面上下一格内都算到达
+    atGoalLevel(cell, world) {
+        return !this.vertical || Math.abs(cell.y - world.goalY) <= 1;
+    }
+
+    // 节点出堆时确定其父节点，A*在松弛时已确定，无需处理
+    settle(current, world, nodes) {
+    }
+
+    // 经 current 到达 node 更短时更新 node 的代价和父节点，返回是否有改进
+    relax(current, node, world) {
+        const g = current.g + world.cost(current, node);
+        if (g >= node.g) return false;
+        node.g = g;
+        node.parent = current;
+        return true;
+    }
+
+    // 沿 parent 回溯到起点(不含起点)，返回格子中心序列，带高度的节点保留高度
+    trace(node, world) {
+        const points = [];
+        for (let current = node; current && current.parent; current = current.parent) {
+            const point = world.center(current);
+            if (current.y !== undefined) {
+                point.y = current.y;
+            }
+            points.unshift(point);
+        }
+        return points;
+    }
+}
+
+module.exports = AStarPlanner;
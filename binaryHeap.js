@@ -0,0 +1,77 @@
+// 数值优先级的默认比较
+function compareNumbers(a, b) {
+    return a - b;
+}
+
+/**
+ * 最小二叉堆，按 priority 从小到大弹出；compare(a, b) 可自定义优先级比较(如 D* Lite 的二元键)
+ * 不支持修改优先级：A* 中更新后的节点直接再次入堆，弹出时跳过已关闭的旧副本
+ */
+class BinaryHeap {
+    constructor(compare = compareNumbers) {
+        this.compare = compare;
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        this.siftUp(this.items.length - 1);
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    pop() {
+        if (this.items.length === 0) return undefined;
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    siftUp(index) {
+        const item = this.items[index];
+        const priority = this.priorities[index];
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(this.priorities[parent], priority) <= 0) break;
+            this.items[index] = this.items[parent];
+            this.priorities[index] = this.priorities[parent];
+            index = parent;
+        }
+        this.items[index] = item;
+        this.priorities[index] = priority;
+    }
+
+    siftDown(index) {
+        const length = this.items.length;
+        const item = this.items[index];
+        const priority = this.priorities[index];
+        while (true) {
+            const left = 2 * index + 1;
+            if (left >= length) break;
+            const right = left + 1;
+            const child = right < length && this.compare(this.priorities[right], this.priorities[left]) < 0 ? right : left;
+            if (this.compare(this.priorities[child], priority) >= 0) break;
+            this.items[index] = this.items[child];
+            this.priorities[index] = this.priorities[child];
+            index = child;
+        }
+        this.items[index] = item;
+        this.priorities[index] = priority;
+    }
+}
+
+module.exports = BinaryHeap;
@@ -1,4 +1,25 @@
 const { Vec3 } = require('vec3');
+const fs = require('fs');
+const path = require('path');
+const FlightStateMachine = require('./flightStateMachine');
+const EnergyModel = require('./energyModel');
+const MissionRunner = require('./missionRunner');
+const SurveyPlanner = require('./surveyPlanner');
+const FollowMode = require('./followMode');
+const OrbitMode = require('./orbitMode');
+const ExploreMode = require('./exploreMode');
+const MotionController = require('./motionController');
+const TrajectoryGenerator = require('./trajectoryGenerator');
+const { FlightState } = FlightStateMachine;
+
+// 遥控方向到控制键的映射
+const TELEOP_DIRECTIONS = {
+    forward: 'forward',
+    back: 'back',
+    backward: 'back',
+    left: 'left',
+    right: 'right'
+};
 
 class BotController {
     constructor(bot) {
@@ -7,6 +28,7 @@ class BotController {
         this.currentWaypointIndex = 0;
         this.pathfinding = null;
         this.isNavigating = false;
+        this.navigationQuiet = false;
         this.target = null;
         this.currentTarget = null;
         this.lastPosition = null;
@@ -25,6 +47,77 @@ class BotController {
         };
         this.plannedPath = [];
         this.actualPath = [];
+        this.groundPlan = null; // 地面探索器返回的当前计划 { id, reason, source }
+        this.groundRequest = 0; // 地面规划请求序号，规划线程中的请求被之后的请求取代时返回 null，不按失败处理
+        
+        // 地理围栏
+        this.geofence = null;
+        
+        // 编队时空预约，单机运行时为null
+        this.reservations = null;
+        this.droneId = 0;
+        this.separationHold = null; // 正在让行的无人机编号
+        
+        // 随机数来源，编队按种子注入以便复现
+        this.random = Math.random;
+        
+        // 飞行导航
+        this.flight = new FlightStateMachine(bot);
+        this.flightMode = false;
+        this.flightSpeed = 0.5; // 每tick飞行距离
+        
+        // 路径跟踪：纯追踪前视点 + 偏航PID
+        this.motion = new MotionController();
+        
+        // 飞行轨迹：平滑后的时间参数化轨迹，按tick推进参考时间
+        this.trajectoryGenerator = new TrajectoryGenerator();
+        this.trajectory = null;
+        this.trajectoryClock = 0;   // 当前参考时间(秒)
+        this.trajectoryMaxLag = 1.5; // 落后参考点超过该距离时暂停参考时间
+        this.tickSeconds = 0.05;
+        
+        // 动态障碍避让状态 { obstacle, mode: 'sidestep' | 'yield', time }，无避让时为null
+        this.avoidance = null;
+        this.avoidanceClearDelay = 500; // 连续无威胁超过该时间(ms)才结束避让状态
+        this.walkSpeed = 4.3; // 地面行走速度(格/秒)，作为避让的期望速度
+        
+        // 电池与返航
+        this.energy = new EnergyModel();
+        this.home = null;
+        this.homeFile = path.join(__dirname, 'home.json');
+        this.rth = null; // 返航任务 { phase: climb|transit|align|landing, reason, target, phaseSince }
+        this.rthAltitude = 10; // 飞行返航时高于返航点的安全高度
+        this.rthClimbTimeout = 15000;
+        
+        // 多航点任务
+        this.mission = new MissionRunner(this);
+        this.survey = new SurveyPlanner(this);
+        
+        // 跟随模式
+        this.follow = new FollowMode(this);
+        
+        // 环绕模式
+        this.orbit = new OrbitMode(this);
+        
+        // 边界探索模式
+        this.explore = new ExploreMode(this);
+        this.lowBatteryHandled = false;
+        this.depletedHandled = false;
+        this.lastEnergyPosition = null;
+        this.lastEnergyTime = Date.now();
+        this.lastReturnEstimate = 0;
+        this.returnEstimateInterval = 10000; // 每10秒重新规划一次返航距离
+        this.returnEstimatePending = false;
+        this.returnEstimateCache = null; // 上次三维规划的返航路径 { position, home, distance }
+        this.returnEstimateMove = 4; // 离上次规划的位置不超过该距离时沿用规划结果
+        this.returnDetourFactor = 1.4; // 无规划结果时直线距离的绕行系数
+        this.returnEstimateBudget = { maxIterations: 800, maxTime: 30 }; // 估算在主线程进行，限制搜索规模，超出时按直线估算
+        
+        // 手动遥控状态
+        this.teleop = null;
+        this.teleopArriveRadius = 0.5;
+        this.teleopStuckTimeout = 3000; // 3秒无进展视为卡住
+        this.teleopMaxDuration = 60000;
         
         // 优化记忆系统
         this.memoryBlocks = new Map();
@@ -34,8 +127,25 @@ class BotController {
         this.maxMemorySize = 5000; // 限制记忆大小
 
         this.bot.on('physicTick', () => {
+            if (this.teleop && this.flight.state === FlightState.HOVERING) {
+                this.flight.followHorizontal(this.bot.entity.position);
+            }
+            this.flight.update();
+            if (this.perception && typeof this.perception.updateEntities === 'function') {
+                this.perception.updateEntities();
+            }
+            this.updateEnergy();
+            if (this.rth) {
+                this.updateReturnHome();
+            }
+            this.mission.update();
+            this.follow.update();
+            this.orbit.update();
+            this.explore.update();
             if (this.isNavigating) {
                 this.updateNavigation();
+            } else if (this.teleop) {
+                this.updateTeleop();
             }
             this.updateMemoryData();
         });
@@ -44,6 +154,16 @@ class BotController {
             if (this.isNavigating && this.actualPath.length < 1000) { // 限制轨迹长度
                 this.actualPath.push(this.bot.entity.position.clone());
             }
+            // 能耗与轨迹使用同一位置序列计费
+            const position = this.bot.entity.position.clone();
+            // 单次位移过大视为传送，不计费
+            if (this.lastEnergyPosition && this.lastEnergyPosition.distanceTo(position) < 8) {
+                this.energy.recordMovement(this.lastEnergyPosition, position);
+            }
+            this.lastEnergyPosition = position;
+            if (this.reservations) {
+                this.reservations.updatePosition(this.droneId, position);
+            }
         });
 
         console.log('BotController初始化完成 (自定义寻路版本)');
@@ -59,6 +179,296 @@ class BotController {
         console.log('自定义路径规划器设置完成');
     }
 
+    setGeofence(geofence) {
+        this.geofence = geofence;
+        this.flight.geofence = geofence;
+        console.log('地理围栏已设置');
+    }
+
+    setRandom(random) {
+        this.random = random;
+    }
+
+    setReservations(reservations, droneId) {
+        this.reservations = reservations;
+        this.droneId = droneId;
+        console.log(`编队预约表已设置，无人机编号 ${droneId}`);
+    }
+
+    // 返回从 from 运动到 to 违反的围栏说明，无违反返回null
+    checkFence(from, to) {
+        if (!this.geofence) return null;
+        return this.geofence.segmentViolation(from, to, { airborne: this.isAirborne() });
+    }
+
+    abortForFence(reason) {
+        console.log(`地理围栏阻止运动: ${reason}`);
+        this.bot.chat(`地理围栏: ${reason}，已中止运动`);
+        if (this.isNavigating) {
+            this.stopNavigation();
+        }
+        this.stopTeleop('geofence');
+    }
+
+    setHome(position, persist = true) {
+        this.home = new Vec3(position.x, position.y, position.z);
+        console.log(`返航点: ${this.home.x.toFixed(1)}, ${this.home.y.toFixed(1)}, ${this.home.z.toFixed(1)}`);
+        if (persist) {
+            this.saveHome();
+        }
+    }
+
+    setReturnAltitude(altitude) {
+        if (typeof altitude !== 'number' || isNaN(altitude) || altitude < 0) {
+            throw new Error('返航安全高度必须为非负数');
+        }
+        this.rthAltitude = altitude;
+        this.saveHome();
+    }
+
+    saveHome() {
+        try {
+            const data = {
+                home: this.home ? { x: this.home.x, y: this.home.y, z: this.home.z } : null,
+                rthAltitude: this.rthAltitude
+            };
+            fs.writeFileSync(this.homeFile, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('保存返航点失败:', error);
+        }
+    }
+
+    // 读取持久化的返航点，成功返回true
+    loadHome() {
+        try {
+            if (!fs.existsSync(this.homeFile)) {
+                return false;
+            }
+            const data = JSON.parse(fs.readFileSync(this.homeFile, 'utf8'));
+            if (typeof data.rthAltitude === 'number') {
+                this.rthAltitude = data.rthAltitude;
+            }
+            if (!data.home) {
+                return false;
+            }
+            this.setHome(data.home, false);
+            return true;
+        } catch (error) {
+            console.error('读取返航点失败:', error);
+            return false;
+        }
+    }
+
+    // 飞行返航的巡航高度：不低于当前高度和返航点上方的安全高度
+    getReturnAltitude(position) {
+        let altitude = Math.max(position.y, this.home.y + this.rthAltitude);
+        if (this.geofence) {
+            altitude = this.geofence.clampAltitude(altitude);
+        }
+        return altitude;
+    }
+
+    // 按时间计费，并检查电量是否低于返航储备
+    updateEnergy() {
+        const now = Date.now();
+        this.energy.recordTime(now - this.lastEnergyTime, this.isAirborne());
+        this.lastEnergyTime = now;
+
+        if (this.home && now - this.lastReturnEstimate > this.returnEstimateInterval) {
+            this.lastReturnEstimate = now;
+            // 返航规划开销较大，不在 physicTick 处理函数中同步执行
+            setImmediate(() => this.refreshReturnEstimate());
+        }
+
+        if (this.energy.isDepleted()) {
+            this.handleDepletedBattery();
+            return;
+        }
+        this.depletedHandled = false;
+        if (this.energy.isBelowReserve()) {
+            this.handleLowBattery();
+        } else {
+            this.lowBatteryHandled = false;
+        }
+    }
+
+    // 估算返航距离：飞行中用三维规划的路径长度，否则按直线距离乘绕行系数
+    async refreshReturnEstimate() {
+        if (this.returnEstimatePending) return;
+        this.returnEstimatePending = true;
+        try {
+            const position = this.bot.entity.position.clone();
+            let distance = position.distanceTo(this.home) * this.returnDetourFactor;
+            if (this.pathfinding && this.isAirborne() && typeof this.pathfinding.planFlightPath === 'function') {
+                distance = await this.estimateFlightReturn(position, distance);
+            }
+            const climb = this.isAirborne() ? this.getReturnAltitude(position) - position.y : this.home.y - position.y;
+            this.energy.updateReserve(distance, climb);
+        } catch (error) {
+            console.error('返航距离估算失败:', error);
+        } finally {
+            this.returnEstimatePending = false;
+        }
+    }
+
+    // 三维规划的返航路径长度，离上次规划的位置不远且返航点未变时沿用上次结果加上其间的位移
+    async estimateFlightReturn(position, fallback) {
+        const cached = this.returnEstimateCache;
+        if (cached && cached.home.equals(this.home) && cached.position.distanceTo(position) < this.returnEstimateMove) {
+            return cached.distance + cached.position.distanceTo(position);
+        }
+        const path = await this.pathfinding.planFlightPath(position, this.home, this.returnEstimateBudget);
+        if (!path || path.length < 2) {
+            return fallback;
+        }
+        let distance = 0;
+        for (let i = 1; i < path.length; i++) {
+            // 规划结果是普通的 { x, y, z } 对象
+            distance += Math.sqrt((path[i].x - path[i - 1].x) ** 2 +
+                (path[i].y - path[i - 1].y) ** 2 +
+                (path[i].z - path[i - 1].z) ** 2);
+        }
+        this.returnEstimateCache = { position, home: this.home.clone(), distance };
+        return distance;
+    }
+
+    handleLowBattery() {
+        if (this.lowBatteryHandled || !this.home) return;
+        this.lowBatteryHandled = true;
+        if (this.rth || this.bot.entity.position.distanceTo(this.home) < this.waypointRadius * 2) {
+            return;
+        }
+        const percent = this.energy.getPercent().toFixed(1);
+        console.log(`电量 ${percent}% 低于返航储备，中止任务返航`);
+        this.bot.chat(`电量 ${percent}% 低于返航储备，中止当前任务并返航`);
+        this.returnHome('低电量');
+    }
+
+    // 电量耗尽：飞行中立即降落，无法降落则紧急悬停
+    handleDepletedBattery() {
+        if (this.depletedHandled) return;
+        this.depletedHandled = true;
+        console.log('电量耗尽');
+        this.stop();
+        if (!this.isAirborne()) {
+            this.bot.chat('电量耗尽');
+            return;
+        }
+        const result = this.flight.land();
+        if (result.success) {
+            this.bot.chat('电量耗尽，就地降落');
+        } else {
+            this.flight.emergency('电量耗尽');
+            this.bot.chat(`电量耗尽且无法降落(${result.reason})，紧急悬停`);
+        }
+    }
+
+    // 返航：飞行中先爬升到安全高度，再用规划器飞到返航点上方并降落；地面直接导航回去
+    returnHome(reason = '') {
+        if (!this.home) {
+            this.bot.chat('未设置返航点');
+            return false;
+        }
+        console.log(`返航${reason ? ` (${reason})` : ''}`);
+        this.stop();
+        this.rth = { phase: null, reason, target: null, phaseSince: 0 };
+
+        if (!this.isAirborne()) {
+            this.startReturnTransit(this.home.clone());
+            return true;
+        }
+        if (!this.flight.hover('返航')) {
+            this.bot.chat(`当前飞行状态 ${this.flight.state} 无法返航`);
+            this.rth = null;
+            return false;
+        }
+        const position = this.bot.entity.position;
+        const altitude = this.getReturnAltitude(position);
+        if (altitude > position.y) {
+            this.flight.climb(altitude - this.flight.holdPosition.y);
+        }
+        this.setReturnPhase('climb');
+        this.bot.chat(`返航中，先爬升到 Y=${this.flight.holdPosition.y.toFixed(1)}`);
+        return true;
+    }
+
+    setReturnPhase(phase) {
+        console.log(`返航阶段: ${phase}`);
+        this.rth.phase = phase;
+        this.rth.phaseSince = Date.now();
+    }
+
+    startReturnTransit(target) {
+        this.rth.target = target;
+        this.setReturnPhase('transit');
+        this.navigateTo(target, { owner: 'rth' });
+    }
+
+    cancelReturnHome(reason) {
+        if (!this.rth) return;
+        console.log(`返航取消: ${reason}`);
+        this.rth = null;
+    }
+
+    updateReturnHome() {
+        const position = this.bot.entity.position;
+        const elapsed = Date.now() - this.rth.phaseSince;
+
+        if (this.rth.phase === 'climb') {
+            const hold = this.flight.holdPosition;
+            if (this.flight.state !== FlightState.HOVERING || !hold) {
+                this.bot.chat(`返航爬升被中断(${this.flight.state})`);
+                this.cancelReturnHome('爬升中断');
+                return;
+            }
+            if (Math.abs(position.y - hold.y) < 0.2 || elapsed > this.rthClimbTimeout) {
+                this.startReturnTransit(new Vec3(this.home.x, position.y, this.home.z));
+            }
+        } else if (this.rth.phase === 'transit') {
+            // 导航被其他原因结束：到达则降落，否则报告失败
+            if (this.isNavigating || elapsed < 500) return;
+            if (this.horizontalDistance(position, this.rth.target) > this.waypointRadius * 2) {
+                this.bot.chat('返航失败，未能到达返航点');
+                this.cancelReturnHome('未到达');
+                return;
+            }
+            if (!this.isAirborne()) {
+                this.bot.chat('已返回返航点');
+                this.cancelReturnHome('完成');
+                return;
+            }
+            // 悬停对准返航点后再降落
+            if (!this.flight.hover('对准返航点')) {
+                this.bot.chat(`返航对准失败，当前状态 ${this.flight.state}`);
+                this.cancelReturnHome('对准失败');
+                return;
+            }
+            this.flight.holdPosition = new Vec3(this.home.x, position.y, this.home.z);
+            this.setReturnPhase('align');
+        } else if (this.rth.phase === 'align') {
+            if (this.flight.state !== FlightState.HOVERING) {
+                this.cancelReturnHome('对准中断');
+                return;
+            }
+            if (this.horizontalDistance(position, this.home) > 0.1 && elapsed < 5000) return;
+            const result = this.flight.land();
+            if (!result.success) {
+                this.bot.chat(`已到达返航点上方，但无法降落: ${result.reason}`);
+                this.cancelReturnHome('无法降落');
+                return;
+            }
+            this.setReturnPhase('landing');
+        } else if (this.rth.phase === 'landing') {
+            if (this.flight.state === FlightState.GROUNDED) {
+                this.bot.chat('已返航着陆');
+                this.cancelReturnHome('完成');
+            } else if (this.flight.state !== FlightState.LANDING) {
+                this.bot.chat(`返航降落中止，当前状态 ${this.flight.state}`);
+                this.cancelReturnHome('降落中止');
+            }
+        }
+    }
+
     updateMemoryData() {
         const now = Date.now();
         if (now - this.lastMemoryUpdate < this.memoryUpdateInterval) {
@@ -157,36 +567,84 @@ class BotController {
         return nearest;
     }
 
-    async navigateTo(target) {
+    async navigateTo(target, options = {}) {
         try {
             console.log(`开始自定义导航到: ${target.x}, ${target.y}, ${target.z}`);
             
+            this.stopTeleop('superseded');
+            // owner 标记导航的发起者，其他来源的导航会取消返航和任务
+            if (options.owner !== 'rth') {
+                this.cancelReturnHome('新的导航任务');
+            }
+            if (options.owner !== 'mission') {
+                this.mission.abort('新的导航任务');
+            }
+            if (options.owner !== 'follow') {
+                this.follow.stop('新的导航任务');
+            }
+            if (options.owner !== 'orbit') {
+                this.orbit.stop('新的导航任务');
+            }
+            if (options.owner !== 'explore') {
+                this.explore.stop('新的导航任务');
+            }
+            if (this.energy.isDepleted()) {
+                this.bot.chat('电量耗尽，拒绝导航');
+                return;
+            }
+            const violation = this.geofence && this.geofence.violation(target, { airborne: this.isAirborne() });
+            if (violation) {
+                console.log(`导航目标违反地理围栏: ${violation}`);
+                this.bot.chat(`目标违反地理围栏(${violation})，拒绝导航`);
+                if (this.isNavigating) {
+                    this.stopNavigation();
+                }
+                return;
+            }
+            
             this.target = target instanceof Vec3 ? target : new Vec3(target.x, target.y, target.z);
             this.isNavigating = true;
             this.stuckCounter = 0;
             this.currentTarget = this.target;
+            // 首次规划完成前不触发定时重规划，避免地面重规划覆盖飞行路径
+            this.lastPathUpdate = Date.now();
+            this.navigationQuiet = !!options.quiet;
+            this.motion.reset();
             
-            // 清理旧的轨迹
+            // 清理旧的轨迹和计划
             this.actualPath = [];
+            this.groundPlan = null;
             
-            if (this.pathfinding) {
+            if (this.pathfinding && this.isAirborne() && typeof this.pathfinding.planFlightPath === 'function') {
+                if (!this.flight.cruise()) {
+                    this.bot.chat(`当前飞行状态 ${this.flight.state} 无法巡航`);
+                    this.stopNavigation();
+                    return;
+                }
                 const currentPos = this.bot.entity.position.clone();
-                const result = await this.pathfinding.exploreToTarget(this.target);
-                if (result && result.length === 2 && result[1]) {
-                    this.plannedPath = [result[0], result[1]].map(p => p instanceof Vec3 ? p.clone() : new Vec3(p.x, p.y, p.z));
-                    this.currentPath = this.plannedPath.slice();
-                    this.currentWaypointIndex = 0;
-                    console.log(`路径规划完成，包含 ${this.currentPath.length} 个点`);
+                if (await this.planFlightRoute(currentPos)) {
+                    this.reportNavigation(`找到飞行路径，包含 ${this.currentPath.length} 个航点`);
+                } else if (this.isNavigating) {
+                    this.bot.chat('无法找到飞行路径');
+                    this.stopNavigation();
+                }
+            } else if (this.pathfinding) {
+                const request = ++this.groundRequest;
+                const plan = await this.pathfinding.exploreToTarget(this.target);
+                if (!plan && request !== this.groundRequest) return;
+                if (plan && plan.cursor < plan.waypoints.length) {
+                    this.applyGroundPlan(plan);
+                    console.log(`路径规划完成(计划 #${plan.id}, ${plan.reason})，包含 ${this.currentPath.length} 个点`);
                     this.currentPath.forEach((pt, idx) => {
                         console.log(`  航点${idx}: (${pt.x.toFixed(2)}, ${pt.y.toFixed(2)}, ${pt.z.toFixed(2)})`);
                     });
-                    this.bot.chat(`找到路径，包含 ${this.currentPath.length} 个航点`);
+                    this.reportNavigation(`找到路径，包含 ${this.currentPath.length} 个航点`);
                 } else {
                     const nearest = this.findNearestMemoryBlockToTarget(this.target);
                     if (nearest) {
                         console.log('目标不可达，尝试导航到记忆空间中最近的点:', nearest);
                         this.bot.chat('目标不可达，尝试靠近目标');
-                        await this.navigateTo(nearest);
+                        await this.navigateTo(nearest, options);
                     } else {
                         console.log('路径规划失败');
                         this.bot.chat('无法找到有效路径');
@@ -205,6 +663,15 @@ class BotController {
         }
     }
 
+    // 导航进度消息，quiet 导航(如跟随模式的频繁重规划)只写日志不发聊天
+    reportNavigation(message) {
+        if (this.navigationQuiet) {
+            console.log(message);
+        } else {
+            this.bot.chat(message);
+        }
+    }
+
     updateNavigation() {
         try {
             if (!this.isNavigating || !this.target) {
@@ -216,7 +683,7 @@ class BotController {
 
             if (targetDistance < this.waypointRadius) {
                 console.log('已到达目标位置');
-                this.bot.chat('导航完成！');
+                this.reportNavigation('导航完成！');
                 this.stopNavigation();
                 return;
             }
@@ -247,21 +714,64 @@ class BotController {
                 return;
             }
 
+            if (this.flightMode && this.trajectory) {
+                this.followTrajectory(botPos);
+                return;
+            }
+
             const waypoint = this.currentPath[this.currentWaypointIndex];
-            const waypointVec3 = waypoint instanceof Vec3 ? waypoint : new Vec3(waypoint.x, waypoint.y, waypoint.z);
-            const waypointDistance = botPos.distanceTo(waypointVec3);
+            const waypointDistance = botPos.distanceTo(waypoint);
 
+            // 到达航点后直接转向下一航点，不停顿
             if (waypointDistance < this.waypointRadius) {
                 this.currentWaypointIndex++;
                 console.log(`到达航点 ${this.currentWaypointIndex}/${this.currentPath.length}`);
                 
                 if (this.currentWaypointIndex >= this.currentPath.length) {
                     this.clearMovement();
+                    // 地面计划走完后立即向探索器要下一段
+                    if (this.groundPlan) {
+                        this.lastPathUpdate = 0;
+                    }
+                    return;
                 }
+            }
+
+            // 纯追踪：越过航段终点时推进航点，追踪路径上的前视点
+            const pursuit = this.motion.getLookahead(this.currentPath, this.currentWaypointIndex, botPos, !this.flightMode);
+            if (pursuit.index > this.currentWaypointIndex) {
+                this.currentWaypointIndex = pursuit.index;
+                console.log(`越过航点 ${this.currentWaypointIndex}/${this.currentPath.length}`);
+            }
+            const waypointVec3 = this.currentPath[this.currentWaypointIndex];
+
+            const violation = this.checkFence(botPos, waypointVec3);
+            if (violation) {
+                this.abortForFence(violation);
                 return;
             }
 
-            this.calculateMovement(botPos, waypointVec3);
+            if (this.checkSeparation(botPos, waypointVec3)) {
+                return;
+            }
+
+            if (!this.flightMode) {
+                const aim = this.avoidOnGround(botPos, pursuit.point);
+                if (!aim) {
+                    this.clearMovement();
+                    return;
+                }
+                pursuit.point = aim;
+            }
+            const command = this.flightMode
+                ? this.flyTowards(botPos, pursuit.point, { remaining: botPos.distanceTo(this.target) })
+                : this.calculateMovement(botPos, pursuit.point);
+            this.motion.record({
+                crossTrack: pursuit.crossTrack,
+                headingError: command ? command.headingError : 0,
+                altitudeError: pursuit.altitudeError,
+                lookahead: { x: pursuit.point.x, y: pursuit.point.y, z: pursuit.point.z }
+            });
 
         } catch (error) {
             console.error('移动到航点时出错:', error);
@@ -269,37 +779,247 @@ class BotController {
         }
     }
 
-    calculateMovement(currentPos, targetPos) {
-        const dx = targetPos.x - currentPos.x;
-        const dz = targetPos.z - currentPos.z;
-        const dy = targetPos.y - currentPos.y;
-        
-        const targetYaw = Math.atan2(-dx, -dz);
-        const currentYaw = this.bot.entity.yaw;
-        
-        let yawDiff = targetYaw - currentYaw;
-        
-        while (yawDiff > Math.PI) yawDiff -= 2 * Math.PI;
-        while (yawDiff < -Math.PI) yawDiff += 2 * Math.PI;
-        
+    // 跟踪时间参数化轨迹：参考时间每tick推进，被阻挡或让行而落后时暂停，等待追上
+    followTrajectory(botPos) {
+        const trajectory = this.trajectory;
+        const current = this.trajectoryGenerator.sample(trajectory, this.trajectoryClock);
+        if (botPos.distanceTo(current.position) <= this.trajectoryMaxLag) {
+            this.trajectoryClock = Math.min(this.trajectoryClock + this.tickSeconds, trajectory.duration);
+        }
+        const reference = this.trajectoryGenerator.sample(trajectory, this.trajectoryClock);
+        this.currentWaypointIndex = Math.min(reference.segment + 1, this.currentPath.length - 1);
+
+        const violation = this.checkFence(botPos, reference.position);
+        if (violation) {
+            this.abortForFence(violation);
+            return;
+        }
+        if (this.checkSeparation(botPos, this.currentPath[this.currentWaypointIndex])) {
+            return;
+        }
+
         this.clearMovement();
-        
-        const turnThreshold = 0.1;
-        if (Math.abs(yawDiff) > turnThreshold) {
-            if (yawDiff > 0) {
-                this.setControl('left', true);
-            } else {
-                this.setControl('right', true);
+        this.bot.entity.velocity = new Vec3(0, 0, 0);
+        // 追赶参考点时允许超出额定步长一半
+        const command = this.motion.computeTrajectory(botPos, this.bot.entity.yaw, reference, this.flightSpeed * 1.5);
+        command.step = this.avoidDynamicObstacles(botPos, command.step);
+        this.bot.entity.position.add(command.step);
+        this.bot.look(command.yaw, command.pitch, true);
+
+        // 误差分解为沿参考速度方向的滞后和垂直于轨迹的横向误差
+        const error = current.position.minus(botPos);
+        const direction = current.speed > 0 ? current.velocity.scaled(1 / current.speed) : new Vec3(0, 0, 0);
+        const along = error.dot(direction);
+        this.motion.record({
+            crossTrack: error.minus(direction.scaled(along)).norm(),
+            headingError: command.headingError,
+            altitudeError: current.position.y - botPos.y,
+            alongTrack: along,
+            lookahead: { x: reference.position.x, y: reference.position.y, z: reference.position.z }
+        });
+    }
+
+    // 平滑飞行路径并生成速度剖面，样条点用知识地图检查净空
+    buildTrajectory(path, startSpeed) {
+        const pathfinding = this.pathfinding;
+        const isClear = pathfinding && typeof pathfinding.isVoxelFlyable === 'function'
+            ? point => pathfinding.isVoxelFlyable({ x: Math.floor(point.x), y: Math.floor(point.y), z: Math.floor(point.z) }, 0)
+            : null;
+        const trajectory = this.trajectoryGenerator.generate(path, {
+            isClear,
+            maxSpeed: this.flightSpeed / this.tickSeconds,
+            startSpeed
+        });
+        console.log(`轨迹平滑: ${trajectory.smoothedSegments} 段样条，${trajectory.fallbackSegments} 段退回折线，长 ${trajectory.length.toFixed(1)} 格，预计 ${trajectory.duration.toFixed(1)}s`);
+        return trajectory;
+    }
+
+    /**
+     * 飞行动态避让：本tick的期望位移换算成速度交给规划器的速度障碍避让，返回调整后的位移
+     * 避让位移会越过围栏时改为原地让行
+     */
+    avoidDynamicObstacles(botPos, step) {
+        if (!this.pathfinding || typeof this.pathfinding.avoidDynamicObstacles !== 'function') {
+            return step;
+        }
+        const result = this.pathfinding.avoidDynamicObstacles(botPos, step.scaled(1 / this.tickSeconds), { flight: true });
+        if (!result.changed) {
+            this.updateAvoidance(null);
+            return step;
+        }
+        let avoided = result.velocity.scaled(this.tickSeconds);
+        if (avoided.norm() > 0 && this.checkFence(botPos, botPos.plus(avoided))) {
+            avoided = new Vec3(0, 0, 0);
+        }
+        this.updateAvoidance(result, avoided.norm() === 0 ? 'yield' : 'sidestep');
+        return avoided;
+    }
+
+    // 地面动态避让：按行走速度求避让方向，返回新的追踪点；需要原地让行时返回null
+    avoidOnGround(botPos, aim) {
+        if (!this.pathfinding || typeof this.pathfinding.avoidDynamicObstacles !== 'function') {
+            return aim;
+        }
+        const direction = new Vec3(aim.x - botPos.x, 0, aim.z - botPos.z);
+        const distance = direction.norm();
+        if (distance < 0.05) {
+            return aim;
+        }
+        const result = this.pathfinding.avoidDynamicObstacles(botPos, direction.scaled(this.walkSpeed / distance));
+        if (!result.changed) {
+            this.updateAvoidance(null);
+            return aim;
+        }
+        const speed = result.velocity.norm();
+        this.updateAvoidance(result, speed === 0 ? 'yield' : 'sidestep');
+        if (speed === 0) {
+            return null;
+        }
+        const offset = result.velocity.scaled(distance / speed);
+        return new Vec3(botPos.x + offset.x, aim.y, botPos.z + offset.z);
+    }
+
+    // 记录避让状态，开始、切换方式和结束时写日志；绕行中短暂无威胁不算结束
+    updateAvoidance(result, mode) {
+        const now = Date.now();
+        if (!result) {
+            if (this.avoidance && now - this.avoidance.lastThreat > this.avoidanceClearDelay) {
+                console.log(`实体 ${this.avoidance.obstacle} 已不构成威胁，恢复正常跟踪`);
+                this.avoidance = null;
             }
-        } else {
-            this.setControl('forward', true);
-            
-            if (dy > 0.5) {
-                this.setControl('jump', true);
+            return;
+        }
+        const obstacle = result.obstacle ? result.obstacle.name : null;
+        if (!this.avoidance || this.avoidance.obstacle !== obstacle || this.avoidance.mode !== mode) {
+            console.log(`动态避让 ${obstacle}: ${mode === 'yield' ? '原地让行' : '侧向绕行'}`);
+        }
+        this.avoidance = { obstacle, mode, time: result.time, lastThreat: now };
+    }
+
+    // 前方与其他无人机过近时编号大的一方原地让行，编号小的一方提前重规划绕开，返回是否需要停下
+    checkSeparation(botPos, waypoint) {
+        const conflict = this.reservations ? this.reservations.findConflict(this.droneId, botPos, waypoint) : null;
+        if (!conflict) {
+            if (this.separationHold !== null) {
+                console.log(`无人机 ${this.separationHold} 已让开，继续导航`);
+                this.separationHold = null;
             }
+            return false;
+        }
+        if (!conflict.yield) {
+            if (Date.now() - this.lastPathUpdate > this.pathUpdateInterval / 4) {
+                this.lastPathUpdate = 0;
+            }
+            return false;
+        }
+        if (this.separationHold !== conflict.droneId) {
+            console.log(`与无人机 ${conflict.droneId} 距离 ${conflict.distance.toFixed(2)}，原地让行`);
+            this.separationHold = conflict.droneId;
+        }
+        this.clearMovement();
+        return true;
+    }
+
+    // 地面移动：偏航平滑转向，同时组合前进与侧移，返回控制量(含航向误差)
+    // options.lookAt: 朝向锁定在该点(含俯仰)，用前后左右平移走向目标
+    calculateMovement(currentPos, targetPos, options = {}) {
+        if (options.lookAt) {
+            this.strafeTowards(currentPos, targetPos, options.lookAt);
+            return null;
         }
         
-        this.bot.look(targetYaw, 0, true);
+        const command = this.motion.computeGround(currentPos, this.bot.entity.yaw, targetPos);
+        Object.entries(command.controls).forEach(([control, state]) => this.setControl(control, state));
+        this.bot.look(command.yaw, command.pitch, true);
+        return command;
+    }
+
+    // 飞行时直接按步长移动位置，与 creative.flyTo 相同的方式，但每tick可中断
+    // options.speed: 速度上限，缺省为 flightSpeed；options.remaining: 到终点的距离，用于末段减速
+    // options.lookAt: 朝向锁定在该点，按固定步长直线移动
+    flyTowards(currentPos, targetPos, options = {}) {
+        const delta = targetPos.minus(currentPos);
+        const distance = delta.norm();
+        if (distance === 0) {
+            return null;
+        }
+        const speed = options.speed || this.flightSpeed;
+        this.clearMovement();
+        this.bot.entity.velocity = new Vec3(0, 0, 0);
+        
+        if (options.lookAt) {
+            this.bot.entity.position.add(delta.scaled(Math.min(speed, distance) / distance));
+            this.lookAtPoint(this.bot.entity.position, options.lookAt);
+            return null;
+        }
+        const command = this.motion.computeFlight(currentPos, this.bot.entity.yaw, targetPos, speed, options.remaining);
+        command.step = this.avoidDynamicObstacles(currentPos, command.step);
+        this.bot.entity.position.add(command.step);
+        this.bot.look(command.yaw, command.pitch, true);
+        return command;
+    }
+
+    // 从眼睛高度看向 point，返回使用的 yaw
+    lookAtPoint(position, point) {
+        const dx = point.x - position.x;
+        const dz = point.z - position.z;
+        const dy = point.y - (position.y + 1.62);
+        const yaw = Math.atan2(-dx, -dz);
+        const pitch = Math.atan2(dy, Math.sqrt(dx * dx + dz * dz));
+        this.bot.look(yaw, pitch, true);
+        return yaw;
+    }
+
+    // 朝向锁定时按目标方向在机体坐标系下的分量组合前后左右控制
+    strafeTowards(currentPos, targetPos, lookAt) {
+        const yaw = this.lookAtPoint(currentPos, lookAt);
+        const dx = targetPos.x - currentPos.x;
+        const dz = targetPos.z - currentPos.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        this.clearMovement();
+        if (length < 0.05) {
+            return;
+        }
+        const forward = (-Math.sin(yaw) * dx - Math.cos(yaw) * dz) / length;
+        const left = (-Math.cos(yaw) * dx + Math.sin(yaw) * dz) / length;
+        const threshold = 0.3;
+        if (forward > threshold) this.setControl('forward', true);
+        if (forward < -threshold) this.setControl('back', true);
+        if (left > threshold) this.setControl('left', true);
+        if (left < -threshold) this.setControl('right', true);
+        if (targetPos.y - currentPos.y > 0.5) {
+            this.setControl('jump', true);
+        }
+    }
+
+    isAirborne() {
+        return this.flight.isAirborne();
+    }
+
+    async planFlightRoute(currentPos) {
+        const path = await this.pathfinding.planFlightPath(currentPos, this.target, { reserve: true });
+        if (!this.isNavigating || !path || path.length < 2) {
+            if (this.reservations && !this.isNavigating) {
+                this.reservations.release(this.droneId);
+            }
+            return false;
+        }
+        // 重规划时以当前参考速度起步，保持速度连续
+        const startSpeed = this.trajectory
+            ? this.trajectoryGenerator.sample(this.trajectory, this.trajectoryClock).speed
+            : 0;
+        this.flightMode = true;
+        this.groundPlan = null;
+        this.plannedPath = path.map(p => new Vec3(p.x, p.y, p.z));
+        this.currentPath = this.plannedPath.slice();
+        this.currentWaypointIndex = 1;
+        this.trajectory = this.buildTrajectory(this.plannedPath, startSpeed);
+        this.trajectoryClock = 0;
+        console.log(`飞行路径规划完成，包含 ${this.currentPath.length} 个航点`);
+        this.currentPath.forEach((pt, idx) => {
+            console.log(`  航点${idx}: (${pt.x.toFixed(2)}, ${pt.y.toFixed(2)}, ${pt.z.toFixed(2)})`);
+        });
+        return true;
     }
 
     setControl(control, state) {
@@ -322,12 +1042,31 @@ class BotController {
             const currentPos = this.bot.entity.position.clone();
             console.log('重新规划路径...');
             
-            const result = await this.pathfinding.exploreToTarget(this.target);
-            if (result && result.length === 2 && result[1]) {
-                this.currentPath = [result[0], result[1]].map(pos => pos instanceof Vec3 ? pos.clone() : new Vec3(pos.x, pos.y, pos.z));
-                this.currentWaypointIndex = 0;
-                console.log(`路径重规划完成，新路径包含 ${this.currentPath.length} 个点`);
-                this.bot.chat(`找到路径，包含 ${this.currentPath.length} 个航点`);
+            if (this.flightMode) {
+                if (!(await this.planFlightRoute(currentPos)) && this.isNavigating) {
+                    console.log('飞行路径重规划失败');
+                    this.bot.chat('无法找到飞行路径');
+                    this.stopNavigation();
+                }
+                return;
+            }
+            
+            // 把跟随进度交给探索器，计划未变时它只推进游标
+            const progress = this.groundPlan ? { planId: this.groundPlan.id, cursor: this.currentWaypointIndex } : null;
+            const request = ++this.groundRequest;
+            const plan = await this.pathfinding.exploreToTarget(this.target, progress);
+            if (!this.isNavigating) return;
+            if (!plan && request !== this.groundRequest) {
+                console.log('重规划请求已被取代，等待新请求的结果');
+                return;
+            }
+            if (plan && plan.cursor < plan.waypoints.length) {
+                const changed = !this.groundPlan || this.groundPlan.id !== plan.id;
+                this.applyGroundPlan(plan);
+                if (changed) {
+                    console.log(`路径重规划完成(计划 #${plan.id}, ${plan.reason})，新路径包含 ${this.currentPath.length} 个点`);
+                    this.reportNavigation(`找到路径，包含 ${this.currentPath.length} 个航点`);
+                }
             } else {
                 console.log('路径规划失败');
                 this.bot.chat('无法找到有效路径');
@@ -338,6 +1077,19 @@ class BotController {
         }
     }
 
+    /**
+     * 跟随探索器返回的完整计划：同一计划只推进游标(取双方较大者)，新计划从它的游标开始
+     */
+    applyGroundPlan(plan) {
+        const samePlan = this.groundPlan && this.groundPlan.id === plan.id;
+        this.plannedPath = plan.waypoints.map(p => new Vec3(p.x, p.y, p.z));
+        this.currentPath = this.plannedPath.slice();
+        this.currentWaypointIndex = samePlan
+            ? Math.min(Math.max(this.currentWaypointIndex, plan.cursor), this.currentPath.length - 1)
+            : plan.cursor;
+        this.groundPlan = { id: plan.id, reason: plan.reason, source: plan.source };
+    }
+
     isStuck(currentPos) {
         if (!this.lastPosition) {
             return false;
@@ -361,7 +1113,7 @@ class BotController {
         this.clearMovement();
         
         this.setControl('jump', true);
-        const randomTurn = Math.random() > 0.5 ? 'left' : 'right';
+        const randomTurn = this.random() > 0.5 ? 'left' : 'right';
         this.setControl(randomTurn, true);
         
         setTimeout(() => {
@@ -375,20 +1127,240 @@ class BotController {
         }, 1500);
     }
 
+    // ===== 手动遥控 =====
+
+    // 方向移动: amount 为距离(格)或时长("2s"/"500ms")，缺省时持续移动直到 !move(stop)
+    move(direction, amount) {
+        const control = TELEOP_DIRECTIONS[direction];
+        if (!control) {
+            this.bot.chat(`未知移动方向: ${direction}`);
+            return Promise.resolve({ success: false, reason: 'invalid_direction' });
+        }
+        const limit = this.parseTeleopAmount(amount);
+        if (!limit) {
+            this.bot.chat(`无效的移动量: ${amount}`);
+            return Promise.resolve({ success: false, reason: 'invalid_amount' });
+        }
+
+        console.log(`遥控移动: ${control}`, limit);
+        return this.startTeleop({ type: 'move', control, ...limit });
+    }
+
+    // 地面模式直线移动到指定坐标，完成或失败时通过聊天汇报
+    async moveTo(x, y, z) {
+        const target = new Vec3(x, y, z);
+        console.log(`遥控移动到: ${x}, ${y}, ${z}`);
+
+        const violation = this.checkFence(this.bot.entity.position, target);
+        if (violation) {
+            this.bot.chat(`移动路线违反地理围栏(${violation})，拒绝移动`);
+            return { success: false, reason: 'geofence' };
+        }
+
+        const result = await this.startTeleop({ type: 'moveTo', target });
+        if (result.success) {
+            this.bot.chat(`已到达 ${x}, ${y}, ${z}`);
+        } else if (result.reason !== 'stopped' && result.reason !== 'superseded') {
+            this.bot.chat(`移动到 ${x}, ${y}, ${z} 失败: ${result.reason}`);
+        }
+        return result;
+    }
+
+    // 转向: !turn(90) 转到绝对朝向(0=北, 90=东)，!turn(left, 30) / !turn(right, 30) 相对转向
+    async turn(value, degrees) {
+        let yaw;
+        if (value === 'left' || value === 'right') {
+            const delta = degrees === undefined ? 90 : parseFloat(degrees);
+            if (isNaN(delta)) {
+                this.bot.chat(`无效的转向角度: ${degrees}`);
+                return false;
+            }
+            const sign = value === 'left' ? 1 : -1;
+            yaw = this.bot.entity.yaw + sign * delta * Math.PI / 180;
+        } else {
+            const heading = parseFloat(value);
+            if (isNaN(heading)) {
+                this.bot.chat(`无效的朝向: ${value}`);
+                return false;
+            }
+            yaw = -heading * Math.PI / 180;
+        }
+
+        // 直线移动会覆盖朝向，转向前先取消；方向移动保留，便于边走边转
+        if (this.teleop && this.teleop.type === 'moveTo') {
+            this.stopTeleop('superseded');
+        }
+        if (this.isNavigating) {
+            this.stopNavigation();
+        }
+
+        yaw = Math.atan2(Math.sin(yaw), Math.cos(yaw));
+        await this.bot.look(yaw, this.bot.entity.pitch, true);
+        console.log(`转向完成，当前朝向: ${this.getHeading().toFixed(1)}°`);
+        return true;
+    }
+
+    getHeading() {
+        const heading = -this.bot.entity.yaw * 180 / Math.PI;
+        return ((heading % 360) + 360) % 360;
+    }
+
+    parseTeleopAmount(amount) {
+        if (amount === undefined || amount === '') {
+            return {};
+        }
+        const match = String(amount).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+        if (!match) {
+            return null;
+        }
+        const value = parseFloat(match[1]);
+        const unit = match[2] && match[2].toLowerCase();
+        if (unit === 's') return { duration: value * 1000 };
+        if (unit === 'ms') return { duration: value };
+        return { distance: value };
+    }
+
+    startTeleop(task) {
+        this.stopTeleop('superseded');
+        this.cancelReturnHome('手动遥控');
+        this.mission.abort('手动遥控');
+        this.follow.stop('手动遥控');
+        this.orbit.stop('手动遥控');
+        this.explore.stop('手动遥控');
+        if (this.isNavigating) {
+            this.stopNavigation();
+        }
+
+        return new Promise(resolve => {
+            const now = Date.now();
+            this.teleop = {
+                ...task,
+                startPos: this.bot.entity.position.clone(),
+                startTime: now,
+                bestDistance: Infinity,
+                lastProgressTime: now,
+                resolve
+            };
+        });
+    }
+
+    updateTeleop() {
+        const task = this.teleop;
+        const pos = this.bot.entity.position;
+        const now = Date.now();
+        const elapsed = now - task.startTime;
+
+        if (task.type === 'move') {
+            const travelled = this.horizontalDistance(task.startPos, pos);
+            if ((task.distance !== undefined && travelled >= task.distance) ||
+                (task.duration !== undefined && elapsed >= task.duration)) {
+                this.stopTeleop('completed');
+                return;
+            }
+            const violation = this.checkFence(pos, pos.plus(this.getControlDirection(task.control)));
+            if (violation) {
+                this.abortForFence(violation);
+                return;
+            }
+            this.setControl(task.control, true);
+            return;
+        }
+
+        if (task.type === 'moveTo') {
+            const remaining = this.horizontalDistance(pos, task.target);
+            if (remaining < this.teleopArriveRadius) {
+                this.stopTeleop('completed');
+                return;
+            }
+            if (remaining < task.bestDistance - 0.1) {
+                task.bestDistance = remaining;
+                task.lastProgressTime = now;
+            } else if (now - task.lastProgressTime > this.teleopStuckTimeout) {
+                this.stopTeleop('stuck');
+                return;
+            }
+            if (elapsed > this.teleopMaxDuration) {
+                this.stopTeleop('timeout');
+                return;
+            }
+            const violation = this.checkFence(pos, task.target);
+            if (violation) {
+                this.abortForFence(violation);
+                return;
+            }
+            this.calculateMovement(pos, task.target);
+        }
+    }
+
+    stopTeleop(reason = 'stopped') {
+        const task = this.teleop;
+        if (!task) {
+            return;
+        }
+        this.teleop = null;
+        this.clearMovement();
+
+        const result = {
+            success: reason === 'completed',
+            reason: reason,
+            type: task.type,
+            distance: this.horizontalDistance(task.startPos, this.bot.entity.position),
+            duration: Date.now() - task.startTime
+        };
+        console.log(`遥控${task.type}结束: ${reason}, 移动 ${result.distance.toFixed(2)} 格, 用时 ${result.duration}ms`);
+        task.resolve(result);
+    }
+
+    // 控制键在当前朝向下对应的水平单位方向
+    getControlDirection(control) {
+        const yaw = this.bot.entity.yaw;
+        const forward = new Vec3(-Math.sin(yaw), 0, -Math.cos(yaw));
+        const left = new Vec3(-Math.cos(yaw), 0, Math.sin(yaw));
+        switch (control) {
+            case 'forward': return forward;
+            case 'back': return forward.scaled(-1);
+            case 'left': return left;
+            case 'right': return left.scaled(-1);
+            default: return new Vec3(0, 0, 0);
+        }
+    }
+
+    horizontalDistance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+    }
+
     stop() {
+        this.cancelReturnHome('停止');
+        this.mission.abort('停止');
+        this.follow.stop('停止');
+        this.orbit.stop('停止');
+        this.explore.stop('停止');
+        this.stopTeleop();
         this.stopNavigation();
     }
 
     stopNavigation() {
         console.log('停止导航');
         this.isNavigating = false;
+        this.flightMode = false;
         this.target = null;
         this.currentTarget = null;
         this.currentPath = [];
         this.currentWaypointIndex = 0;
+        this.groundPlan = null;
+        this.trajectory = null;
+        this.trajectoryClock = 0;
+        this.avoidance = null;
         this.stuckCounter = 0;
+        this.separationHold = null;
+        if (this.reservations) {
+            this.reservations.release(this.droneId);
+        }
         
         this.clearMovement();
+        if (this.flight.state === FlightState.CRUISING) {
+            this.flight.hover('导航结束');
+        }
         
         console.log('导航已停止');
     }
@@ -404,19 +1376,63 @@ class BotController {
             } : null,
             currentWaypoint: this.currentWaypointIndex,
             totalWaypoints: this.currentPath.length,
+            plan: this.groundPlan,
             position: this.bot.entity.position ? {
-                x: this.botPos.x,
-                y: this.botPos.y,
-                z: this.botPos.z
+                x: this.bot.entity.position.x,
+                y: this.bot.entity.position.y,
+                z: this.bot.entity.position.z
             } : null,
             yaw: this.bot.entity.yaw || 0,
+            flightState: this.flight.state,
+            flight: this.flight.getStatus(),
+            battery: this.energy.getStatus(),
+            returningHome: !!this.rth,
+            rthPhase: this.rth ? this.rth.phase : null,
+            rthAltitude: this.rthAltitude,
+            tracking: this.motion.getTrackingError(),
+            trajectory: this.trajectory ? {
+                length: this.trajectory.length,
+                duration: this.trajectory.duration,
+                elapsed: this.trajectoryClock,
+                smoothedSegments: this.trajectory.smoothedSegments,
+                fallbackSegments: this.trajectory.fallbackSegments
+            } : null,
+            avoidance: this.avoidance,
+            search: this.pathfinding ? this.pathfinding.lastSearchStats : null,
+            droneId: this.droneId,
+            separationHold: this.separationHold,
+            mission: this.mission.getStatus(),
+            survey: this.survey.getStatus(),
+            follow: this.follow.getStatus(),
+            orbit: this.orbit.getStatus(),
+            explore: this.explore.getStatus(),
+            home: this.home ? { x: this.home.x, y: this.home.y, z: this.home.z } : null,
             memoryStats: memoryStats
         };
     }
 
+    // 平滑轨迹按间隔抽样，最多 limit 个点，保留终点
+    getSmoothedPath(limit) {
+        if (!this.trajectory) return [];
+        const points = this.trajectory.points;
+        const stride = Math.max(1, Math.ceil(points.length / limit));
+        const result = [];
+        for (let i = 0; i < points.length; i += stride) {
+            result.push({ x: points[i].x, y: points[i].y, z: points[i].z, v: points[i].v });
+        }
+        const last = points[points.length - 1];
+        if ((points.length - 1) % stride !== 0) {
+            result.push({ x: last.x, y: last.y, z: last.z, v: last.v });
+        }
+        return result;
+    }
+
     getPathInfo() {
         return {
             plannedPath: this.plannedPath.slice(0, 200), // 限制路径点数量
+            pathCursor: this.currentWaypointIndex, // 之前的航点已走过
+            plan: this.groundPlan,
+            smoothedPath: this.getSmoothedPath(200),
             actualPath: this.actualPath.slice(-200), // 只保留最近200个点
             memoryBlocks: this.getMemoryBlocks()
         };
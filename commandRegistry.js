@@ -0,0 +1,239 @@
+const { Vec3 } = require('vec3');
+
+// 指令参数校验失败时抛出，消息会直接发回聊天
+class CommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CommandError';
+    }
+}
+
+// 参数类型: 每种类型声明占用的原始参数个数和解析函数
+const ARG_TYPES = {
+    number: {
+        label: '数字',
+        arity: 1,
+        parse(tokens, spec) {
+            const value = Number(tokens[0]);
+            if (tokens[0] === '' || isNaN(value)) {
+                throw new CommandError(`参数 ${spec.name} 应为数字，收到 "${tokens[0]}"`);
+            }
+            return value;
+        }
+    },
+    vec3: {
+        label: '坐标',
+        arity: 3,
+        parse(tokens, spec) {
+            const values = tokens.map(Number);
+            if (tokens.length < 3 || values.some(isNaN)) {
+                throw new CommandError(`参数 ${spec.name} 应为坐标 x y z，收到 "${tokens.join(' ')}"`);
+            }
+            return new Vec3(values[0], values[1], values[2]);
+        }
+    },
+    enum: {
+        label: '选项',
+        arity: 1,
+        parse(tokens, spec) {
+            const value = tokens[0].toLowerCase();
+            const match = spec.values.find(v => v.toLowerCase() === value);
+            if (!match) {
+                throw new CommandError(`参数 ${spec.name} 应为 ${spec.values.join('|')} 之一，收到 "${tokens[0]}"`);
+            }
+            return match;
+        }
+    },
+    block: {
+        label: '方块名',
+        arity: 1,
+        parse(tokens, spec, bot) {
+            const name = tokens[0].replace(/^minecraft:/, '').toLowerCase();
+            const blocksByName = bot && bot.registry && bot.registry.blocksByName;
+            if (blocksByName && !blocksByName[name]) {
+                throw new CommandError(`参数 ${spec.name} 应为方块名，未知方块 "${tokens[0]}"`);
+            }
+            return name;
+        }
+    },
+    string: {
+        label: '文本',
+        arity: 1,
+        parse(tokens) {
+            return tokens[0];
+        }
+    }
+};
+
+class CommandRegistry {
+    constructor(bot) {
+        this.bot = bot;
+        this.commands = new Map();
+        this.aliases = new Map();
+        this.prefix = '!';
+
+        this.register({
+            name: 'help',
+            description: '查看指令列表或指定指令的用法',
+            args: [{ name: 'command', type: 'string', optional: true }],
+            handler: ({ command }) => this.sendHelp(command)
+        });
+    }
+
+    /**
+     * 注册指令
+     * spec: { name, aliases, description, args: [{ name, type, optional, default, values, variadic }], handler(args, context) }
+     * variadic 参数只能放在最后，会收集剩余的全部原始参数并返回数组
+     */
+    register(spec) {
+        if (!spec.name || typeof spec.handler !== 'function') {
+            throw new Error('指令必须包含 name 和 handler');
+        }
+        const args = spec.args || [];
+        for (const arg of args) {
+            if (!ARG_TYPES[arg.type]) {
+                throw new Error(`指令 ${spec.name} 的参数 ${arg.name} 类型未知: ${arg.type}`);
+            }
+        }
+        const command = { aliases: [], description: '', ...spec, args };
+        this.commands.set(command.name.toLowerCase(), command);
+        for (const alias of command.aliases) {
+            this.aliases.set(alias.toLowerCase(), command.name.toLowerCase());
+        }
+        return this;
+    }
+
+    get(name) {
+        const key = name.toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key));
+    }
+
+    // 解析 !cmd(a, b) 和 !cmd a b 两种写法，返回 { name, tokens }
+    parse(message) {
+        const text = message.trim();
+        if (!text.startsWith(this.prefix)) return null;
+        const body = text.slice(this.prefix.length);
+
+        const callMatch = body.match(/^(\w+)\s*\(([^)]*)\)$/);
+        if (callMatch) {
+            const tokens = callMatch[2].split(',').map(arg => arg.trim()).filter(arg => arg.length > 0);
+            return { name: callMatch[1], tokens };
+        }
+
+        const wordMatch = body.match(/^(\w+)(?:\s+(.*))?$/);
+        if (wordMatch) {
+            const tokens = wordMatch[2] ? wordMatch[2].trim().split(/[\s,]+/).filter(arg => arg.length > 0) : [];
+            return { name: wordMatch[1], tokens };
+        }
+        return null;
+    }
+
+    // 按参数声明把原始参数转换为类型化的参数对象
+    validate(command, tokens) {
+        const args = {};
+        let index = 0;
+        for (const spec of command.args) {
+            const type = ARG_TYPES[spec.type];
+            if (spec.variadic && index < tokens.length) {
+                const values = [];
+                while (index < tokens.length) {
+                    values.push(type.parse(tokens.slice(index, index + type.arity), spec, this.bot));
+                    index += type.arity;
+                }
+                args[spec.name] = values;
+                continue;
+            }
+            if (index >= tokens.length) {
+                if (!spec.optional) {
+                    throw new CommandError(`缺少参数 ${spec.name}，用法: ${this.formatUsage(command)}`);
+                }
+                args[spec.name] = spec.default;
+                continue;
+            }
+            const slice = tokens.slice(index, index + type.arity);
+            args[spec.name] = type.parse(slice, spec, this.bot);
+            index += type.arity;
+        }
+        if (index < tokens.length) {
+            throw new CommandError(`参数过多，用法: ${this.formatUsage(command)}`);
+        }
+        return args;
+    }
+
+    // 处理一条聊天消息，返回是否为已识别的指令
+    async handle(username, message) {
+        const parsed = this.parse(message);
+        if (!parsed) return false;
+
+        const command = this.get(parsed.name);
+        if (!command) {
+            this.bot.chat(`未知指令 ${this.prefix}${parsed.name}，输入 ${this.prefix}help 查看指令列表`);
+            return false;
+        }
+
+        try {
+            const args = this.validate(command, parsed.tokens);
+            await command.handler(args, { username, bot: this.bot, registry: this, command });
+        } catch (error) {
+            if (error instanceof CommandError) {
+                this.bot.chat(error.message);
+            } else {
+                console.error(`执行指令 ${command.name} 出错:`, error);
+                this.bot.chat(`执行指令 ${command.name} 出错: ${error.message}`);
+            }
+        }
+        return true;
+    }
+
+    formatUsage(command) {
+        const args = command.args.map(arg => {
+            let label = arg.type === 'enum' ? arg.values.join('|') : `${arg.name}:${ARG_TYPES[arg.type].label}`;
+            if (arg.variadic) label += '...';
+            return arg.optional ? `[${label}]` : label;
+        });
+        return `${this.prefix}${command.name}(${args.join(', ')})`;
+    }
+
+    sendHelp(name) {
+        if (name) {
+            const command = this.get(name.replace(this.prefix, ''));
+            if (!command) {
+                throw new CommandError(`未知指令 ${name}`);
+            }
+            this.bot.chat(`${this.formatUsage(command)} - ${command.description}`);
+            if (command.aliases.length > 0) {
+                this.bot.chat(`别名: ${command.aliases.map(a => this.prefix + a).join(', ')}`);
+            }
+            return;
+        }
+
+        // 聊天单条消息长度有限，按行分批发送
+        const names = Array.from(this.commands.values()).map(command => this.prefix + command.name);
+        const lines = [];
+        let line = '指令:';
+        for (const name of names) {
+            if (line.length + name.length + 1 > 200) {
+                lines.push(line);
+                line = '';
+            }
+            line += ` ${name}`;
+        }
+        lines.push(line);
+        lines.push(`输入 ${this.prefix}help 指令名 查看用法`);
+        lines.forEach(text => this.bot.chat(text.trim()));
+    }
+
+    listCommands() {
+        return Array.from(this.commands.values()).map(command => ({
+            name: command.name,
+            aliases: command.aliases,
+            usage: this.formatUsage(command),
+            description: command.description
+        }));
+    }
+}
+
+CommandRegistry.CommandError = CommandError;
+CommandRegistry.ARG_TYPES = ARG_TYPES;
+
+module.exports = CommandRegistry;
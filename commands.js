@@ -1,82 +1,670 @@
 // commands.js
 // 注册开发调试指令
-const Vec3 = require('vec3').Vec3;
-
-module.exports = function registerCommands(bot, controller, parser) {
-    let isFlying = false;
-
-    bot.on('chat', (username, message) => {
-      if (username === bot.username) return;
-      const result = parser.parse(message);
-      if (!result) return;
-      
-      switch (result.command) {
-        case 'move':
-          if (result.args[0] === 'stop') {
-            controller.stop();
-            if (isFlying) {
-              bot.creative.stopFlying();
-              isFlying = false;
-            }
-          } else if (result.args[0] === 'up') {
-            if (!isFlying) {
-              bot.creative.startFlying();
-              isFlying = true;
+const fs = require('fs');
+const path = require('path');
+
+module.exports = function registerCommands(bot, controller, registry) {
+    const flight = controller.flight;
+
+    // up/down 的数值参数：落地时为起飞高度，飞行中为升降格数
+    const parseAltitude = (amount, fallback) => {
+      if (amount === undefined) return fallback;
+      const value = Number(amount);
+      if (isNaN(value) || value <= 0) {
+        bot.chat(`无效的高度: ${amount}`);
+        return null;
+      }
+      return value;
+    };
+
+    registry.register({
+      name: 'move',
+      description: '方向移动(距离格数或时长如2s)，up/down/hover/land 飞行控制，emergency 紧急悬停，stop 停止',
+      args: [
+        { name: 'direction', type: 'enum', values: ['forward', 'back', 'backward', 'left', 'right', 'stop', 'up', 'down', 'hover', 'land', 'emergency'] },
+        { name: 'amount', type: 'string', optional: true }
+      ],
+      handler: ({ direction, amount }) => {
+        if (direction === 'stop') {
+          controller.stop();
+          if (flight.isAirborne()) {
+            flight.hover('停止指令');
+          }
+        } else if (direction === 'up') {
+          if (!flight.isAirborne()) {
+            const altitude = parseAltitude(amount, flight.config.takeoffAltitude);
+            if (altitude === null) return;
+            if (flight.takeoff(altitude)) {
+              bot.chat(`起飞中，目标离地高度 ${altitude}`);
+            } else {
+              bot.chat(`无法起飞: ${flight.lastError}`);
             }
-            const pos = bot.entity.position.offset(10, 5, 0);
-            bot.creative.flyTo(pos);
+            return;
+          }
+          const delta = parseAltitude(amount, 5);
+          if (delta === null) return;
+          controller.stop();
+          if (flight.hover('升高指令') && flight.climb(delta)) {
             console.log("Flying up...");
-          } else if (result.args[0] === 'down') {
-            if (!isFlying) {
-              bot.creative.startFlying();
-              isFlying = true;
-            }
-            const pos = bot.entity.position.offset(0, -5, 0);
-            bot.creative.flyTo(pos);
+          } else {
+            bot.chat(`当前飞行状态 ${flight.state} 无法升高`);
+          }
+        } else if (direction === 'down') {
+          if (!flight.isAirborne()) {
+            bot.chat('尚未起飞');
+            return;
+          }
+          const delta = parseAltitude(amount, 5);
+          if (delta === null) return;
+          controller.stop();
+          if (flight.hover('下降指令') && flight.climb(-delta)) {
             console.log("Flying down...");
-          } else if (result.args[0] === 'hover') {
-            if (!isFlying) {
-              bot.creative.startFlying();
-              isFlying = true;
+          } else {
+            bot.chat(`当前飞行状态 ${flight.state} 无法下降`);
+          }
+        } else if (direction === 'hover') {
+          if (!flight.isAirborne()) {
+            if (!flight.takeoff()) {
+              bot.chat(`无法起飞: ${flight.lastError}`);
             }
-            const pos = bot.entity.position;
-            bot.creative.flyTo(pos);
+            return;
+          }
+          controller.stop();
+          if (flight.hover('悬停指令')) {
             console.log("Hovering...");
-          } else if (result.args[0] === 'land') {
-            if (isFlying) {
-              bot.creative.stopFlying();
-              isFlying = false;
-            }
-            console.log("Landing...");
           } else {
-            controller.move(result.args[0]);
-          }
-          break;
-        case 'moveTo':
-          const x = parseFloat(result.args[0]);
-          const y = parseFloat(result.args[1]);
-          const z = parseFloat(result.args[2]);
-          
-          if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
-            const targetPos = new Vec3(x, y, z);
-            if (isFlying) {
-              // 如果在飞行状态，使用flyTo
-              bot.creative.flyTo(targetPos);
-              console.log(`Flying to position: ${x}, ${y}, ${z}`);
-            } else {
-              // 如果不在飞行状态，使用普通移动
-              controller.moveTo(x, y, z);
-            }
+            bot.chat(`当前飞行状态 ${flight.state} 无法悬停`);
+          }
+        } else if (direction === 'land') {
+          if (!flight.isAirborne()) {
+            bot.chat('已在地面');
+            return;
+          }
+          controller.stop();
+          const result = flight.land();
+          if (result.success) {
+            console.log("Landing...");
           } else {
-            console.log("Invalid coordinates for moveTo command");
+            bot.chat(`无法降落: ${result.reason}`);
+          }
+        } else if (direction === 'emergency') {
+          controller.stop();
+          if (flight.emergency('紧急指令')) {
+            bot.chat('进入紧急状态，原地保持，使用 !move(hover) 或 !move(land) 恢复');
+          }
+        } else {
+          controller.move(direction, amount);
+        }
+      }
+    });
+
+    registry.register({
+      name: 'moveTo',
+      description: '直线移动到坐标，飞行中按三维规划路径飞过去',
+      args: [{ name: 'target', type: 'vec3' }],
+      handler: ({ target }) => {
+        if (flight.isAirborne()) {
+          // 如果在飞行状态，使用三维飞行规划
+          controller.navigateTo(target);
+          console.log(`Flying to position: ${target.x}, ${target.y}, ${target.z}`);
+        } else {
+          // 如果不在飞行状态，使用普通移动
+          controller.moveTo(target.x, target.y, target.z);
+        }
+      }
+    });
+
+    registry.register({
+      name: 'turn',
+      description: '转到绝对朝向(0=北,90=东)，或 left/right 加角度相对转向',
+      args: [
+        { name: 'heading', type: 'string' },
+        { name: 'degrees', type: 'number', optional: true }
+      ],
+      handler: ({ heading, degrees }) => controller.turn(heading, degrees)
+    });
+
+    registry.register({
+      name: 'sethome',
+      description: '设置返航点，缺省为当前位置',
+      args: [{ name: 'position', type: 'vec3', optional: true }],
+      handler: ({ position }) => {
+        const home = position || bot.entity.position;
+        controller.setHome(home);
+        bot.chat(`返航点已设置为 ${home.x.toFixed(1)}, ${home.y.toFixed(1)}, ${home.z.toFixed(1)}`);
+      }
+    });
+
+    registry.register({
+      name: 'rth',
+      aliases: ['home'],
+      description: '返航并降落，可指定高于返航点的安全返航高度',
+      args: [{ name: 'altitude', type: 'number', optional: true }],
+      handler: ({ altitude }) => {
+        if (altitude !== undefined) {
+          controller.setReturnAltitude(altitude);
+          bot.chat(`返航安全高度: 返航点上方 ${altitude} 格`);
+        }
+        controller.returnHome('返航指令');
+      }
+    });
+
+    registry.register({
+      name: 'mission',
+      description: '多航点任务: load 文件 / start / pause / resume / skip / abort / status',
+      args: [
+        { name: 'action', type: 'enum', values: ['load', 'start', 'pause', 'resume', 'skip', 'abort', 'status'] },
+        { name: 'file', type: 'string', optional: true }
+      ],
+      handler: ({ action, file }) => {
+        const runner = controller.mission;
+        if (action === 'load') {
+          if (!file) {
+            bot.chat('用法: !mission load 任务文件.json (位于 missions 目录)');
+            return;
+          }
+          const mission = runner.loadFile(file);
+          bot.chat(`已加载任务 ${mission.name}，${mission.waypoints.length} 个航点，使用 !mission start 开始`);
+        } else if (action === 'start') {
+          runner.start();
+        } else if (action === 'status') {
+          const status = runner.getStatus();
+          bot.chat(status.name
+            ? `任务 ${status.name}: ${status.state}，航点 ${Math.min(status.index + 1, status.total)}/${status.total}${status.phase ? ` (${status.phase})` : ''}`
+            : '没有已加载的任务');
+        } else {
+          const ok = action === 'abort' ? runner.abort('中止指令') : runner[action]();
+          if (!ok) {
+            bot.chat(`任务状态 ${runner.state} 下无法 ${action}`);
+          }
+        }
+      }
+    });
+
+    registry.register({
+      name: 'survey',
+      description: '矩形区域覆盖测绘，间距缺省按感知扫描半径计算',
+      args: [
+        { name: 'x1', type: 'number' },
+        { name: 'z1', type: 'number' },
+        { name: 'x2', type: 'number' },
+        { name: 'z2', type: 'number' },
+        { name: 'altitude', type: 'number' },
+        { name: 'spacing', type: 'number', optional: true }
+      ],
+      handler: ({ x1, z1, x2, z2, altitude, spacing }) => {
+        const points = [
+          { x: Math.min(x1, x2), z: Math.min(z1, z2) },
+          { x: Math.max(x1, x2), z: Math.min(z1, z2) },
+          { x: Math.max(x1, x2), z: Math.max(z1, z2) },
+          { x: Math.min(x1, x2), z: Math.max(z1, z2) }
+        ];
+        const survey = controller.survey.start(points, altitude, spacing);
+        bot.chat(`开始测绘，高度 ${altitude}，航线间距 ${survey.spacing.toFixed(1)}，${controller.mission.getStatus().total} 个航点`);
+      }
+    });
+
+    registry.register({
+      name: 'surveyPoly',
+      description: '多边形区域覆盖测绘: 高度 后接至少3组 x z 顶点',
+      args: [
+        { name: 'altitude', type: 'number' },
+        { name: 'points', type: 'number', variadic: true }
+      ],
+      handler: ({ altitude, points }) => {
+        if (points.length < 6 || points.length % 2 !== 0) {
+          bot.chat('多边形顶点需要成对的 x z，且至少3个顶点');
+          return;
+        }
+        const vertices = [];
+        for (let i = 0; i < points.length; i += 2) {
+          vertices.push({ x: points[i], z: points[i + 1] });
+        }
+        const survey = controller.survey.start(vertices, altitude);
+        bot.chat(`开始多边形测绘，高度 ${altitude}，航线间距 ${survey.spacing.toFixed(1)}，${controller.mission.getStatus().total} 个航点`);
+      }
+    });
+
+    // 任务进度事件同步到聊天
+    controller.mission.on('mission', (event) => {
+      const progress = `[${Math.min(event.index + 1, event.total)}/${event.total}]`;
+      const messages = {
+        missionStarted: `任务 ${event.mission} 开始`,
+        waypointReached: `${progress} 到达航点`,
+        waypointSkipped: `${progress} 跳过航点`,
+        waypointFailed: `${progress} 航点失败: ${event.reason}`,
+        missionPaused: `${progress} 任务暂停`,
+        missionResumed: `${progress} 任务继续`,
+        missionCompleted: `任务 ${event.mission} 完成`,
+        missionAborted: `任务 ${event.mission} 中止: ${event.reason}`
+      };
+      if (messages[event.type]) {
+        bot.chat(messages[event.type]);
+      }
+    });
+
+    registry.register({
+      name: 'follow',
+      description: '跟随玩家或实体，可指定身后距离和高于目标的高度',
+      args: [
+        { name: 'name', type: 'string' },
+        { name: 'offset', type: 'number', optional: true, default: 3 },
+        { name: 'altitude', type: 'number', optional: true }
+      ],
+      handler: ({ name, offset, altitude }) => {
+        controller.follow.start(name, offset, altitude);
+        bot.chat(`开始跟随 ${name}，距离 ${offset}，高度 ${controller.follow.altitude}`);
+      }
+    });
+
+    registry.register({
+      name: 'unfollow',
+      description: '停止跟随',
+      handler: () => {
+        bot.chat(controller.follow.stop('停止指令') ? '已停止跟随' : '当前没有跟随目标');
+      }
+    });
+
+    registry.register({
+      name: 'orbit',
+      description: '绕点环绕: 中心坐标 半径 高度(相对中心) [速度 格/秒，负数顺时针] [圈数，0为持续]',
+      args: [
+        { name: 'center', type: 'vec3' },
+        { name: 'radius', type: 'number' },
+        { name: 'altitude', type: 'number' },
+        { name: 'speed', type: 'number', optional: true, default: 2 },
+        { name: 'laps', type: 'number', optional: true, default: 0 }
+      ],
+      handler: ({ center, radius, altitude, speed, laps }) => {
+        if (controller.orbit.start(center, radius, altitude, speed, laps)) {
+          bot.chat(`前往环绕轨道，半径 ${radius}，高度 ${altitude}${laps ? `，${laps} 圈` : ''}`);
+        }
+      }
+    });
+
+    registry.register({
+      name: 'explore',
+      description: '边界探索: 探索当前位置周围 半径 格内的未知区域 [时间预算 秒]，结束时报告覆盖率；stop 停止',
+      args: [
+        { name: 'radius', type: 'string', optional: true, default: '32' },
+        { name: 'budget', type: 'number', optional: true, default: 300 }
+      ],
+      handler: ({ radius, budget }) => {
+        if (radius.toLowerCase() === 'stop') {
+          bot.chat(controller.explore.stop('停止指令') ? '已停止探索' : '当前没有进行探索');
+          return;
+        }
+        const value = Number(radius);
+        if (isNaN(value)) {
+          bot.chat(`无效的探索半径: ${radius}`);
+          return;
+        }
+        controller.explore.start(value, budget);
+        const status = controller.explore.getStatus();
+        bot.chat(`开始探索半径 ${value} 格，时间预算 ${budget} 秒，当前覆盖率 ${(status.initialCoverage * 100).toFixed(1)}%`);
+      }
+    });
+
+    registry.register({
+      name: 'battery',
+      description: '查看电量，reset 充满，set 参数名 数值 调整能耗模型',
+      args: [
+        { name: 'action', type: 'enum', values: ['status', 'reset', 'set'], optional: true, default: 'status' },
+        { name: 'key', type: 'string', optional: true },
+        { name: 'value', type: 'number', optional: true }
+      ],
+      handler: ({ action, key, value }) => {
+        const energy = controller.energy;
+        if (action === 'reset') {
+          energy.reset();
+          bot.chat(`电池已充满: ${energy.config.capacity}`);
+        } else if (action === 'set') {
+          if (key === undefined || value === undefined) {
+            bot.chat(`用法: !battery set 参数名 数值，可用参数: ${Object.keys(energy.config).join(', ')}`);
+            return;
           }
-          break;
-        case 'turn':
-          controller.turn(result.args[0]);
-          break;
-        default:
-          break;
+          energy.configure(key, value);
+          bot.chat(`能耗参数 ${key} = ${value}`);
+        } else {
+          const status = energy.getStatus();
+          bot.chat(`电量: ${status.level.toFixed(1)}/${status.capacity} (${status.percent.toFixed(1)}%)`);
+          bot.chat(`返航储备: ${status.reserve.toFixed(1)} (${status.reservePercent.toFixed(1)}%)，返航距离约 ${status.returnDistance.toFixed(1)} 格`);
+        }
+      }
+    });
+
+    registry.register({
+      name: 'motion',
+      description: '查看路径跟踪误差，reset 清空记录，set 参数名 数值 调整控制增益',
+      args: [
+        { name: 'action', type: 'enum', values: ['status', 'reset', 'set'], optional: true, default: 'status' },
+        { name: 'key', type: 'string', optional: true },
+        { name: 'value', type: 'number', optional: true }
+      ],
+      handler: ({ action, key, value }) => {
+        const motion = controller.motion;
+        if (action === 'reset') {
+          motion.reset();
+          bot.chat('已清空跟踪误差记录');
+        } else if (action === 'set') {
+          if (key === undefined || value === undefined) {
+            bot.chat(`用法: !motion set 参数名 数值，可用参数: ${Object.keys(motion.config).join(', ')}`);
+            return;
+          }
+          motion.configure(key, value);
+          bot.chat(`控制参数 ${key} = ${value}`);
+        } else {
+          const tracking = motion.getTrackingError();
+          if (tracking.samples === 0) {
+            bot.chat('暂无跟踪记录');
+            return;
+          }
+          bot.chat(`跟踪采样 ${tracking.samples} 次: 横向误差 RMS ${tracking.crossTrackRms.toFixed(2)} 最大 ${tracking.crossTrackMax.toFixed(2)} 格`);
+          bot.chat(`航向误差 RMS ${(tracking.headingErrorRms * 180 / Math.PI).toFixed(1)}° 最大 ${(tracking.headingErrorMax * 180 / Math.PI).toFixed(1)}°，平均高度误差 ${tracking.altitudeErrorMean.toFixed(2)} 格`);
+        }
+      }
+    });
+
+    registry.register({
+      name: 'trajectory',
+      description: '查看当前飞行轨迹，set 参数名 数值 调整平滑与速度剖面参数',
+      args: [
+        { name: 'action', type: 'enum', values: ['status', 'set'], optional: true, default: 'status' },
+        { name: 'key', type: 'string', optional: true },
+        { name: 'value', type: 'number', optional: true }
+      ],
+      handler: ({ action, key, value }) => {
+        const generator = controller.trajectoryGenerator;
+        if (action === 'set') {
+          if (key === undefined || value === undefined) {
+            bot.chat(`用法: !trajectory set 参数名 数值，可用参数: ${Object.keys(generator.config).join(', ')}`);
+            return;
+          }
+          generator.configure(key, value);
+          bot.chat(`轨迹参数 ${key} = ${value}，下次规划生效`);
+          return;
+        }
+        const trajectory = controller.trajectory;
+        if (!trajectory) {
+          bot.chat('当前没有飞行轨迹');
+          return;
+        }
+        bot.chat(`轨迹长 ${trajectory.length.toFixed(1)} 格，已飞 ${controller.trajectoryClock.toFixed(1)}/${trajectory.duration.toFixed(1)}s，` +
+          `${trajectory.smoothedSegments} 段样条，${trajectory.fallbackSegments} 段折线`);
+      }
+    });
+
+    registry.register({
+      name: 'search',
+      description: '查看最近一次地面搜索统计，set 参数名 数值 调整节点数、耗时上限和搜索范围',
+      args: [
+        { name: 'action', type: 'enum', values: ['status', 'set'], optional: true, default: 'status' },
+        { name: 'key', type: 'string', optional: true },
+        { name: 'value', type: 'number', optional: true }
+      ],
+      handler: ({ action, key, value }) => {
+        const pathfinding = controller.pathfinding;
+        if (!pathfinding) {
+          bot.chat('路径规划器尚未就绪');
+          return;
+        }
+        if (action === 'set') {
+          if (key === undefined || value === undefined) {
+            bot.chat(`用法: !search set 参数名 数值，可用参数: ${Object.keys(pathfinding.searchConfig).join(', ')}`);
+            return;
+          }
+          pathfinding.configureSearch(key, value);
+          bot.chat(`搜索参数 ${key} = ${value}`);
+          return;
+        }
+        const stats = pathfinding.lastSearchStats;
+        if (!stats) {
+          bot.chat('尚未进行地面搜索');
+          return;
+        }
+        const { maxNodes, maxTime } = pathfinding.searchConfig;
+        bot.chat(`最近搜索(${stats.planner}): ${stats.result}，扩展 ${stats.expanded}/${maxNodes} 个节点，安全检查 ${stats.safetyChecks} 次，耗时 ${stats.time}/${maxTime}ms，路径 ${stats.pathLength} 点`);
+        if (stats.mode === 'repair') {
+          bot.chat(`增量修复 ${stats.changedCells} 个变化格子，上次完整规划耗时 ${stats.lastFullTime === null ? '--' : stats.lastFullTime + 'ms'}`);
+        }
+      }
+    });
+
+    registry.register({
+      name: 'planner',
+      description: '查看或切换地面规划算法(astar/weighted/thetastar/jps/rrtstar/dstarlite)',
+      args: [
+        { name: 'name', type: 'string', optional: true }
+      ],
+      handler: ({ name }) => {
+        const pathfinding = controller.pathfinding;
+        if (!pathfinding) {
+          bot.chat('路径规划器尚未就绪');
+          return;
+        }
+        if (name === undefined) {
+          bot.chat(`当前地面规划算法: ${pathfinding.planner.name}`);
+          pathfinding.planners.list().forEach(entry => bot.chat(`${entry.name} - ${entry.description}`));
+          return;
+        }
+        pathfinding.setPlanner(name);
+        bot.chat(`地面规划算法已切换为 ${name}，下次规划生效`);
+      }
+    });
+
+    registry.register({
+      name: 'cost',
+      description: '查看或切换地形代价配置(costProfiles.json 中的 default/cautious/fast/stealth 等)',
+      args: [
+        { name: 'profile', type: 'string', optional: true }
+      ],
+      handler: ({ profile }) => {
+        const pathfinding = controller.pathfinding;
+        if (!pathfinding) {
+          bot.chat('路径规划器尚未就绪');
+          return;
+        }
+        const model = pathfinding.costModel;
+        if (profile === undefined) {
+          bot.chat(`当前地形代价配置: ${model.profileName}`);
+          model.list().forEach(entry => bot.chat(`${entry.name} - ${entry.description}`));
+          return;
+        }
+        pathfinding.setCostProfile(profile);
+        bot.chat(`地形代价配置已切换为 ${profile}，下次规划生效`);
+      }
+    });
+
+    registry.register({
+      name: 'entities',
+      description: '列出感知到的运动实体及其速度',
+      args: [
+        { name: 'count', type: 'number', optional: true, default: 5 }
+      ],
+      handler: ({ count }) => {
+        if (!controller.perception || !controller.perception.entities) {
+          bot.chat('感知系统尚未就绪');
+          return;
+        }
+        const tracks = controller.perception.entities.getTracks(bot.entity.position);
+        if (tracks.length === 0) {
+          bot.chat('附近没有运动实体');
+          return;
+        }
+        bot.chat(`附近 ${tracks.length} 个实体${controller.avoidance ? `，正在${controller.avoidance.mode === 'yield' ? '让行' : '绕行'} ${controller.avoidance.obstacle}` : ''}`);
+        tracks.slice(0, count).forEach(track => {
+          const distance = track.position.distanceTo(bot.entity.position);
+          bot.chat(`${track.name}(${track.kind}) 距离 ${distance.toFixed(1)} 速度 ${track.velocity.norm().toFixed(1)} 格/秒`);
+        });
       }
     });
+
+    registerGeofenceCommands(bot, controller.geofence, registry);
   };
-  
\ No newline at end of file
+
+function registerGeofenceCommands(bot, geofence, registry) {
+    registry.register({
+      name: 'nofly',
+      description: '添加长方体禁飞区(两个对角坐标)',
+      args: [
+        { name: 'corner1', type: 'vec3' },
+        { name: 'corner2', type: 'vec3' }
+      ],
+      handler: ({ corner1, corner2 }) => {
+        const id = geofence.addNoFlyZone({ type: 'box', min: corner1, max: corner2 });
+        bot.chat(`已添加禁飞区 ${id}`);
+      }
+    });
+
+    registry.register({
+      name: 'noflyPoly',
+      description: '添加多边形禁飞区: 最低Y 最高Y 后接至少3组 x z 顶点',
+      args: [
+        { name: 'minY', type: 'number' },
+        { name: 'maxY', type: 'number' },
+        { name: 'points', type: 'number', variadic: true }
+      ],
+      handler: ({ minY, maxY, points }) => {
+        if (points.length < 6 || points.length % 2 !== 0) {
+          bot.chat('多边形顶点需要成对的 x z，且至少3个顶点');
+          return;
+        }
+        const vertices = [];
+        for (let i = 0; i < points.length; i += 2) {
+          vertices.push({ x: points[i], z: points[i + 1] });
+        }
+        const id = geofence.addNoFlyZone({ type: 'polygon', points: vertices, minY, maxY });
+        bot.chat(`已添加多边形禁飞区 ${id}，${vertices.length} 个顶点`);
+      }
+    });
+
+    registry.register({
+      name: 'altitude',
+      description: '设置飞行高度限制(绝对Y)',
+      args: [
+        { name: 'min', type: 'number' },
+        { name: 'max', type: 'number' }
+      ],
+      handler: ({ min, max }) => {
+        geofence.setAltitudeLimits(min, max);
+        bot.chat(`高度限制: ${min} ~ ${max}`);
+      }
+    });
+
+    registry.register({
+      name: 'boundary',
+      description: '设置作业边界: cylinder x z 半径 / box x1 z1 x2 z2 / off',
+      args: [
+        { name: 'shape', type: 'enum', values: ['cylinder', 'box', 'off'] },
+        { name: 'params', type: 'number', variadic: true, optional: true, default: [] }
+      ],
+      handler: ({ shape, params }) => {
+        if (shape === 'off') {
+          geofence.setBoundary(null);
+          bot.chat('作业边界已取消');
+        } else if (shape === 'cylinder' && params.length === 3) {
+          geofence.setBoundary({ type: 'cylinder', center: { x: params[0], z: params[1] }, radius: params[2] });
+          bot.chat(`作业边界: 圆柱 中心(${params[0]}, ${params[1]}) 半径 ${params[2]}`);
+        } else if (shape === 'box' && params.length === 4) {
+          geofence.setBoundary({ type: 'box', min: { x: params[0], z: params[1] }, max: { x: params[2], z: params[3] } });
+          bot.chat(`作业边界: 长方形 (${params[0]}, ${params[1]}) ~ (${params[2]}, ${params[3]})`);
+        } else {
+          bot.chat('用法: !boundary cylinder x z 半径 / !boundary box x1 z1 x2 z2 / !boundary off');
+        }
+      }
+    });
+
+    registry.register({
+      name: 'fence',
+      description: '查看、移除或清空地理围栏',
+      args: [
+        { name: 'action', type: 'enum', values: ['list', 'remove', 'clear'] },
+        { name: 'id', type: 'string', optional: true }
+      ],
+      handler: ({ action, id }) => {
+        if (action === 'clear') {
+          geofence.clear();
+          bot.chat('地理围栏已清空');
+        } else if (action === 'remove') {
+          bot.chat(geofence.removeNoFlyZone(id) ? `已移除禁飞区 ${id}` : `未找到禁飞区 ${id}`);
+        } else {
+          const { zones, altitude, boundary } = geofence.toJSON();
+          bot.chat(`禁飞区: ${zones.length ? zones.map(z => `${z.id}(${z.type})`).join(', ') : '无'}`);
+          bot.chat(`高度限制: ${altitude.min === null ? '-' : altitude.min} ~ ${altitude.max === null ? '-' : altitude.max}`);
+          bot.chat(`作业边界: ${boundary ? boundary.type : '无'}`);
+        }
+      }
+    });
+}
+
+// 编队指令，只注册在主机的指令表上
+function registerSwarmCommands(bot, swarm, registry) {
+    registry.register({
+      name: 'swarm',
+      description: '编队: status 查看各机状态，stop 全部停止，rth 全部返航；"@名称 !指令" 可单独指挥一架',
+      args: [{ name: 'action', type: 'enum', values: ['status', 'stop', 'rth'], optional: true, default: 'status' }],
+      handler: ({ action }) => {
+        if (action === 'stop') {
+          swarm.stopAll();
+          bot.chat('编队已全部停止');
+        } else if (action === 'rth') {
+          bot.chat(`编队返航: ${swarm.returnAll('编队返航指令')} 架无人机返航`);
+        } else {
+          const status = swarm.getStatus();
+          status.drones.forEach(({ id, name, ready, status: drone }) => {
+            if (!drone) {
+              bot.chat(`[${id}] ${name}: 未生成`);
+              return;
+            }
+            const mission = drone.mission.state === 'running' || drone.mission.state === 'paused'
+              ? ` 任务 ${drone.mission.name} ${Math.min(drone.mission.index + 1, drone.mission.total)}/${drone.mission.total}`
+              : '';
+            bot.chat(`[${id}] ${name}: ${ready ? drone.flightState : '初始化中'} 电量 ${drone.battery.percent.toFixed(0)}%${drone.isNavigating ? ' 导航中' : ''}${mission}`);
+          });
+          if (status.task) {
+            bot.chat(`编队任务 ${status.task.name}: 剩余 ${status.task.pending.length} 架未完成`);
+          }
+        }
+      }
+    });
+
+    registry.register({
+      name: 'swarmSurvey',
+      description: '编队矩形区域测绘，区域按面积分给各空闲无人机',
+      args: [
+        { name: 'x1', type: 'number' },
+        { name: 'z1', type: 'number' },
+        { name: 'x2', type: 'number' },
+        { name: 'z2', type: 'number' },
+        { name: 'altitude', type: 'number' },
+        { name: 'spacing', type: 'number', optional: true }
+      ],
+      handler: ({ x1, z1, x2, z2, altitude, spacing }) => {
+        const points = [
+          { x: Math.min(x1, x2), z: Math.min(z1, z2) },
+          { x: Math.max(x1, x2), z: Math.min(z1, z2) },
+          { x: Math.max(x1, x2), z: Math.max(z1, z2) },
+          { x: Math.min(x1, x2), z: Math.max(z1, z2) }
+        ];
+        const assignments = swarm.survey(points, altitude, spacing);
+        assignments.forEach(({ drone, waypoints }) => {
+          bot.chat(`${drone.name}: ${waypoints} 个航点`);
+        });
+      }
+    });
+
+    registry.register({
+      name: 'swarmMission',
+      description: '加载任务文件，航点按航程分段交给各空闲无人机',
+      args: [{ name: 'file', type: 'string' }],
+      handler: ({ file }) => {
+        const data = JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+        const assignments = swarm.dispatchMission(data);
+        assignments.forEach(({ drone, waypoints }) => {
+          bot.chat(`${drone.name}: ${waypoints} 个航点`);
+        });
+      }
+    });
+}
+
+module.exports.registerSwarmCommands = registerSwarmCommands;
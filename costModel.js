@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+const RULE_DEFAULTS = {
+    cost: 1,          // 站在该方块上移动一格的代价倍数，不小于1(保证规划启发式可采纳)
+    hazard: 0,        // 进入地面、身体或头部含该方块的格子时的附加代价，达到 maxHazard 视为不安全
+    proximity: 0,     // 与该方块水平距离在 proximityRadius 内的格子的附加代价，随距离线性衰减
+    obstacle: false,  // 障碍物：所在列不可通行
+    tall: false,      // 同时占据上方一格(如栅栏)
+    passable: false,  // 身体可以穿过
+    standable: true,  // 可以站在上面
+    safe: false,      // 计入安全区域
+    safety: 0.5       // 安全评分(0~1)
+};
+
+/**
+ * 地形代价模型
+ * 从 JSON 配置加载若干套方块规则，每条规则按方块名(完全匹配)或 #标签(标签内任一字符串为方块名子串)匹配，
+ * 给出通行代价倍数、危险附加代价、邻近附加代价和可通行属性。同一方块按规则顺序取第一条匹配的，
+ * 都不匹配时用 fallback。配置可用 extends 继承另一套：自身规则排在被继承的规则之前，其余字段覆盖
+ */
+class CostModel {
+    constructor(data, profileName = 'default') {
+        this.tags = data.tags || {};
+        this.profiles = new Map();
+        for (const name of Object.keys(data.profiles || {})) {
+            this.profiles.set(name, this.resolveProfile(name, data.profiles, []));
+        }
+        this.profileName = null;
+        this.profile = null;
+        this.cache = new Map(); // 方块名 -> 匹配到的属性
+        this.setProfile(profileName);
+    }
+
+    static load(file = path.join(__dirname, 'costProfiles.json'), profileName) {
+        const data = JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+        return new CostModel(data, profileName);
+    }
+
+    // 展开 extends 并补全规则字段
+    resolveProfile(name, profiles, chain) {
+        const raw = profiles[name];
+        if (!raw) {
+            throw new Error(`代价配置 ${chain[chain.length - 1]} 继承的配置不存在: ${name}`);
+        }
+        if (chain.includes(name)) {
+            throw new Error(`代价配置循环继承: ${chain.concat(name).join(' -> ')}`);
+        }
+        const parent = raw.extends ? this.resolveProfile(raw.extends, profiles, chain.concat(name)) : null;
+        const rules = (raw.rules || []).map((rule, index) => this.normalizeRule(rule, `${name} 第 ${index + 1} 条规则`));
+        return {
+            name,
+            description: raw.description || (parent ? parent.description : ''),
+            maxHazard: raw.maxHazard !== undefined ? raw.maxHazard : (parent ? parent.maxHazard : 10),
+            proximityRadius: raw.proximityRadius !== undefined ? raw.proximityRadius : (parent ? parent.proximityRadius : 1),
+            fallback: raw.fallback
+                ? this.normalizeRule({ match: [], ...raw.fallback }, `${name} 的 fallback`)
+                : (parent ? parent.fallback : { ...RULE_DEFAULTS, match: [] }),
+            rules: parent ? rules.concat(parent.rules) : rules
+        };
+    }
+
+    normalizeRule(rule, label) {
+        const normalized = { ...RULE_DEFAULTS, ...rule, match: rule.match || [] };
+        if (!(normalized.cost >= 1)) {
+            throw new Error(`${label}: cost 必须不小于1`);
+        }
+        if (!(normalized.hazard >= 0) || !(normalized.proximity >= 0)) {
+            throw new Error(`${label}: hazard 和 proximity 不能为负`);
+        }
+        for (const pattern of normalized.match) {
+            if (pattern.startsWith('#') && !this.tags[pattern.slice(1)]) {
+                throw new Error(`${label}: 未知标签 ${pattern}`);
+            }
+        }
+        return normalized;
+    }
+
+    setProfile(name) {
+        const profile = this.profiles.get(name);
+        if (!profile) {
+            throw new Error(`未知的代价配置: ${name}，可用: ${this.names().join(', ')}`);
+        }
+        this.profileName = name;
+        this.profile = profile;
+        this.cache.clear();
+    }
+
+    names() {
+        return Array.from(this.profiles.keys());
+    }
+
+    list() {
+        return Array.from(this.profiles.values()).map(({ name, description }) => ({ name, description }));
+    }
+
+    get proximityRadius() {
+        return this.profile.proximityRadius;
+    }
+
+    matches(pattern, type) {
+        if (pattern.startsWith('#')) {
+            return this.tags[pattern.slice(1)].some(part => type.includes(part));
+        }
+        return pattern === type;
+    }
+
+    // 方块在当前配置下的属性
+    lookup(blockType) {
+        const type = blockType.toLowerCase();
+        let entry = this.cache.get(type);
+        if (!entry) {
+            entry = this.profile.rules.find(rule => rule.match.some(pattern => this.matches(pattern, type))) || this.profile.fallback;
+            this.cache.set(type, entry);
+        }
+        return entry;
+    }
+
+    isObstacle(blockType) {
+        return this.lookup(blockType).obstacle;
+    }
+
+    isPassable(blockType) {
+        return this.lookup(blockType).passable;
+    }
+
+    isStandable(blockType) {
+        return this.lookup(blockType).standable;
+    }
+
+    isSafe(blockType) {
+        return this.lookup(blockType).safe;
+    }
+
+    isHazardous(blockType) {
+        return this.lookup(blockType).hazard >= this.profile.maxHazard;
+    }
+
+    safety(blockType) {
+        return this.lookup(blockType).safety;
+    }
+}
+
+module.exports = CostModel;
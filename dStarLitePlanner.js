@@ -0,0 +1,340 @@
+const BinaryHeap = require('./binaryHeap');
+const GroundWorldModel = require('./groundWorldModel');
+
+const DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// D* Lite 的二元键 [k1, k2] 按字典序比较
+function compareKeys(a, b) {
+    if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+    if (a[1] !== b[1]) return a[1] < b[1] ? -1 : 1;
+    return 0;
+}
+
+/**
+ * D* Lite 增量规划器
+ * 从目标向起点反向搜索，g/rhs 与开放集在多次规划之间保留。目标不变时，
+ * 只把知识地图变化日志中可通行性确实改变的格子对应的边重新松弛，修复受影响的部分；
+ * 起点移动通过 km 修正键值，不需要重建。目标格、地面高度、地形代价配置改变，起点离开搜索范围
+ * 或变化日志已截断时退回完整规划。边代价只取决于进入的格子，离开不可通行格子(如刚走过的格子)不受限；
+ * 邻近代价使一个格子的变化影响周围格子的代价，修复时检查变化格子邻近代价半径内的所有格子
+ */
+class DStarLitePlanner {
+    constructor(options = {}) {
+        this.name = options.name || 'dstarlite';
+        this.incremental = true; // 多次规划之间保留搜索树，调用方应尽量保持目标不变
+        this.state = null;
+        this.lastFullTime = null; // 最近一次完整规划的耗时(ms)，用于和增量修复对比
+    }
+
+    reset() {
+        this.state = null;
+    }
+
+    plan(start, goal, world, limits = {}) {
+        const { maxNodes = Infinity, maxTime = Infinity, cancelled = null } = limits;
+        const startTime = Date.now();
+        const startCell = world.toCell(start);
+        const goalCell = world.toCell(goal);
+
+        let changedCells = 0;
+        const repairSkipped = this.repairBlocker(startCell, goalCell, world);
+        if (repairSkipped === null) {
+            changedCells = this.applyChanges(startCell, world);
+        } else {
+            this.initialize(startCell, goalCell, world);
+        }
+        const state = this.state;
+        const mode = state.initializing ? 'full' : 'repair';
+
+        const { result, expanded } = this.computeShortestPath(world, maxNodes, maxTime, startTime, cancelled);
+        const elapsed = Date.now() - startTime;
+        if (state.initializing) {
+            // 完整规划可能因时间或节点数截止分几次完成，累计耗时
+            state.fullTime += elapsed;
+            if (result === 'done') {
+                state.initializing = false;
+                this.lastFullTime = state.fullTime;
+            }
+        }
+
+        let points = null;
+        if (result === 'done') {
+            points = this.extractPath(world);
+        }
+        return {
+            path: points ? world.toPath(start, points, goal) : null,
+            stats: {
+                result: result === 'done' ? (points ? 'found' : 'exhausted') : result,
+                expanded,
+                generated: state.nodes.size,
+                cost: points ? this.node(startCell.x, startCell.z).g : null,
+                mode,
+                changedCells,
+                repairSkipped,
+                lastFullTime: this.lastFullTime
+            }
+        };
+    }
+
+    // 不能沿用上次搜索树的原因，可以增量修复时返回 null
+    repairBlocker(startCell, goalCell, world) {
+        const state = this.state;
+        if (!state) return '没有上次的搜索树';
+        if (state.goal.x !== goalCell.x || state.goal.z !== goalCell.z) {
+            return `目标格由 (${state.goal.x}, ${state.goal.z}) 变为 (${goalCell.x}, ${goalCell.z})`;
+        }
+        if (state.y !== world.y) return `地面高度由 ${state.y} 变为 ${world.y}`;
+        if (state.profile !== world.profile) return `地形代价配置由 ${state.profile} 变为 ${world.profile}`;
+        if (!this.inBounds(startCell.x, startCell.z)) return '起点离开了上次的搜索范围';
+        if (world.changesSince(state.version) === null) return '变化日志已截断';
+        return null;
+    }
+
+    initialize(startCell, goalCell, world) {
+        this.state = {
+            goal: goalCell,
+            start: startCell,
+            last: startCell,
+            km: 0,
+            y: world.y,
+            profile: world.profile,
+            bounds: { ...world.bounds },
+            version: world.version,
+            nodes: new Map(),        // 节点键 -> { x, z, g, rhs, queued }
+            walkable: new Map(),     // 节点键 -> 是否可通行，只在格子变化时刷新
+            terrain: new Map(),      // 节点键 -> 地形代价 { cost, penalty }，同上
+            queue: new BinaryHeap(compareKeys),
+            initializing: true,
+            fullTime: 0
+        };
+        const goalNode = this.node(goalCell.x, goalCell.z);
+        goalNode.rhs = 0;
+        this.enqueue(goalNode);
+    }
+
+    // 起点移动累加 km，受变化影响的格子中可通行性或地形代价确实改变的，重新松弛进入它的边，返回改变的格子数
+    applyChanges(startCell, world) {
+        const state = this.state;
+        state.km += this.heuristic(state.last, startCell);
+        state.last = startCell;
+        state.start = startCell;
+
+        const radius = world.influenceRadius;
+        const keys = new Set();
+        let changed = 0;
+        for (const change of world.changesSince(state.version)) {
+            for (let ox = -radius; ox <= radius; ox++) {
+                for (let oz = -radius; oz <= radius; oz++) {
+                    const x = change.x + ox;
+                    const z = change.z + oz;
+                    const key = this.key(x, z);
+                    if (keys.has(key)) continue;
+                    keys.add(key);
+                    if (!this.refreshCell(x, z, key, world)) continue;
+                    changed++;
+                    for (const [dx, dz] of DIRECTIONS) {
+                        const predecessor = state.nodes.get(this.key(x + dx, z + dz));
+                        if (predecessor) {
+                            this.updateVertex(predecessor, world);
+                        }
+                    }
+                }
+            }
+        }
+        state.version = world.version;
+        return changed;
+    }
+
+    // 重新读取格子的可通行性和地形代价，返回是否改变。从未查询过的格子没有边依赖它
+    refreshCell(x, z, key, world) {
+        const state = this.state;
+        let changed = false;
+        const walkable = state.walkable.get(key);
+        if (walkable !== undefined) {
+            const now = world.isSafeCell(x, z);
+            if (now !== walkable) {
+                state.walkable.set(key, now);
+                changed = true;
+            }
+        }
+        const terrain = state.terrain.get(key);
+        if (terrain !== undefined) {
+            const now = world.terrain(x, z);
+            if (now.cost !== terrain.cost || now.penalty !== terrain.penalty) {
+                state.terrain.set(key, now);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    // 被取消时与超时一样保留已完成的部分，下次规划继续
+    computeShortestPath(world, maxNodes, maxTime, startTime, cancelled) {
+        const state = this.state;
+        const startNode = this.node(state.start.x, state.start.z);
+        let expanded = 0;
+        while (true) {
+            const top = this.top();
+            if (!top || (compareKeys(top.key, this.calculateKey(startNode)) >= 0 && startNode.rhs === startNode.g)) {
+                return { result: 'done', expanded };
+            }
+            if (expanded >= maxNodes) {
+                return { result: 'nodeLimit', expanded };
+            }
+            if ((expanded & 63) === 0 && Date.now() - startTime > maxTime) {
+                return { result: 'timeLimit', expanded };
+            }
+            if ((expanded & 63) === 0 && cancelled && cancelled()) {
+                return { result: 'cancelled', expanded };
+            }
+
+            const node = top.node;
+            const newKey = this.calculateKey(node);
+            state.queue.pop();
+            expanded++;
+            if (compareKeys(top.key, newKey) < 0) {
+                this.enqueue(node, newKey);
+            } else if (node.g > node.rhs) {
+                node.g = node.rhs;
+                node.queued = null;
+                this.updatePredecessors(node, world);
+            } else {
+                node.g = Infinity;
+                this.updateVertex(node, world);
+                this.updatePredecessors(node, world);
+            }
+        }
+    }
+
+    updatePredecessors(node, world) {
+        for (const [dx, dz] of DIRECTIONS) {
+            const x = node.x + dx;
+            const z = node.z + dz;
+            if (this.inBounds(x, z)) {
+                this.updateVertex(this.node(x, z), world);
+            }
+        }
+    }
+
+    // rhs 取经各后继到达目标的最小代价，g 与 rhs 不一致时入队
+    updateVertex(node, world) {
+        const goal = this.state.goal;
+        if (node.x !== goal.x || node.z !== goal.z) {
+            let rhs = Infinity;
+            for (const [dx, dz] of DIRECTIONS) {
+                const successor = this.state.nodes.get(this.key(node.x + dx, node.z + dz));
+                if (!successor || successor.g === Infinity) continue;
+                rhs = Math.min(rhs, this.cost(node, successor, world) + successor.g);
+            }
+            node.rhs = rhs;
+        }
+        if (node.g !== node.rhs) {
+            this.enqueue(node);
+        } else {
+            node.queued = null;
+        }
+    }
+
+    // 开放集不支持删除和改键：节点记下最新的键，出队时键不一致的旧副本直接丢弃
+    enqueue(node, key = this.calculateKey(node)) {
+        node.queued = key;
+        this.state.queue.push({ node, key }, key);
+    }
+
+    top() {
+        const queue = this.state.queue;
+        while (queue.size > 0) {
+            const entry = queue.peek();
+            if (entry.node.queued === entry.key) return entry;
+            queue.pop();
+        }
+        return null;
+    }
+
+    calculateKey(node) {
+        const value = Math.min(node.g, node.rhs);
+        return [value + this.heuristic(this.state.start, node) + this.state.km, value];
+    }
+
+    // 从起点沿 代价 + g 最小的后继走到目标，返回起点之后的格子中心序列
+    extractPath(world) {
+        const state = this.state;
+        let current = this.node(state.start.x, state.start.z);
+        if (current.g === Infinity) return null;
+        const points = [];
+        const limit = state.nodes.size;
+        while (current.x !== state.goal.x || current.z !== state.goal.z) {
+            let best = null;
+            let bestCost = Infinity;
+            for (const [dx, dz] of DIRECTIONS) {
+                const successor = state.nodes.get(this.key(current.x + dx, current.z + dz));
+                if (!successor) continue;
+                const cost = this.cost(current, successor, world) + successor.g;
+                if (cost < bestCost) {
+                    best = successor;
+                    bestCost = cost;
+                }
+            }
+            if (!best || bestCost === Infinity || points.length > limit) return null;
+            points.push(world.center(best));
+            current = best;
+        }
+        return points;
+    }
+
+    // 进入不可通行格子的代价为无穷，目标格总是可进入；进入代价按缓存的地形计算，只在格子变化时刷新
+    cost(from, to, world) {
+        if (!this.isWalkable(to.x, to.z, world)) return Infinity;
+        const key = this.key(to.x, to.z);
+        let terrain = this.state.terrain.get(key);
+        if (!terrain) {
+            terrain = world.terrain(to.x, to.z);
+            this.state.terrain.set(key, terrain);
+        }
+        return world.cost(from, to, terrain);
+    }
+
+    isWalkable(x, z, world) {
+        const state = this.state;
+        if (x === state.goal.x && z === state.goal.z) return true;
+        if (!this.inBounds(x, z)) return false;
+        const key = this.key(x, z);
+        let walkable = state.walkable.get(key);
+        if (walkable === undefined) {
+            walkable = world.isSafeCell(x, z);
+            state.walkable.set(key, walkable);
+        }
+        return walkable;
+    }
+
+    // 8连通栅格上的对角距离，对角代价与探索器的移动代价一致(1.414)，保证启发式可采纳
+    heuristic(a, b) {
+        const dx = Math.abs(a.x - b.x);
+        const dz = Math.abs(a.z - b.z);
+        return Math.max(dx, dz) + 0.414 * Math.min(dx, dz);
+    }
+
+    node(x, z) {
+        const key = this.key(x, z);
+        let node = this.state.nodes.get(key);
+        if (!node) {
+            node = { x, z, g: Infinity, rhs: Infinity, queued: null };
+            this.state.nodes.set(key, node);
+        }
+        return node;
+    }
+
+    key(x, z) {
+        return GroundWorldModel.packKey(x, z, this.state.goal);
+    }
+
+    inBounds(x, z) {
+        const { minX, maxX, minZ, maxZ } = this.state.bounds;
+        return x >= minX && x <= maxX && z >= minZ && z <= maxZ;
+    }
+}
+
+module.exports = DStarLitePlanner;
@@ -0,0 +1,297 @@
+const path = require('path');
+const BotController = require('./botController');
+const CommandRegistry = require('./commandRegistry');
+const EnvironmentPerception = require('./EnvironmentPerception');
+const RealTimePathfinding = require('./RealTimePathfinding');
+const MissionRunner = require('./missionRunner');
+const Geofence = require('./geofence');
+const ReservationTable = require('./reservationTable');
+const TaskAllocator = require('./taskAllocator');
+const PlanningWorker = require('./planningWorker');
+const SeededRandom = require('./seededRandom');
+
+/**
+ * 无人机编队
+ * 同一进程内的多架无人机各自拥有控制器、感知系统和规划器，
+ * 共享世界记忆、地理围栏和时空预约表；编号为0的无人机为主机，负责接收未指定对象的指令
+ */
+class DroneSwarm {
+    /**
+     * options.planningWorker: 为每架无人机的地面规划启动独立的规划线程，缺省开启
+     * options.seed: 随机种子，缺省时随机选取；各无人机的随机数由它按编号派生，同一种子和世界状态下运行可以复现
+     * options.deterministic: 确定性模式，地面规划在主线程同步进行且只按节点数截止，规划结果不受线程调度和机器快慢影响
+     */
+    constructor(options = {}) {
+        this.deterministic = options.deterministic === true;
+        this.planningWorker = options.planningWorker !== false && !this.deterministic;
+        this.random = SeededRandom.from(options.seed);
+        this.drones = [];
+        this.geofence = new Geofence();
+        this.worldMemory = new Map(); // 所有感知系统写入同一份记忆地图
+        this.reservations = new ReservationTable();
+        this.allocator = new TaskAllocator();
+        this.task = null; // 编队任务 { type, name, points, pending: Map(droneId -> 任务名), startTime }
+        this.taskCount = 0;
+    }
+
+    get primary() {
+        return this.drones[0] || null;
+    }
+
+    // 为新建的 bot 创建控制器和指令表，感知与规划在 bot 生成后由 initializeNavigation 创建
+    addDrone(bot, name) {
+        const id = this.drones.length;
+        const controller = new BotController(bot);
+        controller.setGeofence(this.geofence);
+        controller.setReservations(this.reservations, id);
+        // 本机的随机数发生器，控制器、规划器和指令各取一个派生序列，互不影响取值顺序
+        const random = this.random.derive(id);
+        const controllerRandom = random.derive(0);
+        controller.setRandom(() => controllerRandom.next());
+        if (id > 0) {
+            controller.homeFile = path.join(__dirname, `home-${name}.json`);
+        }
+        const drone = {
+            id,
+            name,
+            bot,
+            controller,
+            registry: new CommandRegistry(bot),
+            random,
+            perception: null,
+            pathfinding: null
+        };
+        controller.mission.on('mission', (event) => this.handleMissionEvent(drone, event));
+        this.drones.push(drone);
+        return drone;
+    }
+
+    initializeNavigation(drone) {
+        // 重新初始化时结束旧规划器的规划线程
+        if (drone.pathfinding && drone.pathfinding.planningWorker) {
+            drone.pathfinding.planningWorker.terminate();
+        }
+        drone.perception = new EnvironmentPerception(drone.bot, 256, this.worldMemory);
+        // 编队内的无人机由时空预约表负责间隔，不作为动态障碍
+        drone.perception.entities.setFilter(entity => !this.isMember(entity.username));
+        drone.pathfinding = new RealTimePathfinding(drone.bot, drone.perception);
+        drone.pathfinding.setGeofence(this.geofence);
+        drone.pathfinding.setReservations(this.reservations, drone.id);
+        const random = drone.random.derive(1);
+        drone.pathfinding.setRandom(() => random.next());
+        drone.pathfinding.setDeterministic(this.deterministic);
+        if (this.planningWorker) {
+            drone.pathfinding.setPlanningWorker(new PlanningWorker());
+        }
+        drone.controller.setPerception(drone.perception);
+        drone.controller.setPathfinding(drone.pathfinding);
+    }
+
+    removeDrone(drone) {
+        drone.controller.stop();
+        this.reservations.removeDrone(drone.id);
+        if (drone.pathfinding && drone.pathfinding.planningWorker) {
+            drone.pathfinding.planningWorker.terminate();
+        }
+    }
+
+    // 已生成且规划器就绪的无人机
+    getReadyDrones() {
+        return this.drones.filter(drone => drone.bot.entity && drone.pathfinding);
+    }
+
+    isMember(username) {
+        return this.drones.some(drone => drone.name === username || drone.bot.username === username);
+    }
+
+    // 按编号或用户名查找，忽略大小写
+    findDrone(key) {
+        const text = String(key).toLowerCase();
+        return this.drones.find(drone => String(drone.id) === text ||
+            drone.name.toLowerCase() === text ||
+            (drone.bot.username && drone.bot.username.toLowerCase() === text)) || null;
+    }
+
+    /**
+     * 聊天路由：每架无人机都会收到所有聊天，返回该无人机应处理的指令文本，不处理返回null
+     * "@名称 !指令" 只交给指定无人机，未指定对象的指令只交给主机；编队内无人机的发言一律忽略
+     */
+    routeChat(drone, username, message) {
+        if (this.isMember(username)) return null;
+        const match = message.trim().match(/^@(\S+)\s+(.+)$/);
+        if (match) {
+            const target = this.findDrone(match[1]);
+            if (!target && drone === this.primary) {
+                drone.bot.chat(`编队中没有无人机 ${match[1]}`);
+            }
+            return target === drone ? match[2] : null;
+        }
+        return drone === this.primary ? message : null;
+    }
+
+    /**
+     * 编队测绘：区域按面积切成条带，每架无人机测绘离自己最近的一条
+     * 返回 [{ drone, points, waypoints }]
+     */
+    survey(points, altitude, spacing) {
+        const drones = this.getReadyDrones().filter(drone => !drone.controller.mission.isActive());
+        if (drones.length === 0) {
+            throw new Error('没有空闲的无人机');
+        }
+        const planner = drones[0].controller.survey;
+        const lineSpacing = spacing > 0 ? spacing : planner.getDefaultSpacing();
+        const tasks = this.allocator.splitArea(points, drones.length)
+            .map(strip => ({ strip, pattern: planner.generatePattern(strip, lineSpacing) }))
+            .filter(task => task.pattern.length > 0)
+            .map(task => ({ ...task, start: { x: task.pattern[0].x, y: altitude, z: task.pattern[0].z } }));
+        if (tasks.length === 0) {
+            throw new Error('测绘区域过小，未生成航线');
+        }
+
+        const name = `swarm-survey-${++this.taskCount}`;
+        const pending = new Map();
+        const assignments = [];
+        for (const { drone, task } of this.allocator.assign(this.describeDrones(drones), tasks)) {
+            const target = this.drones[drone.id];
+            const active = target.controller.survey.start(task.strip, altitude, lineSpacing);
+            pending.set(target.id, active.name);
+            assignments.push({ drone: target, points: task.strip, waypoints: task.pattern.length });
+        }
+        this.task = { type: 'survey', name, points, pending, startTime: Date.now() };
+        console.log(`编队测绘 ${name}: ${assignments.length} 架无人机，航线间距 ${lineSpacing.toFixed(1)}`);
+        return assignments;
+    }
+
+    /**
+     * 编队航点任务：航点序列按航程切成连续段，每架无人机执行离自己最近的一段
+     * data 与单机任务格式相同；返回 [{ drone, waypoints }]
+     */
+    dispatchMission(data) {
+        const mission = MissionRunner.normalize(data);
+        const drones = this.getReadyDrones().filter(drone => !drone.controller.mission.isActive());
+        if (drones.length === 0) {
+            throw new Error('没有空闲的无人机');
+        }
+        const groups = this.allocator.splitRoute(mission.waypoints.map(wp => wp.position), drones.length);
+        const tasks = groups.map(indices => ({
+            indices,
+            start: mission.waypoints[indices[0]].position
+        }));
+
+        const name = `${mission.name}-${++this.taskCount}`;
+        const pending = new Map();
+        const assignments = [];
+        for (const { drone, task } of this.allocator.assign(this.describeDrones(drones), tasks)) {
+            const target = this.drones[drone.id];
+            const missionName = `${name}#${target.name}`;
+            const runner = target.controller.mission;
+            runner.load({
+                name: missionName,
+                continueOnFailure: mission.continueOnFailure,
+                waypoints: task.indices.map(i => this.toWaypointData(mission.waypoints[i]))
+            });
+            runner.start();
+            pending.set(target.id, missionName);
+            assignments.push({ drone: target, waypoints: task.indices.length });
+        }
+        this.task = { type: 'mission', name, points: null, pending, startTime: Date.now() };
+        console.log(`编队任务 ${name}: ${mission.waypoints.length} 个航点分给 ${assignments.length} 架无人机`);
+        return assignments;
+    }
+
+    describeDrones(drones) {
+        return drones.map(drone => ({ id: drone.id, position: drone.bot.entity.position }));
+    }
+
+    // 规范化后的航点转回任务文件格式
+    toWaypointData(waypoint) {
+        const data = {
+            x: waypoint.position.x,
+            y: waypoint.position.y,
+            z: waypoint.position.z,
+            heading: waypoint.heading,
+            loiter: waypoint.loiter,
+            action: waypoint.action,
+            message: waypoint.message
+        };
+        if (waypoint.altitude) {
+            data.altitude = waypoint.position.y;
+        }
+        return data;
+    }
+
+    handleMissionEvent(drone, event) {
+        const task = this.task;
+        if (!task || task.pending.get(drone.id) !== event.mission) return;
+        if (event.type !== 'missionCompleted' && event.type !== 'missionAborted') return;
+
+        task.pending.delete(drone.id);
+        console.log(`编队任务 ${task.name}: ${drone.name} ${event.type === 'missionCompleted' ? '完成' : `中止(${event.reason})`}，剩余 ${task.pending.size} 架`);
+        if (task.pending.size > 0) return;
+
+        this.task = null;
+        const duration = ((Date.now() - task.startTime) / 1000).toFixed(0);
+        const primary = this.primary;
+        if (task.type === 'survey') {
+            // 世界记忆共享，任一无人机的测绘器都能统计整个区域的覆盖率
+            const coverage = primary.controller.survey.computeCoverage(task.points);
+            primary.bot.chat(`编队测绘 ${task.name} 结束，总覆盖率 ${coverage.percent.toFixed(1)}% (${coverage.observed}/${coverage.total} 格)，用时 ${duration}s`);
+        } else {
+            primary.bot.chat(`编队任务 ${task.name} 结束，用时 ${duration}s`);
+        }
+    }
+
+    stopAll() {
+        this.task = null;
+        this.drones.forEach(drone => drone.controller.stop());
+    }
+
+    returnAll(reason = '编队返航') {
+        this.task = null;
+        return this.getReadyDrones().filter(drone => drone.controller.returnHome(reason)).length;
+    }
+
+    // 可视化用的各无人机状态
+    getDronesState() {
+        return this.drones.filter(drone => drone.bot.entity).map(drone => {
+            const controller = drone.controller;
+            const position = drone.bot.entity.position;
+            const target = controller.currentTarget;
+            return {
+                id: drone.id,
+                name: drone.name,
+                position: { x: position.x, y: position.y, z: position.z },
+                yaw: drone.bot.entity.yaw,
+                target: target ? { x: target.x, y: target.y, z: target.z } : null,
+                isNavigating: controller.isNavigating,
+                flightState: controller.flight.state,
+                battery: controller.energy.getPercent(),
+                returningHome: !!controller.rth,
+                mission: controller.mission.isActive() ? controller.mission.getStatus() : null,
+                plannedPath: controller.plannedPath.slice(0, 200).map(p => ({ x: p.x, y: p.y, z: p.z })),
+                pathCursor: controller.currentWaypointIndex,
+                plan: controller.groundPlan,
+                smoothedPath: controller.getSmoothedPath(200)
+            };
+        });
+    }
+
+    getStatus() {
+        return {
+            drones: this.drones.map(drone => ({
+                id: drone.id,
+                name: drone.name,
+                ready: !!(drone.bot.entity && drone.pathfinding),
+                status: drone.bot.entity ? drone.controller.getStatus() : null
+            })),
+            task: this.task ? {
+                type: this.task.type,
+                name: this.task.name,
+                pending: Array.from(this.task.pending.keys())
+            } : null,
+            reservations: this.reservations.getStatus()
+        };
+    }
+}
+
+module.exports = DroneSwarm;
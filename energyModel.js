@@ -0,0 +1,111 @@
+// 模拟电池与能耗模型：悬停按时间耗电，水平移动和爬升按距离耗电
+class EnergyModel {
+    constructor(options = {}) {
+        this.config = {
+            capacity: 1000,          // 电池容量(能量单位)
+            hoverDraw: 2.0,          // 飞行中每秒消耗
+            groundDraw: 0.1,         // 地面待机每秒消耗
+            horizontalCost: 0.5,     // 每水平移动一格消耗
+            climbCost: 2.0,          // 每爬升一格消耗
+            descentCost: 0.2,        // 每下降一格消耗
+            cruiseSpeed: 10,         // 估算返航耗时用的平均速度(格/秒)
+            reserveFactor: 1.3,      // 返航能耗的安全系数
+            landingReserve: 20,      // 额外保留的降落能量
+            ...options
+        };
+        this.level = this.config.capacity;
+        this.consumed = { hover: 0, ground: 0, horizontal: 0, climb: 0, descent: 0 };
+        this.reserve = this.config.landingReserve;
+        this.returnDistance = 0;
+    }
+
+    // 按移动距离计费，from/to 为相邻两次记录的位置
+    recordMovement(from, to) {
+        const horizontal = Math.sqrt((to.x - from.x) ** 2 + (to.z - from.z) ** 2);
+        const dy = to.y - from.y;
+        this.drain('horizontal', horizontal * this.config.horizontalCost);
+        if (dy > 0) {
+            this.drain('climb', dy * this.config.climbCost);
+        } else if (dy < 0) {
+            this.drain('descent', -dy * this.config.descentCost);
+        }
+    }
+
+    // 按时间计费，dt 单位为毫秒
+    recordTime(dt, airborne) {
+        const seconds = dt / 1000;
+        if (airborne) {
+            this.drain('hover', seconds * this.config.hoverDraw);
+        } else {
+            this.drain('ground', seconds * this.config.groundDraw);
+        }
+    }
+
+    drain(kind, amount) {
+        if (amount <= 0) return;
+        const actual = Math.min(amount, this.level);
+        this.level -= actual;
+        this.consumed[kind] += actual;
+    }
+
+    // 估算沿给定距离返航并爬升 climb 格所需的能量
+    estimateReturnEnergy(distance, climb = 0) {
+        const { horizontalCost, climbCost, hoverDraw, cruiseSpeed } = this.config;
+        const travel = distance * horizontalCost + Math.max(0, climb) * climbCost;
+        const hover = (distance / cruiseSpeed) * hoverDraw;
+        return travel + hover;
+    }
+
+    // 根据返航距离更新储备阈值
+    updateReserve(returnDistance, climb = 0) {
+        this.returnDistance = returnDistance;
+        this.reserve = this.estimateReturnEnergy(returnDistance, climb) * this.config.reserveFactor +
+            this.config.landingReserve;
+        return this.reserve;
+    }
+
+    isBelowReserve() {
+        return this.level <= this.reserve;
+    }
+
+    isDepleted() {
+        return this.level <= 0;
+    }
+
+    reset() {
+        this.level = this.config.capacity;
+        Object.keys(this.consumed).forEach(key => { this.consumed[key] = 0; });
+    }
+
+    configure(key, value) {
+        if (!(key in this.config)) {
+            throw new Error(`未知的能耗参数: ${key}`);
+        }
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            throw new Error(`能耗参数 ${key} 必须为非负数`);
+        }
+        this.config[key] = value;
+        if (key === 'capacity') {
+            this.level = Math.min(this.level, value);
+        }
+    }
+
+    getPercent() {
+        return this.config.capacity > 0 ? this.level / this.config.capacity * 100 : 0;
+    }
+
+    getStatus() {
+        return {
+            level: this.level,
+            capacity: this.config.capacity,
+            percent: this.getPercent(),
+            reserve: this.reserve,
+            reservePercent: this.config.capacity > 0 ? this.reserve / this.config.capacity * 100 : 0,
+            returnDistance: this.returnDistance,
+            depleted: this.isDepleted(),
+            consumed: { ...this.consumed }
+        };
+    }
+}
+
+module.exports = EnergyModel;
@@ -0,0 +1,110 @@
+const { Vec3 } = require('vec3');
+
+/**
+ * 实体感知
+ * 定期从 bot.entities 读取附近的玩家、生物和掉落物等实体，
+ * 用相邻两次观测的位移估计速度并做指数平滑，供规划器预测其短时内的位置
+ */
+class EntityTracker {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.config = {
+            radius: 32,              // 跟踪半径(格)
+            updateInterval: 100,     // 两次观测的最小间隔(ms)
+            velocitySmoothing: 0.5,  // 速度指数平滑系数，越大越相信最新观测
+            maxSpeed: 40,            // 估计速度超过该值(格/秒)视为传送，速度清零
+            ...options
+        };
+        this.tracks = new Map(); // 实体id -> { id, name, kind, position, velocity, radius, height, firstSeen, lastSeen }
+        this.filter = null;
+        this.lastUpdate = 0;
+    }
+
+    // filter(entity) 返回 false 的实体不跟踪，编队用它排除其他无人机
+    setFilter(filter) {
+        this.filter = filter;
+    }
+
+    classify(entity) {
+        if (entity.type === 'player') return 'player';
+        if (['object', 'orb', 'projectile', 'other'].includes(entity.type) || entity.name === 'item') return 'object';
+        return 'mob';
+    }
+
+    update(now = Date.now()) {
+        if (now - this.lastUpdate < this.config.updateInterval) return;
+        const self = this.bot.entity;
+        if (!self || !self.position) return;
+        this.lastUpdate = now;
+
+        const { radius, velocitySmoothing, maxSpeed } = this.config;
+        const seen = new Set();
+        for (const entity of Object.values(this.bot.entities || {})) {
+            if (!entity || entity === self || !entity.position) continue;
+            if (this.filter && !this.filter(entity)) continue;
+            if (entity.position.distanceTo(self.position) > radius) continue;
+            seen.add(entity.id);
+
+            const position = entity.position.clone();
+            const track = this.tracks.get(entity.id);
+            if (!track) {
+                this.tracks.set(entity.id, {
+                    id: entity.id,
+                    name: entity.username || entity.displayName || entity.name || String(entity.id),
+                    kind: this.classify(entity),
+                    position,
+                    velocity: new Vec3(0, 0, 0),
+                    radius: (entity.width || 0.6) / 2,
+                    height: entity.height || 1.8,
+                    firstSeen: now,
+                    lastSeen: now
+                });
+                continue;
+            }
+            const dt = (now - track.lastSeen) / 1000;
+            if (dt > 0) {
+                const observed = position.minus(track.position).scaled(1 / dt);
+                track.velocity = observed.norm() > maxSpeed
+                    ? new Vec3(0, 0, 0)
+                    : track.velocity.scaled(1 - velocitySmoothing).plus(observed.scaled(velocitySmoothing));
+            }
+            track.position = position;
+            track.lastSeen = now;
+        }
+
+        // 消失或离开跟踪半径的实体直接移除
+        for (const id of this.tracks.keys()) {
+            if (!seen.has(id)) {
+                this.tracks.delete(id);
+            }
+        }
+    }
+
+    // seconds 秒后的预测位置(匀速外推)
+    predict(track, seconds) {
+        return track.position.plus(track.velocity.scaled(seconds));
+    }
+
+    // position 附近 radius 格内的实体，按距离排序
+    getTracks(position, radius = this.config.radius) {
+        return Array.from(this.tracks.values())
+            .map(track => ({ track, distance: track.position.distanceTo(position) }))
+            .filter(item => item.distance <= radius)
+            .sort((a, b) => a.distance - b.distance)
+            .map(item => item.track);
+    }
+
+    toArray() {
+        return Array.from(this.tracks.values()).map(track => ({
+            id: track.id,
+            name: track.name,
+            kind: track.kind,
+            position: { x: track.position.x, y: track.position.y, z: track.position.z },
+            velocity: { x: track.velocity.x, y: track.velocity.y, z: track.velocity.z },
+            radius: track.radius,
+            height: track.height
+        }));
+    }
+}
+
+module.exports = EntityTracker;
@@ -0,0 +1,199 @@
+const { Vec3 } = require('vec3');
+
+// 边界探索：在起点周围 radius 格内寻找已知可通行区域与未知区域的交界，按信息增益和路程挑选并依次前往
+class ExploreMode {
+    constructor(controller) {
+        this.controller = controller;
+        this.bot = controller.bot;
+        this.explore = null; // { center, radius, altitude, startTime, deadline, target, attempted, visited, failed, initialCoverage }
+
+        this.config = {
+            timeBudget: 300,        // 默认时间预算(秒)
+            travelWeight: 0.5,      // 评分 = 信息增益 - travelWeight * 直线距离
+            attemptedRadius: 3,     // 已前往过(到达或失败)的点附近的边界不再选择
+            arriveDistance: 2,      // 导航结束时离目标在此距离内视为到达
+            scanInterval: 2000,     // 导航途中检查目标边界是否已被看清的间隔
+            retryInterval: 1000     // 两次选点的最小间隔
+        };
+        this.lastScan = 0;
+    }
+
+    isActive() {
+        return this.explore !== null;
+    }
+
+    // 感知扫描半径，用作信息增益的统计半径
+    getGainRadius() {
+        const perception = this.controller.perception;
+        return perception && typeof perception.getEffectiveScanRadius === 'function'
+            ? Math.max(1, Math.round(perception.getEffectiveScanRadius()))
+            : 4;
+    }
+
+    /**
+     * 开始探索
+     * radius: 以当前位置为圆心的探索半径；timeBudget: 时间预算(秒)
+     */
+    start(radius, timeBudget = this.config.timeBudget) {
+        if (!(radius > 0)) {
+            throw new Error('探索半径必须大于0');
+        }
+        if (!(timeBudget > 0)) {
+            throw new Error('探索时间预算必须大于0');
+        }
+        const pathfinding = this.controller.pathfinding;
+        if (!pathfinding) {
+            throw new Error('路径规划器未就绪，无法探索');
+        }
+        this.controller.stop();
+        const position = this.bot.entity.position;
+        pathfinding.updateKnowledgeMap();
+        // 范围和边界按地面高度统计，飞行中取机体下方的已知地面，并按起点离地高度巡航
+        let groundY = Math.floor(position.y);
+        if (this.controller.isAirborne()) {
+            const below = pathfinding.findGroundBelowKnowledge(position.x, position.z, position.y);
+            if (below !== null) {
+                groundY = below;
+            } else {
+                console.log('机体下方没有已知地面，按当前高度统计探索范围');
+            }
+        }
+        const center = new Vec3(Math.floor(position.x), groundY, Math.floor(position.z));
+        const now = Date.now();
+        this.explore = {
+            center,
+            radius,
+            altitude: position.y - groundY,
+            startTime: now,
+            deadline: now + timeBudget * 1000,
+            target: null,
+            attempted: [],
+            visited: 0,
+            failed: 0,
+            initialCoverage: pathfinding.getCoverage(center, radius)
+        };
+        this.lastScan = 0;
+        console.log(`开始边界探索: 中心 (${center.x}, ${center.y}, ${center.z}) 半径 ${radius} 时间预算 ${timeBudget} 秒`);
+        return true;
+    }
+
+    stop(reason = '停止') {
+        if (!this.isActive()) return false;
+        console.log(`停止探索: ${reason}`);
+        this.explore = null;
+        if (this.controller.isNavigating) {
+            this.controller.stopNavigation();
+        }
+        return true;
+    }
+
+    update() {
+        if (!this.isActive()) return;
+        const explore = this.explore;
+        const now = Date.now();
+        if (now > explore.deadline) {
+            this.finish('时间预算用完');
+            return;
+        }
+
+        if (this.controller.isNavigating) {
+            // 途中已经看清目标处的未知区域时提前换下一个边界
+            if (explore.target && now - this.lastScan > this.config.scanInterval) {
+                this.lastScan = now;
+                if (!this.findClusterNear(this.scan(), explore.target.position)) {
+                    console.log('目标边界已在途中探明');
+                    this.settleTarget(true);
+                    this.controller.stopNavigation();
+                }
+            }
+            return;
+        }
+
+        if (explore.target) {
+            const reached = this.bot.entity.position.distanceTo(explore.target.position) <= this.config.arriveDistance;
+            this.settleTarget(reached);
+        }
+        if (now - this.lastScan < this.config.retryInterval) return;
+        this.lastScan = now;
+
+        const next = this.selectFrontier(this.scan());
+        if (!next) {
+            this.finish('没有剩余边界');
+            return;
+        }
+        const position = new Vec3(next.position.x, next.position.y + explore.altitude, next.position.z);
+        explore.target = { ...next, position };
+        console.log(`前往边界 (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})，增益 ${next.gain}，评分 ${next.score.toFixed(1)}`);
+        this.controller.navigateTo(position, { owner: 'explore', quiet: true });
+    }
+
+    // 刷新知识地图并找出范围内的边界簇
+    scan() {
+        const pathfinding = this.controller.pathfinding;
+        pathfinding.updateKnowledgeMap();
+        return pathfinding.findFrontiers(this.explore.center, this.explore.radius, this.getGainRadius());
+    }
+
+    // 排除已前往过的点附近的簇，按 信息增益 - 路程代价 取最高分
+    selectFrontier(clusters) {
+        const position = this.bot.entity.position;
+        const pathfinding = this.controller.pathfinding;
+        let best = null;
+        for (const cluster of clusters) {
+            if (this.explore.attempted.some(point => pathfinding.distance2D(point, cluster.position) <= this.config.attemptedRadius)) {
+                continue;
+            }
+            const score = cluster.gain - this.config.travelWeight * pathfinding.distance2D(position, cluster.position);
+            if (!best || score > best.score) {
+                best = { ...cluster, score };
+            }
+        }
+        return best;
+    }
+
+    findClusterNear(clusters, point) {
+        const pathfinding = this.controller.pathfinding;
+        return clusters.find(cluster => pathfinding.distance2D(cluster.position, point) <= this.config.attemptedRadius) || null;
+    }
+
+    // 记录当前目标的结果，无论到达与否都不再重复选择
+    settleTarget(reached) {
+        const explore = this.explore;
+        explore.attempted.push(explore.target.position);
+        if (reached) {
+            explore.visited++;
+        } else {
+            explore.failed++;
+            console.log('边界目标不可达，跳过');
+        }
+        explore.target = null;
+    }
+
+    finish(reason) {
+        const explore = this.explore;
+        const coverage = this.controller.pathfinding.getCoverage(explore.center, explore.radius);
+        const seconds = ((Date.now() - explore.startTime) / 1000).toFixed(0);
+        this.stop(reason);
+        const message = `探索结束(${reason}): 覆盖率 ${(coverage.ratio * 100).toFixed(1)}% (${coverage.known}/${coverage.total} 列，开始时 ${(explore.initialCoverage.ratio * 100).toFixed(1)}%)，` +
+            `到达 ${explore.visited} 个边界，跳过 ${explore.failed} 个，用时 ${seconds} 秒`;
+        console.log(message);
+        this.bot.chat(message);
+    }
+
+    getStatus() {
+        if (!this.isActive()) return null;
+        const explore = this.explore;
+        return {
+            center: { x: explore.center.x, y: explore.center.y, z: explore.center.z },
+            radius: explore.radius,
+            target: explore.target ? { x: explore.target.position.x, y: explore.target.position.y, z: explore.target.position.z, gain: explore.target.gain } : null,
+            visited: explore.visited,
+            failed: explore.failed,
+            elapsed: (Date.now() - explore.startTime) / 1000,
+            remaining: Math.max(0, (explore.deadline - Date.now()) / 1000),
+            initialCoverage: explore.initialCoverage.ratio
+        };
+    }
+}
+
+module.exports = ExploreMode;
@@ -0,0 +1,298 @@
+const { Vec3 } = require('vec3');
+
+const FlightState = {
+    GROUNDED: 'GROUNDED',
+    TAKING_OFF: 'TAKING_OFF',
+    HOVERING: 'HOVERING',
+    CRUISING: 'CRUISING',
+    LANDING: 'LANDING',
+    EMERGENCY: 'EMERGENCY'
+};
+
+// 允许的状态转换，未列出的转换一律拒绝
+const TRANSITIONS = {
+    GROUNDED: ['TAKING_OFF'],
+    TAKING_OFF: ['HOVERING', 'LANDING', 'EMERGENCY'],
+    HOVERING: ['CRUISING', 'LANDING', 'EMERGENCY'],
+    CRUISING: ['HOVERING', 'LANDING', 'EMERGENCY'],
+    LANDING: ['GROUNDED', 'HOVERING', 'EMERGENCY'],
+    EMERGENCY: ['HOVERING', 'LANDING']
+};
+
+// 不能作为降落点的地面方块。不取自地面代价模型：降落检查看的是实际方块，不应随 !cost 切换的代价配置放宽
+// (如 fast 允许经过燃烧方块)；树叶、墙等可以行走但不宜降落(树叶会腐烂，墙顶无法起降)
+const UNSAFE_LANDING_BLOCKS = ['water', 'lava', 'fence', 'wall', 'leaves', 'cactus', 'magma', 'fire', 'campfire'];
+
+class FlightStateMachine {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.state = FlightState.GROUNDED;
+        this.stateSince = Date.now();
+        this.holdPosition = null;
+        this.landingTarget = null;
+        this.takeoffTarget = null;
+        this.manualHorizontal = false;
+        this.geofence = null;
+        this.lastError = null;
+
+        this.config = {
+            takeoffAltitude: 5,       // 起飞后离地高度(格)
+            climbRate: 0.3,           // 每tick爬升距离
+            descentRate: 0.2,         // 每tick下降距离
+            finalDescentRate: 0.05,   // 接近地面时的下降速度
+            finalDescentHeight: 1.5,  // 进入缓降阶段的离地高度
+            holdTolerance: 0.05,      // 悬停位置保持容差
+            maxLandingScan: 64,       // 向下寻找降落点的最大距离
+            ...options
+        };
+    }
+
+    isAirborne() {
+        return this.state !== FlightState.GROUNDED;
+    }
+
+    canTransition(to) {
+        return TRANSITIONS[this.state].includes(to);
+    }
+
+    transition(to, reason = '') {
+        if (!this.canTransition(to)) {
+            this.lastError = `当前状态 ${this.state} 不能切换到 ${to}`;
+            console.log(`飞行状态转换被拒绝: ${this.state} -> ${to}`);
+            return false;
+        }
+        console.log(`飞行状态: ${this.state} -> ${to}${reason ? ` (${reason})` : ''}`);
+        this.state = to;
+        this.stateSince = Date.now();
+        return true;
+    }
+
+    // 垂直起飞到离地 altitude 格，缺省使用配置的起飞高度
+    takeoff(altitude = this.config.takeoffAltitude) {
+        if (!this.canTransition(FlightState.TAKING_OFF)) {
+            this.lastError = `当前状态 ${this.state} 无法起飞`;
+            return false;
+        }
+        const position = this.bot.entity.position;
+        const groundY = this.findGroundBelow(position);
+        const baseY = groundY === null ? position.y : groundY + 1;
+        let targetY = baseY + altitude;
+        if (this.geofence) {
+            targetY = this.geofence.clampAltitude(targetY);
+            const target = new Vec3(position.x, targetY, position.z);
+            const violation = this.geofence.segmentViolation(position, target);
+            if (violation || targetY <= position.y) {
+                this.lastError = violation ? `起飞会违反地理围栏: ${violation}` : '高度限制不允许起飞';
+                console.log(this.lastError);
+                return false;
+            }
+        }
+
+        this.bot.creative.startFlying();
+        this.takeoffTarget = new Vec3(position.x, targetY, position.z);
+        return this.transition(FlightState.TAKING_OFF, `目标高度 ${this.takeoffTarget.y.toFixed(1)}`);
+    }
+
+    // 在当前位置悬停，保持高度
+    hover(reason) {
+        if (this.state === FlightState.HOVERING) {
+            this.holdPosition = this.bot.entity.position.clone();
+            return true;
+        }
+        if (!this.transition(FlightState.HOVERING, reason)) {
+            return false;
+        }
+        this.holdPosition = this.bot.entity.position.clone();
+        this.landingTarget = null;
+        this.takeoffTarget = null;
+        return true;
+    }
+
+    cruise() {
+        if (this.state === FlightState.CRUISING) {
+            return true;
+        }
+        return this.transition(FlightState.CRUISING);
+    }
+
+    // 调整悬停高度，下降时不低于地面上方一格
+    climb(delta) {
+        if (this.state !== FlightState.HOVERING) {
+            return false;
+        }
+        let targetY = this.holdPosition.y + delta;
+        const groundY = this.findGroundBelow(this.bot.entity.position);
+        if (groundY !== null) {
+            targetY = Math.max(targetY, groundY + 2);
+        }
+        if (this.geofence) {
+            targetY = this.geofence.clampAltitude(targetY);
+        }
+        this.holdPosition = new Vec3(this.holdPosition.x, targetY, this.holdPosition.z);
+        console.log(`悬停高度调整为 ${targetY.toFixed(1)}`);
+        return true;
+    }
+
+    // 遥控水平移动时只保持高度
+    followHorizontal(position) {
+        this.manualHorizontal = true;
+        if (this.holdPosition) {
+            this.holdPosition.x = position.x;
+            this.holdPosition.z = position.z;
+        }
+    }
+
+    // 受控下降：先确认下方降落点安全，否则保持悬停
+    land() {
+        if (!this.canTransition(FlightState.LANDING)) {
+            return { success: false, reason: `当前状态 ${this.state} 无法降落` };
+        }
+        const check = this.checkLandingSpot(this.bot.entity.position);
+        if (!check.clear) {
+            if (this.state !== FlightState.HOVERING) {
+                this.hover('降落点不安全');
+            }
+            return { success: false, reason: check.reason };
+        }
+        this.landingTarget = new Vec3(this.bot.entity.position.x, check.groundY + 1, this.bot.entity.position.z);
+        this.transition(FlightState.LANDING, `降落到 Y=${this.landingTarget.y}`);
+        return { success: true };
+    }
+
+    emergency(reason = '紧急状态') {
+        if (this.state === FlightState.EMERGENCY || !this.transition(FlightState.EMERGENCY, reason)) {
+            return false;
+        }
+        this.holdPosition = this.bot.entity.position.clone();
+        this.landingTarget = null;
+        this.takeoffTarget = null;
+        return true;
+    }
+
+    update() {
+        switch (this.state) {
+            case FlightState.TAKING_OFF:
+                this.updateTakeoff();
+                break;
+            case FlightState.HOVERING:
+            case FlightState.EMERGENCY:
+                this.holdAltitude();
+                break;
+            case FlightState.LANDING:
+                this.updateLanding();
+                break;
+            default:
+                break;
+        }
+    }
+
+    updateTakeoff() {
+        const position = this.bot.entity.position;
+        if (this.isBlockSolid(position.offset(0, 2, 0))) {
+            this.hover('上方受阻，停止爬升');
+            return;
+        }
+        if (this.stepToward(this.takeoffTarget, this.config.climbRate)) {
+            this.hover('已到达起飞高度');
+        }
+    }
+
+    holdAltitude() {
+        if (!this.holdPosition) {
+            this.holdPosition = this.bot.entity.position.clone();
+        }
+        // 遥控移动时保留水平速度，只修正高度
+        const velocity = this.bot.entity.velocity.clone();
+        this.stepToward(this.holdPosition, this.config.climbRate);
+        if (this.manualHorizontal) {
+            this.bot.entity.velocity = new Vec3(velocity.x, 0, velocity.z);
+            this.manualHorizontal = false;
+        }
+    }
+
+    updateLanding() {
+        const position = this.bot.entity.position;
+        const height = position.y - this.landingTarget.y;
+        // 下降途中降落点被占用则中止降落
+        if (this.isBlockSolid(this.landingTarget) || this.isBlockSolid(this.landingTarget.offset(0, 1, 0))) {
+            this.hover('降落点被占用，中止降落');
+            return;
+        }
+        const rate = height > this.config.finalDescentHeight ? this.config.descentRate : this.config.finalDescentRate;
+        if (this.stepToward(this.landingTarget, rate)) {
+            this.bot.entity.position = this.landingTarget.clone();
+            this.bot.creative.stopFlying();
+            this.landingTarget = null;
+            this.holdPosition = null;
+            this.transition(FlightState.GROUNDED, '已着陆');
+        }
+    }
+
+    // 按给定步长移动到目标点，到达返回true
+    stepToward(target, maxStep) {
+        const position = this.bot.entity.position;
+        const delta = target.minus(position);
+        const distance = delta.norm();
+        this.bot.entity.velocity = new Vec3(0, 0, 0);
+        if (distance <= this.config.holdTolerance) {
+            return true;
+        }
+        if (distance <= maxStep) {
+            this.bot.entity.position = target.clone();
+            return true;
+        }
+        position.add(delta.scaled(maxStep / distance));
+        return false;
+    }
+
+    checkLandingSpot(position) {
+        const groundY = this.findGroundBelow(position);
+        if (groundY === null) {
+            return { clear: false, reason: `下方 ${this.config.maxLandingScan} 格内没有地面` };
+        }
+        const ground = this.bot.blockAt(new Vec3(position.x, groundY, position.z));
+        if (!ground || UNSAFE_LANDING_BLOCKS.some(name => ground.name.includes(name))) {
+            return { clear: false, reason: `降落点为 ${ground ? ground.name : '未知方块'}，不安全` };
+        }
+        // 机体占用的两格必须为空
+        for (let dy = 1; dy <= 2; dy++) {
+            if (this.isBlockSolid(new Vec3(position.x, groundY + dy, position.z))) {
+                return { clear: false, reason: '降落点上方空间不足' };
+            }
+        }
+        return { clear: true, groundY };
+    }
+
+    // 向下寻找第一个非空方块，返回其Y坐标
+    findGroundBelow(position) {
+        const startY = Math.floor(position.y);
+        for (let y = startY; y >= startY - this.config.maxLandingScan; y--) {
+            const block = this.bot.blockAt(new Vec3(position.x, y, position.z));
+            if (block && block.boundingBox !== 'empty') {
+                return y;
+            }
+            if (block && block.name.includes('water')) {
+                return y;
+            }
+        }
+        return null;
+    }
+
+    isBlockSolid(position) {
+        const block = this.bot.blockAt(position);
+        return !!block && block.boundingBox === 'block';
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            stateDuration: Date.now() - this.stateSince,
+            holdAltitude: this.holdPosition ? this.holdPosition.y : null,
+            takeoffAltitude: this.config.takeoffAltitude
+        };
+    }
+}
+
+FlightStateMachine.FlightState = FlightState;
+
+module.exports = FlightStateMachine;
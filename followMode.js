@@ -0,0 +1,158 @@
+const { Vec3 } = require('vec3');
+const { FlightState } = require('./flightStateMachine');
+
+// 跟随模式：从 bot.entities 跟踪指定玩家或实体，保持在其身后 offset 格、上方 altitude 格
+class FollowMode {
+    constructor(controller) {
+        this.controller = controller;
+        this.bot = controller.bot;
+        this.leaderName = null;
+        this.offset = 3;
+        this.altitude = 0;
+        this.lastGoal = null;      // 上次用于导航的目标点
+        this.lastSeen = 0;
+        this.lastLook = 0;
+        this.lastNavigate = 0;
+        this.fenceBlocked = false;
+
+        this.config = {
+            replanDistance: 3,     // 目标点移动超过该距离才重新规划
+            arriveDistance: 1.5,   // 与目标点距离在此范围内视为已就位
+            lostTimeout: 5000,     // 跟随目标消失超过该时间则悬停报告
+            lookInterval: 500,     // 就位时朝向目标的更新间隔
+            retryInterval: 1000    // 两次发起导航的最小间隔，规划失败时避免每tick重试
+        };
+    }
+
+    isActive() {
+        return this.leaderName !== null;
+    }
+
+    start(name, offset = 3, altitude) {
+        this.controller.stop();
+        this.leaderName = name;
+        this.offset = offset;
+        this.altitude = altitude === undefined ? (this.controller.isAirborne() ? 4 : 0) : altitude;
+        this.lastGoal = null;
+        this.lastSeen = Date.now();
+        this.fenceBlocked = false;
+        console.log(`开始跟随 ${name}，距离 ${this.offset}，高度 ${this.altitude}`);
+
+        const leader = this.findLeader();
+        if (!leader) {
+            this.bot.chat(`暂未发现 ${name}，${this.config.lostTimeout / 1000} 秒内未出现将停止跟随`);
+        }
+        // 需要离地跟随但还在地面时先起飞
+        if (this.altitude > 0 && !this.controller.isAirborne() && !this.controller.flight.takeoff()) {
+            this.bot.chat(`无法起飞: ${this.controller.flight.lastError}`);
+        }
+    }
+
+    stop(reason = '停止') {
+        if (!this.isActive()) return false;
+        console.log(`停止跟随 ${this.leaderName}: ${reason}`);
+        this.leaderName = null;
+        this.lastGoal = null;
+        if (this.controller.isNavigating) {
+            this.controller.stopNavigation();
+        }
+        return true;
+    }
+
+    // 按用户名、实体名或显示名匹配，忽略大小写
+    findLeader() {
+        const name = this.leaderName.toLowerCase();
+        return Object.values(this.bot.entities).find(entity => {
+            if (!entity || entity === this.bot.entity || !entity.position) return false;
+            return [entity.username, entity.name, entity.displayName]
+                .some(value => typeof value === 'string' && value.toLowerCase() === name);
+        }) || null;
+    }
+
+    // 跟随点：目标朝向的反方向 offset 格，高度为目标上方 altitude 格
+    computeGoal(leader) {
+        const yaw = leader.yaw || 0;
+        const behind = new Vec3(Math.sin(yaw), 0, Math.cos(yaw)).scaled(this.offset);
+        return leader.position.plus(behind).offset(0, this.altitude, 0);
+    }
+
+    update() {
+        if (!this.isActive()) return;
+        const now = Date.now();
+        const leader = this.findLeader();
+
+        if (!leader) {
+            if (now - this.lastSeen > this.config.lostTimeout) {
+                this.handleLost();
+            }
+            return;
+        }
+        this.lastSeen = now;
+
+        const flight = this.controller.flight;
+        if (flight.state === FlightState.TAKING_OFF || flight.state === FlightState.LANDING) {
+            return;
+        }
+
+        const goal = this.computeGoal(leader);
+        const position = this.bot.entity.position;
+
+        if (this.controller.isNavigating) {
+            // 导航中持续更新控制器目标，目标点移动较远时才重新规划
+            this.controller.target = goal;
+            this.controller.currentTarget = goal;
+            if (this.lastGoal && goal.distanceTo(this.lastGoal) > this.config.replanDistance) {
+                this.navigate(goal);
+            }
+            return;
+        }
+
+        if (position.distanceTo(goal) > this.config.arriveDistance + this.config.replanDistance) {
+            this.navigate(goal);
+        } else if (now - this.lastLook > this.config.lookInterval) {
+            this.lastLook = now;
+            this.bot.lookAt(leader.position.offset(0, leader.height || 1.6, 0));
+        }
+    }
+
+    navigate(goal) {
+        const now = Date.now();
+        if (now - this.lastNavigate < this.config.retryInterval) return;
+        const geofence = this.controller.geofence;
+        const violation = geofence && geofence.violation(goal, { airborne: this.controller.isAirborne() });
+        if (violation) {
+            // 跟随点在围栏外时原地等待，只提示一次
+            if (!this.fenceBlocked) {
+                this.fenceBlocked = true;
+                this.bot.chat(`跟随点违反地理围栏(${violation})，等待目标返回`);
+            }
+            return;
+        }
+        this.fenceBlocked = false;
+        this.lastNavigate = now;
+        this.lastGoal = goal.clone();
+        this.controller.navigateTo(goal, { owner: 'follow', quiet: true });
+    }
+
+    handleLost() {
+        const name = this.leaderName;
+        const seconds = ((Date.now() - this.lastSeen) / 1000).toFixed(0);
+        this.stop('目标丢失');
+        if (this.controller.isAirborne()) {
+            this.controller.flight.hover('跟随目标丢失');
+        }
+        console.log(`跟随目标 ${name} 已丢失 ${seconds} 秒`);
+        this.bot.chat(`跟随目标 ${name} 已丢失 ${seconds} 秒，原地${this.controller.isAirborne() ? '悬停' : '停止'}`);
+    }
+
+    getStatus() {
+        return this.isActive() ? {
+            leader: this.leaderName,
+            offset: this.offset,
+            altitude: this.altitude,
+            lastSeen: this.lastSeen
+        } : null;
+    }
+}
+
+module.exports = FollowMode;
@@ -0,0 +1,227 @@
+// 地理围栏：禁飞区(长方体/多边形柱体)、高度限制和作业边界(圆柱/长方形)
+class Geofence {
+    constructor() {
+        this.zones = new Map();
+        this.altitude = { min: null, max: null };
+        this.boundary = null;
+        this.nextZoneId = 1;
+        this.version = 0; // 每次修改递增，便于可视化端判断是否需要重绘
+        this.sampleStep = 0.5;
+    }
+
+    /**
+     * 添加禁飞区
+     * 长方体: { type: 'box', min: {x,y,z}, max: {x,y,z} }
+     * 多边形: { type: 'polygon', points: [{x,z}, ...], minY, maxY }，minY/maxY 缺省表示不限高度
+     */
+    addNoFlyZone(zone) {
+        const normalized = this.normalizeZone(zone);
+        normalized.id = zone.id !== undefined ? String(zone.id) : String(this.nextZoneId++);
+        this.zones.set(normalized.id, normalized);
+        this.version++;
+        console.log(`添加禁飞区 ${normalized.id} (${normalized.type})`);
+        return normalized.id;
+    }
+
+    removeNoFlyZone(id) {
+        const removed = this.zones.delete(String(id));
+        if (removed) {
+            this.version++;
+            console.log(`移除禁飞区 ${id}`);
+        }
+        return removed;
+    }
+
+    clear() {
+        this.zones.clear();
+        this.altitude = { min: null, max: null };
+        this.boundary = null;
+        this.version++;
+        console.log('地理围栏已清空');
+    }
+
+    setAltitudeLimits(min, max) {
+        const lower = min === undefined ? null : min;
+        const upper = max === undefined ? null : max;
+        if (lower !== null && upper !== null && lower >= upper) {
+            throw new Error(`最低高度 ${lower} 必须小于最高高度 ${upper}`);
+        }
+        this.altitude = { min: lower, max: upper };
+        this.version++;
+        console.log(`高度限制: ${lower === null ? '-' : lower} ~ ${upper === null ? '-' : upper}`);
+    }
+
+    /**
+     * 设置作业边界
+     * 圆柱: { type: 'cylinder', center: {x,z}, radius }
+     * 长方形: { type: 'box', min: {x,z}, max: {x,z} }
+     * 传入 null 取消边界
+     */
+    setBoundary(boundary) {
+        if (!boundary) {
+            this.boundary = null;
+        } else if (boundary.type === 'cylinder') {
+            if (!(boundary.radius > 0)) {
+                throw new Error('圆柱边界半径必须大于0');
+            }
+            this.boundary = {
+                type: 'cylinder',
+                center: { x: Number(boundary.center.x), z: Number(boundary.center.z) },
+                radius: Number(boundary.radius)
+            };
+        } else if (boundary.type === 'box') {
+            this.boundary = {
+                type: 'box',
+                min: { x: Math.min(boundary.min.x, boundary.max.x), z: Math.min(boundary.min.z, boundary.max.z) },
+                max: { x: Math.max(boundary.min.x, boundary.max.x), z: Math.max(boundary.min.z, boundary.max.z) }
+            };
+        } else {
+            throw new Error(`未知的边界类型: ${boundary.type}`);
+        }
+        this.version++;
+        console.log('作业边界:', this.boundary);
+    }
+
+    normalizeZone(zone) {
+        if (zone.type === 'box') {
+            return {
+                type: 'box',
+                min: {
+                    x: Math.min(zone.min.x, zone.max.x),
+                    y: Math.min(zone.min.y, zone.max.y),
+                    z: Math.min(zone.min.z, zone.max.z)
+                },
+                max: {
+                    x: Math.max(zone.min.x, zone.max.x),
+                    y: Math.max(zone.min.y, zone.max.y),
+                    z: Math.max(zone.min.z, zone.max.z)
+                }
+            };
+        }
+        if (zone.type === 'polygon') {
+            if (!Array.isArray(zone.points) || zone.points.length < 3) {
+                throw new Error('多边形禁飞区至少需要3个顶点');
+            }
+            return {
+                type: 'polygon',
+                points: zone.points.map(p => ({ x: Number(p.x), z: Number(p.z) })),
+                minY: zone.minY === undefined ? null : zone.minY,
+                maxY: zone.maxY === undefined ? null : zone.maxY
+            };
+        }
+        throw new Error(`未知的禁飞区类型: ${zone.type}`);
+    }
+
+    isInsideZone(zone, pos) {
+        if (zone.type === 'box') {
+            return pos.x >= zone.min.x && pos.x <= zone.max.x &&
+                   pos.y >= zone.min.y && pos.y <= zone.max.y &&
+                   pos.z >= zone.min.z && pos.z <= zone.max.z;
+        }
+        if (zone.minY !== null && pos.y < zone.minY) return false;
+        if (zone.maxY !== null && pos.y > zone.maxY) return false;
+        return Geofence.isPointInPolygon(pos, zone.points);
+    }
+
+    // 射线法判断点是否在 xz 平面多边形内，测绘区域等其他多边形也用它判断
+    static isPointInPolygon(pos, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.z > pos.z) !== (b.z > pos.z) &&
+                pos.x < (b.x - a.x) * (pos.z - a.z) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    isInsideBoundary(pos) {
+        if (!this.boundary) return true;
+        if (this.boundary.type === 'cylinder') {
+            const dx = pos.x - this.boundary.center.x;
+            const dz = pos.z - this.boundary.center.z;
+            return dx * dx + dz * dz <= this.boundary.radius * this.boundary.radius;
+        }
+        return pos.x >= this.boundary.min.x && pos.x <= this.boundary.max.x &&
+               pos.z >= this.boundary.min.z && pos.z <= this.boundary.max.z;
+    }
+
+    // 返回位置违反的围栏说明，未违反返回null。高度限制只约束飞行状态
+    violation(pos, { airborne = true } = {}) {
+        if (!this.isInsideBoundary(pos)) {
+            return '超出作业边界';
+        }
+        if (airborne) {
+            if (this.altitude.min !== null && pos.y < this.altitude.min) {
+                return `低于最低高度 ${this.altitude.min}`;
+            }
+            if (this.altitude.max !== null && pos.y > this.altitude.max) {
+                return `高于最高高度 ${this.altitude.max}`;
+            }
+        }
+        for (const zone of this.zones.values()) {
+            if (this.isInsideZone(zone, pos)) {
+                return `进入禁飞区 ${zone.id}`;
+            }
+        }
+        return null;
+    }
+
+    isPositionAllowed(pos, options) {
+        return this.violation(pos, options) === null;
+    }
+
+    // 检查线段是否穿越围栏。起点已在围栏外时只要求终点合法，允许飞离
+    segmentViolation(from, to, options) {
+        if (this.violation(from, options)) {
+            return this.violation(to, options);
+        }
+        const length = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2 + (to.z - from.z) ** 2);
+        const steps = Math.max(1, Math.ceil(length / this.sampleStep));
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const reason = this.violation({
+                x: from.x + (to.x - from.x) * t,
+                y: from.y + (to.y - from.y) * t,
+                z: from.z + (to.z - from.z) * t
+            }, options);
+            if (reason) {
+                return reason;
+            }
+        }
+        return null;
+    }
+
+    // 把目标高度限制在允许范围内
+    clampAltitude(y) {
+        let result = y;
+        if (this.altitude.max !== null) result = Math.min(result, this.altitude.max);
+        if (this.altitude.min !== null) result = Math.max(result, this.altitude.min);
+        return result;
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            zones: Array.from(this.zones.values()),
+            altitude: this.altitude,
+            boundary: this.boundary
+        };
+    }
+
+    // 从 toJSON 的结果恢复(如规划线程中的副本)，数据已规范化，不再校验
+    static fromJSON(data) {
+        const geofence = new Geofence();
+        for (const zone of data.zones) {
+            geofence.zones.set(zone.id, zone);
+        }
+        geofence.altitude = { ...data.altitude };
+        geofence.boundary = data.boundary;
+        geofence.version = data.version;
+        return geofence;
+    }
+}
+
+module.exports = Geofence;
@@ -0,0 +1,235 @@
+// 地面节点键：x/z 相对起点的偏移各占21位，打包成一个安全整数
+const GROUND_KEY_OFFSET = 1 << 20;
+const GROUND_KEY_SPAN = 1 << 21;
+
+// 带高度的节点键：在地面节点键后追加相对起点高度的偏移(10位)
+const LEVEL_KEY_OFFSET = 1 << 9;
+const LEVEL_KEY_SPAN = 1 << 10;
+
+function packKey(x, z, origin) {
+    return (x - origin.x + GROUND_KEY_OFFSET) * GROUND_KEY_SPAN + (z - origin.z + GROUND_KEY_OFFSET);
+}
+
+/**
+ * 地面规划的世界模型
+ * 把 AdaptiveExplorer 的知识地图包装成以起点高度为准的二维栅格，供各规划算法共用：
+ * 格子可通行性在本次规划内缓存，搜索范围限制在起点与目标包围盒外扩 margin 格内
+ * (未知区域按可通行处理，不加边界时跳点搜索和随机采样会无限延伸)。
+ * 另提供带高度的格子 { x, y, z } 及其邻域(上下台阶、下落)，供能处理高度变化的规划算法使用
+ */
+class GroundWorldModel {
+    constructor(explorer, start, goal, margin = 32) {
+        this.explorer = explorer;
+        this.start = start;
+        this.origin = this.toCell(start);
+        this.y = explorer.getGroundLevelNear(start.x, start.z, Math.floor(start.y));
+        this.goalY = explorer.getGroundLevelNear(goal.x, goal.z, Math.floor(goal.y));
+        const goalCell = this.toCell(goal);
+        this.bounds = {
+            minX: Math.min(this.origin.x, goalCell.x) - margin,
+            maxX: Math.max(this.origin.x, goalCell.x) + margin,
+            minZ: Math.min(this.origin.z, goalCell.z) - margin,
+            maxZ: Math.max(this.origin.z, goalCell.z) + margin
+        };
+        this.walkableCache = new Map(); // 节点键 -> 是否可通行
+        this.terrainCache = new Map();  // 节点键 -> { cost, penalty }
+        this.standableCache = new Map(); // 带高度的节点键 -> 能否站立
+    }
+
+    // 同一起点、另一目标的模型(搜索范围按新目标重新划定)，与本模型共用格子缓存
+    withGoal(goal, margin) {
+        const model = new GroundWorldModel(this.explorer, this.start, goal, margin);
+        model.walkableCache = this.walkableCache;
+        model.terrainCache = this.terrainCache;
+        model.standableCache = this.standableCache;
+        return model;
+    }
+
+    // 本次规划实际执行的安全检查次数
+    get safetyChecks() {
+        return this.walkableCache.size + this.standableCache.size;
+    }
+
+    toCell(position) {
+        return { x: Math.floor(position.x), z: Math.floor(position.z) };
+    }
+
+    // 格子中心的水平坐标
+    center(cell) {
+        return { x: cell.x + 0.5, z: cell.z + 0.5 };
+    }
+
+    key(x, z) {
+        return packKey(x, z, this.origin);
+    }
+
+    levelKey(x, y, z) {
+        return this.key(x, z) * LEVEL_KEY_SPAN + (y - this.y + LEVEL_KEY_OFFSET);
+    }
+
+    inBounds(x, z) {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        return x >= minX && x <= maxX && z >= minZ && z <= maxZ;
+    }
+
+    isWalkable(x, z) {
+        return this.inBounds(x, z) && this.isSafeCell(x, z);
+    }
+
+    // 不受搜索范围限制的可通行检查，供自行维护范围的增量规划器使用
+    isSafeCell(x, z) {
+        const key = this.key(x, z);
+        let walkable = this.walkableCache.get(key);
+        if (walkable === undefined) {
+            walkable = this.explorer.isPositionSafeKnowledge(this.toWorld({ x: x + 0.5, z: z + 0.5 }));
+            this.walkableCache.set(key, walkable);
+        }
+        return walkable;
+    }
+
+    // 能否站在 (x, y, z) 格，本次规划内缓存
+    isStandable(x, y, z) {
+        const key = this.levelKey(x, y, z);
+        let standable = this.standableCache.get(key);
+        if (standable === undefined) {
+            standable = this.explorer.isStandableKnowledge(x, y, z);
+            this.standableCache.set(key, standable);
+        }
+        return standable;
+    }
+
+    // 格子的地形代价 { cost, penalty }，y 缺省时按该列的地面高度，本次规划内缓存
+    terrain(x, z, y) {
+        const key = y === undefined ? this.key(x, z) : this.levelKey(x, y, z);
+        let terrain = this.terrainCache.get(key);
+        if (!terrain) {
+            terrain = this.explorer.getTerrainCost({ x: x + 0.5, y, z: z + 0.5 });
+            this.terrainCache.set(key, terrain);
+        }
+        return terrain;
+    }
+
+    // 知识地图版本号，每记录一个格子变化加一
+    get version() {
+        return this.explorer.knowledgeVersion;
+    }
+
+    // 所有格子的地形代价是否相同
+    get uniformTerrain() {
+        return this.explorer.hasUniformTerrain();
+    }
+
+    // 当前地形代价配置名，切换配置后所有格子的代价都可能改变
+    get profile() {
+        return this.explorer.costModel.profileName;
+    }
+
+    // 一个格子的变化会影响其代价的格子范围(邻近代价半径)
+    get influenceRadius() {
+        return this.explorer.costModel.proximityRadius;
+    }
+
+    // version 之后可通行性可能变化的格子 [{ x, z }]，变化日志已被截断时返回 null
+    changesSince(version) {
+        return this.explorer.getCellChangesSince(version);
+    }
+
+    // 8邻域(顺序由探索器决定)，不做可通行过滤
+    neighbors(cell) {
+        return this.explorer.getKnowledgeBasedNeighbors({ x: cell.x, y: this.y, z: cell.z }, 1)
+            .map(neighbor => ({ x: neighbor.x, z: neighbor.z }));
+    }
+
+    // 带高度格子的邻域(上下台阶、下落)，已过滤搜索范围和能否站立
+    levelNeighbors(cell) {
+        return this.explorer.getLevelNeighbors(cell, (x, y, z) => this.inBounds(x, z) && this.isStandable(x, y, z));
+    }
+
+    // 相邻格用探索器的移动代价(terrain 缺省时取目标格的地形)，跨多格的直线段沿途累计地形代价
+    cost(from, to, terrain = null) {
+        if (Math.abs(to.x - from.x) <= 1 && Math.abs(to.z - from.z) <= 1) {
+            return this.explorer.calculateMoveCost(from, to, 1, terrain || this.terrain(to.x, to.z, to.y));
+        }
+        return this.segmentCost(from, to);
+    }
+
+    /**
+     * 格子 from 到 to 中心连线的代价：每0.25格采样一次，采样段长度乘以所在格子的代价倍数，
+     * 每进入一个新格子加一次它的附加代价。地形代价均为1时等于欧氏距离
+     */
+    segmentCost(from, to) {
+        const a = this.center(from);
+        const b = this.center(to);
+        const length = this.distance(a, b);
+        if (this.uniformTerrain) return length;
+        const steps = Math.max(1, Math.ceil(length * 4));
+        let cost = 0;
+        let lastX = from.x, lastZ = from.z;
+        let terrain = this.terrain(from.x, from.z);
+        for (let i = 1; i <= steps; i++) {
+            const t = (i - 0.5) / steps;
+            const x = Math.floor(a.x + (b.x - a.x) * t);
+            const z = Math.floor(a.z + (b.z - a.z) * t);
+            if (x !== lastX || z !== lastZ) {
+                lastX = x;
+                lastZ = z;
+                terrain = this.terrain(x, z);
+                cost += terrain.penalty;
+            }
+            cost += terrain.cost * length / steps;
+        }
+        return cost;
+    }
+
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+    }
+
+    /**
+     * 水平坐标 a 到 b 的直线段是否可通行：每0.25格采样一次，
+     * 机体四角(±0.3格)所在格子都必须可通行，与执行时的 isPathClearInKnowledgeMap 保持一致
+     */
+    isSegmentClear(a, b) {
+        const steps = Math.max(1, Math.ceil(this.distance(a, b) * 4));
+        let lastMinX = null, lastMaxX = null, lastMinZ = null, lastMaxZ = null;
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const x = a.x + (b.x - a.x) * t;
+            const z = a.z + (b.z - a.z) * t;
+            const minX = Math.floor(x - 0.3), maxX = Math.floor(x + 0.3);
+            const minZ = Math.floor(z - 0.3), maxZ = Math.floor(z + 0.3);
+            // 四角所在格子与上一个采样点相同时跳过
+            if (minX === lastMinX && maxX === lastMaxX && minZ === lastMinZ && maxZ === lastMaxZ) continue;
+            lastMinX = minX; lastMaxX = maxX; lastMinZ = minZ; lastMaxZ = maxZ;
+            if (!this.isWalkable(minX, minZ) || !this.isWalkable(minX, maxZ) ||
+                !this.isWalkable(maxX, minZ) || !this.isWalkable(maxX, maxZ)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // 没有高度的水平坐标补上知识地图中的地面高度
+    toWorld(point) {
+        const y = point.y !== undefined ? point.y : this.explorer.getGroundLevelKnowledge(point.x, point.z);
+        return { x: point.x, y, z: point.z };
+    }
+
+    /**
+     * 规划结果转换为以起点开头的世界坐标路径：points 为起点之后的坐标序列(可不带高度)，
+     * 末点离目标格中心超过半格时接上目标格中心，带高度的路径取目标处的地面高度
+     */
+    toPath(start, points, goal) {
+        const path = [{ x: start.x, y: start.y, z: start.z }].concat(points.map(point => this.toWorld(point)));
+        const goalCenter = this.center(this.toCell(goal));
+        const last = points[points.length - 1];
+        if (!last || this.distance(last, goalCenter) > 0.5) {
+            path.push(this.toWorld(last && last.y !== undefined ? { ...goalCenter, y: this.goalY } : goalCenter));
+        }
+        return path;
+    }
+}
+
+GroundWorldModel.packKey = packKey;
+
+module.exports = GroundWorldModel;
@@ -0,0 +1,213 @@
+const AStarPlanner = require('./aStarPlanner');
+const BinaryHeap = require('./binaryHeap');
+const RegionGraph = require('./regionGraph');
+
+/**
+ * 分层规划器(HPA*)
+ * 在区域抽象图上搜索跨区域的粗略路线，只把路线在前 refineRegions 个区域内的一段交给带高度的A*做全分辨率细化，
+ * 返回的路径止于下一个区域的入口(stats.mode 为 partial)，走完前由探索器接着规划下一段。
+ * 起点与目标所在区域相距小于 refineRegions 时直接全分辨率规划(stats.mode 为 direct)。
+ * 抽象图跨多次规划保留，按知识地图变化日志只重建受影响的区域
+ */
+class HierarchicalPlanner {
+    constructor(options = {}) {
+        this.name = options.name || 'hpa';
+        this.graph = new RegionGraph(options);
+        this.refineRegions = options.refineRegions || 2;
+        this.refineMargin = options.refineMargin || 8; // 细化搜索范围在起点与子目标包围盒外扩的格数
+        this.refiner = new AStarPlanner({ vertical: true });
+    }
+
+    reset() {
+        this.graph.clear();
+    }
+
+    plan(start, goal, world, limits = {}) {
+        const { maxNodes = Infinity, maxTime = Infinity, cancelled = null } = limits;
+        const startTime = Date.now();
+        const graph = this.graph;
+        const builtBefore = graph.built;
+        const invalidated = graph.sync(world);
+        const startCell = world.toCell(start);
+        const goalCell = world.toCell(goal);
+        const summary = extra => ({
+            regions: graph.regions.size,
+            built: graph.built - builtBefore,
+            invalidated,
+            ...extra
+        });
+
+        if (graph.regionDistance(startCell, goalCell) < this.refineRegions) {
+            const direct = this.refiner.plan(start, goal, world, limits);
+            return { path: direct.path, stats: { ...direct.stats, ...summary({ mode: 'direct' }) } };
+        }
+
+        const route = this.searchAbstract(startCell, goalCell, world, maxNodes, maxTime, startTime, cancelled);
+        if (!route.nodes) {
+            return {
+                path: null,
+                stats: { result: route.result, expanded: route.expanded, generated: route.generated, cost: null, ...summary({ mode: 'abstract' }) }
+            };
+        }
+
+        // 细化到路线进入第 refineRegions + 1 个区域的入口，路线不出前几个区域时直接细化到目标
+        const index = this.pickSubgoal(route.nodes);
+        const complete = index === route.nodes.length - 1;
+        let subgoal = goal;
+        let refineWorld = world;
+        if (!complete) {
+            const cell = route.nodes[index];
+            subgoal = world.toWorld(world.center(cell));
+            refineWorld = world.withGoal(subgoal, this.refineMargin);
+            this.coverRegions(refineWorld.bounds, route.nodes.slice(0, index + 1));
+        }
+        const refined = this.refiner.plan(start, subgoal, refineWorld, {
+            ...limits,
+            maxNodes: maxNodes - route.expanded,
+            maxTime: maxTime - (Date.now() - startTime)
+        });
+        const rest = route.cost - route.costs[index];
+        return {
+            path: refined.path,
+            stats: {
+                result: refined.stats.result,
+                expanded: route.expanded + refined.stats.expanded,
+                generated: route.generated + refined.stats.generated,
+                cost: refined.stats.cost,
+                // 细化段代价加上抽象路线剩余部分的代价，作为到目标总代价的估计
+                estimate: refined.stats.cost === null ? null : refined.stats.cost + rest,
+                routeNodes: route.nodes.length,
+                ...summary({ mode: complete ? 'direct' : 'partial' })
+            }
+        };
+    }
+
+    /**
+     * 抽象图上的A*：起点和目标作为临时节点，经各自区域内的最短路接到区域的门户上
+     * (目标一侧用从目标出发的代价近似)。返回 { nodes, costs, cost, result, expanded, generated }，
+     * nodes 为起点到目标的格子序列，costs 为到达各格子的累计代价
+     */
+    searchAbstract(startCell, goalCell, world, maxNodes, maxTime, startTime, cancelled) {
+        const graph = this.graph;
+        const startRegion = graph.regionOf(startCell);
+        const goalRegion = graph.regionOf(goalCell);
+        const goalKey = graph.nodeKey(goalCell.x, goalCell.z);
+        const first = graph.region(startRegion.rx, startRegion.rz, world);
+        const last = graph.region(goalRegion.rx, goalRegion.rz, world);
+        const startCosts = graph.searchRegion(startCell, first, world);
+        const goalCosts = graph.searchRegion(goalCell, last, world);
+        const startEdges = first.portals
+            .filter(portal => startCosts[graph.localIndex(portal, first)] !== Infinity)
+            .map(portal => ({ node: portal, cost: startCosts[graph.localIndex(portal, first)] }));
+
+        const openSet = new BinaryHeap();
+        const nodes = new Map(); // 节点键 -> { cell, g, parent, closed }
+        const startNode = { cell: startCell, g: 0, parent: null, closed: false };
+        nodes.set(graph.nodeKey(startCell.x, startCell.z), startNode);
+        openSet.push(startNode, this.heuristic(startCell, goalCell));
+
+        let expanded = 0;
+        let result = 'exhausted';
+        let goalNode = null;
+        while (openSet.size > 0) {
+            if (expanded >= maxNodes) {
+                result = 'nodeLimit';
+                break;
+            }
+            // 扩展抽象节点时可能要构建区域，开销远大于栅格节点，每次都检查时钟和取消请求
+            if (Date.now() - startTime > maxTime) {
+                result = 'timeLimit';
+                break;
+            }
+            if (cancelled && cancelled()) {
+                result = 'cancelled';
+                break;
+            }
+
+            const current = openSet.pop();
+            if (current.closed) continue;
+            current.closed = true;
+            expanded++;
+            const cell = current.cell;
+            if (cell.x === goalCell.x && cell.z === goalCell.z) {
+                result = 'found';
+                goalNode = current;
+                break;
+            }
+
+            // 起点本身也可能是门户
+            const edges = graph.edgesFrom(cell, world).concat(current === startNode ? startEdges : []);
+            const region = graph.regionOf(cell);
+            if (region.rx === goalRegion.rx && region.rz === goalRegion.rz) {
+                const toGoal = goalCosts[graph.localIndex(cell, last)];
+                if (toGoal !== Infinity) {
+                    edges.push({ node: goalCell, cost: toGoal });
+                }
+            }
+            for (const edge of edges) {
+                const next = edge.node;
+                if (!world.inBounds(next.x, next.z)) continue;
+                const key = graph.nodeKey(next.x, next.z);
+                let node = nodes.get(key);
+                if (node && node.closed) continue;
+                if (!node) {
+                    node = { cell: key === goalKey ? goalCell : next, g: Infinity, parent: null, closed: false };
+                    nodes.set(key, node);
+                }
+                const g = current.g + edge.cost;
+                if (g < node.g) {
+                    node.g = g;
+                    node.parent = current;
+                    openSet.push(node, g + this.heuristic(next, goalCell));
+                }
+            }
+        }
+
+        const route = { result, expanded, generated: nodes.size, nodes: null, costs: null, cost: null };
+        if (goalNode) {
+            route.nodes = [];
+            route.costs = [];
+            for (let node = goalNode; node; node = node.parent) {
+                route.nodes.unshift(node.cell);
+                route.costs.unshift(node.g);
+            }
+            route.cost = goalNode.g;
+        }
+        return route;
+    }
+
+    // 细化范围扩展到路线经过的各区域全部，区域内门户之间的绕行可能超出起点与子目标的包围盒
+    coverRegions(bounds, cells) {
+        const size = this.graph.size;
+        for (const cell of cells) {
+            const { rx, rz } = this.graph.regionOf(cell);
+            bounds.minX = Math.min(bounds.minX, rx * size);
+            bounds.maxX = Math.max(bounds.maxX, rx * size + size - 1);
+            bounds.minZ = Math.min(bounds.minZ, rz * size);
+            bounds.maxZ = Math.max(bounds.maxZ, rz * size + size - 1);
+        }
+    }
+
+    // 路线上第一个不属于前 refineRegions 个区域的节点下标，都属于时为目标
+    pickSubgoal(cells) {
+        const regions = [];
+        for (let i = 0; i < cells.length; i++) {
+            const { rx, rz } = this.graph.regionOf(cells[i]);
+            const key = this.graph.regionKey(rx, rz);
+            if (!regions.includes(key)) {
+                if (regions.length >= this.refineRegions) return i;
+                regions.push(key);
+            }
+        }
+        return cells.length - 1;
+    }
+
+    // 8连通栅格上的对角距离，地形代价倍数不小于1，可采纳
+    heuristic(a, b) {
+        const dx = Math.abs(a.x - b.x);
+        const dz = Math.abs(a.z - b.z);
+        return Math.max(dx, dz) + 0.414 * Math.min(dx, dz);
+    }
+}
+
+module.exports = HierarchicalPlanner;
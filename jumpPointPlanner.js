@@ -0,0 +1,83 @@
+const AStarPlanner = require('./aStarPlanner');
+
+// 8个移动方向
+const ALL_DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+/**
+ * 跳点搜索(JPS)规划器
+ * 在均匀代价的8连通栅格上沿直线和对角线“跳跃”，只把有强迫邻居的格子(跳点)加入开放集，
+ * 扩展节点数远少于A*。对角移动要求两侧正交格都可通行(不切角)，与地面机体宽度相符。
+ * 跳跃的剪枝规则只在代价均匀时成立，地形代价不均匀时按普通A*逐格扩展
+ */
+class JumpPointPlanner extends AStarPlanner {
+    constructor(options = {}) {
+        super({ name: 'jps', ...options });
+        this.goalCell = null;
+        this.goalTolerance = 1.5;
+    }
+
+    plan(start, goal, world, limits = {}) {
+        this.goalCell = world.toCell(goal);
+        this.goalTolerance = limits.goalTolerance || 1.5;
+        return super.plan(start, goal, world, limits);
+    }
+
+    successors(current, world) {
+        if (!world.uniformTerrain) {
+            return super.successors(current, world);
+        }
+        const points = [];
+        for (const [dx, dz] of this.directions(current)) {
+            const point = this.jump(current.x, current.z, dx, dz, world);
+            if (point) points.push(point);
+        }
+        return points;
+    }
+
+    // 按到达方向剪枝后的搜索方向：自然邻居加上可能的强迫邻居，可通行性由 jump 检查
+    directions(node) {
+        if (!node.parent) return ALL_DIRECTIONS;
+        const dx = Math.sign(node.x - node.parent.x);
+        const dz = Math.sign(node.z - node.parent.z);
+        if (dx !== 0 && dz !== 0) {
+            return [[dx, 0], [0, dz], [dx, dz]];
+        }
+        if (dx !== 0) {
+            return [[dx, 0], [dx, 1], [dx, -1], [0, 1], [0, -1]];
+        }
+        return [[0, dz], [1, dz], [-1, dz], [1, 0], [-1, 0]];
+    }
+
+    // 从 (x, z) 沿 (dx, dz) 前进，返回遇到的第一个跳点，撞墙或出界返回 null
+    jump(x, z, dx, dz, world) {
+        while (true) {
+            if (!world.isWalkable(x + dx, z + dz)) return null;
+            if (dx !== 0 && dz !== 0 && !(world.isWalkable(x + dx, z) && world.isWalkable(x, z + dz))) return null;
+            x += dx;
+            z += dz;
+
+            if (world.distance({ x, z }, this.goalCell) < this.goalTolerance) {
+                return { x, z };
+            }
+            if (dx !== 0 && dz !== 0) {
+                // 对角前进时，任一正交方向能找到跳点则当前格为跳点
+                if (this.jump(x, z, dx, 0, world) || this.jump(x, z, 0, dz, world)) {
+                    return { x, z };
+                }
+            } else if (dx !== 0) {
+                if ((world.isWalkable(x, z + 1) && !world.isWalkable(x - dx, z + 1)) ||
+                    (world.isWalkable(x, z - 1) && !world.isWalkable(x - dx, z - 1))) {
+                    return { x, z };
+                }
+            } else if ((world.isWalkable(x + 1, z) && !world.isWalkable(x + 1, z - dz)) ||
+                (world.isWalkable(x - 1, z) && !world.isWalkable(x - 1, z - dz))) {
+                return { x, z };
+            }
+        }
+    }
+}
+
+module.exports = JumpPointPlanner;
@@ -1,12 +1,10 @@
 // ===== 依赖导入 =====
 const mineflayer = require('mineflayer');
 const mineflayerViewer = require('prismarine-viewer').mineflayer;
-const BotController = require('./botController');
-const CommandParser = require('./commandParser');
 const registerCommands = require('./commands');
-const EnvironmentPerception = require('./EnvironmentPerception');
-const RealTimePathfinding = require('./RealTimePathfinding');
+const { registerSwarmCommands } = registerCommands;
 const VisualizationServer = require('./visualizationServer');
+const DroneSwarm = require('./droneSwarm');
 
 // ===== 配置参数 =====
 const options = {
@@ -17,27 +15,41 @@ const options = {
     version: '1.21.1'
 }
 
-// ===== 创建 Bot 实例 =====
-const bot = mineflayer.createBot(options);
-const controller = new BotController(bot);
-const parser = new CommandParser();
+// 编队配置：DRONE_COUNT 为同一进程内启动的无人机数量，第2架起用户名依次加编号；
+// PLANNING_WORKER=0 时地面规划在主线程同步进行，不启动规划线程；
+// SEED 为随机种子(缺省随机选取并在启动时打印)，DETERMINISTIC=1 开启确定性模式，两者配合可复现一次运行
+const swarmOptions = {
+    count: Math.max(1, parseInt(process.env.DRONE_COUNT, 10) || 1),
+    spawnInterval: 5000, // 依次登录，避免触发服务器的连接限流
+    planningWorker: process.env.PLANNING_WORKER !== '0',
+    seed: process.env.SEED,
+    deterministic: process.env.DETERMINISTIC === '1'
+};
+
+// ===== 创建编队 =====
+const swarm = new DroneSwarm({
+    planningWorker: swarmOptions.planningWorker,
+    seed: swarmOptions.seed,
+    deterministic: swarmOptions.deterministic
+});
+console.log(`随机种子: ${swarm.random.seed}(用 SEED=${swarm.random.seed} 复现本次运行)${swarm.deterministic ? '，确定性模式' : ''}`);
 
 // 声明变量
-let perception;
-let pathfinding;
 let visualizationServer;
 
 // ===== 事件与功能实现 =====
 
-function welcome() {
-    bot.chat('自定义寻路版本已启动！')
+function welcome(drone) {
+    drone.bot.chat('自定义寻路版本已启动！')
 }
 
-function setCreativeMode() {
-    bot.chat('/gamemode creative');
+function setCreativeMode(drone) {
+    drone.bot.chat('/gamemode creative');
 }
 
-function setupPathDrawing() {
+function setupPathDrawing(drone) {
+    const bot = drone.bot;
+    if (!bot.viewer) return;
     const path = [bot.entity.position.clone()];
     bot.on('move', () => {
         if (path[path.length - 1].distanceTo(bot.entity.position) > 1) {
@@ -47,7 +59,8 @@ function setupPathDrawing() {
     });
 }
 
-function setupCustomChatEvent() {
+function setupCustomChatEvent(drone) {
+    const bot = drone.bot;
     bot.chatAddPattern(
         /^\[(.+)\] (\S+) > (.+)$/,
         'my_chat_event',
@@ -58,90 +71,115 @@ function setupCustomChatEvent() {
     });
 }
 
-function setupOtherChatEvents() {
+function setupOtherChatEvents(drone) {
+    const bot = drone.bot;
     bot.on('hello',()=>{bot.chat('Hi~')});
     bot.on('chat', (username, message) => {
-        console.log('chat:', username, message);
-        
-        if (message.startsWith('!goto')) {
-            const coords = message.split(' ').slice(1);
-            if (coords.length === 3) {
-                const x = parseFloat(coords[0]);
-                const y = parseFloat(coords[1]);
-                const z = parseFloat(coords[2]);
-                if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
-                    controller.navigateTo({x, y, z});
-                    bot.chat(`正在自定义导航到 ${x}, ${y}, ${z}`);
-                } else {
-                    bot.chat('无效坐标格式');
-                }
-            } else {
-                bot.chat('用法: !goto x y z');
-            }
+        if (username === bot.username) return;
+        // 每架无人机都会收到同一条聊天，由编队决定交给哪一架处理
+        const command = swarm.routeChat(drone, username, message);
+        if (command === null) return;
+        console.log(`chat[${drone.name}]:`, username, message);
+        drone.registry.handle(username, command);
+    });
+}
+
+function registerNavigationCommands(drone) {
+    const { bot, controller, registry } = drone;
+    const random = drone.random.derive(2);
+    registry.register({
+        name: 'goto',
+        description: '使用自定义寻路导航到坐标',
+        args: [{ name: 'target', type: 'vec3' }],
+        handler: ({ target }) => {
+            controller.navigateTo(target);
+            bot.chat(`正在自定义导航到 ${target.x}, ${target.y}, ${target.z}`);
         }
-        
-        if (message === '!stop') {
+    });
+
+    registry.register({
+        name: 'stop',
+        description: '停止导航',
+        handler: () => {
             controller.stop();
             bot.chat('导航已停止');
         }
-        
-        if (message === '!status') {
+    });
+
+    registry.register({
+        name: 'status',
+        description: '查看位置和导航状态',
+        handler: () => {
             const pos = bot.entity.position;
             const status = controller.getStatus();
             bot.chat(`位置: ${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)}`);
             bot.chat(`状态: ${status.isNavigating ? '导航中' : '待机'}`);
-            if (perception) {
-                const visibleBlocks = perception.getVisibleBlocksArray();
+            bot.chat(`飞行状态: ${status.flightState}`);
+            bot.chat(`电量: ${status.battery.percent.toFixed(1)}% (返航储备 ${status.battery.reservePercent.toFixed(1)}%)${status.returningHome ? ' 返航中' : ''}`);
+            if (drone.perception) {
+                const visibleBlocks = drone.perception.getVisibleBlocksArray();
                 bot.chat(`可见方块数量: ${visibleBlocks.length}`);
             }
         }
+    });
 
-        if (message === '!test') {
+    registry.register({
+        name: 'test',
+        description: '导航到附近的随机位置',
+        handler: () => {
             // 测试寻路到附近的位置
             const pos = bot.entity.position;
             const testTarget = {
-                x: pos.x + (Math.random() - 0.5) * 20,
+                x: pos.x + (random.next() - 0.5) * 20,
                 y: pos.y,
-                z: pos.z + (Math.random() - 0.5) * 20
+                z: pos.z + (random.next() - 0.5) * 20
             };
             controller.navigateTo(testTarget);
             bot.chat(`测试导航到随机位置 ${testTarget.x.toFixed(1)}, ${testTarget.y.toFixed(1)}, ${testTarget.z.toFixed(1)}`);
         }
+    });
 
-        if (message === '!near') {
+    registry.register({
+        name: 'near',
+        description: '导航到最近的可见方块，可指定方块类型',
+        args: [{ name: 'block', type: 'block', optional: true }],
+        handler: ({ block }) => {
             // 导航到最近的方块
-            if (perception) {
-                const visibleBlocks = perception.getVisibleBlocksArray();
-                const groundBlocks = visibleBlocks.filter(block => 
-                    block.type === 'grass_block' || block.type === 'dirt' || block.type === 'stone'
-                );
-                
-                if (groundBlocks.length > 0) {
-                    const targetBlock = groundBlocks[0]; // 最近的方块
-                    const target = {
-                        x: targetBlock.position.x,
-                        y: targetBlock.position.y + 1,
-                        z: targetBlock.position.z
-                    };
-                    controller.navigateTo(target);
-                    bot.chat(`导航到最近的 ${targetBlock.type} 方块`);
-                } else {
-                    bot.chat('附近没有找到合适的方块');
-                }
-            } else {
+            if (!drone.perception) {
                 bot.chat('感知系统未初始化');
+                return;
+            }
+            const visibleBlocks = drone.perception.getVisibleBlocksArray();
+            const groundTypes = block ? [block] : ['grass_block', 'dirt', 'stone'];
+            const groundBlocks = visibleBlocks.filter(visible => groundTypes.includes(visible.type));
+
+            if (groundBlocks.length > 0) {
+                const targetBlock = groundBlocks[0]; // 最近的方块
+                const target = {
+                    x: targetBlock.position.x,
+                    y: targetBlock.position.y + 1,
+                    z: targetBlock.position.z
+                };
+                controller.navigateTo(target);
+                bot.chat(`导航到最近的 ${targetBlock.type} 方块`);
+            } else {
+                bot.chat('附近没有找到合适的方块');
             }
         }
+    });
 
-        if (message === '!debug') {
+    registry.register({
+        name: 'debug',
+        description: '输出调试信息到控制台',
+        handler: () => {
             // 调试信息
             const pos = bot.entity.position;
             const status = controller.getStatus();
             console.log('=== 调试信息 ===');
             console.log('Bot位置:', pos);
             console.log('导航状态:', status);
-            if (perception) {
-                const visibleBlocks = perception.getVisibleBlocksArray().slice(0, 5);
+            if (drone.perception) {
+                const visibleBlocks = drone.perception.getVisibleBlocksArray().slice(0, 5);
                 console.log('可见方块(前5个):', visibleBlocks);
             }
             bot.chat('调试信息已输出到控制台');
@@ -149,30 +187,33 @@ function setupOtherChatEvents() {
     });
 }
 
-function initializeIntelligentNavigation() {
+function initializeIntelligentNavigation(drone) {
+    const bot = drone.bot;
     try {
-        console.log('初始化自定义智能导航系统...');
+        console.log(`[${drone.name}] 初始化自定义智能导航系统...`);
         
-        perception = new EnvironmentPerception(bot, 256); // 减少感知距离
-        pathfinding = new RealTimePathfinding(bot, perception);
-        controller.setPathfinding(pathfinding);
+        // 感知系统写入编队共享的世界记忆，规划器同时接入共享围栏和时空预约表
+        swarm.initializeNavigation(drone);
+        const perception = drone.perception;
         
-        console.log('自定义智能导航系统初始化成功');
+        console.log(`[${drone.name}] 自定义智能导航系统初始化成功`);
         bot.chat('自定义智能导航系统已就绪！');
-        bot.chat('指令: !goto x y z (导航), !test (随机测试), !near (最近方块)');
-        bot.chat('指令: !stop (停止), !status (状态), !debug (调试)');
+        if (drone === swarm.primary) {
+            bot.chat('输入 !help 查看全部指令');
+        }
         
         // 定期更新感知信息
         setInterval(async () => {
             if (perception) {
                 const visibleBlocks = await perception.updatePerceptionAsync();
                 if (visibleBlocks.length > 0 && Math.random() < 0.1) { // 10%概率输出日志
-                    console.log(`感知更新，可见方块: ${visibleBlocks.length}`);
+                    console.log(`[${drone.name}] 感知更新，可见方块: ${visibleBlocks.length}`);
                 }
             }
         }, 1000);
         
-        // 性能监控
+        // 性能监控，进程内只需一份
+        if (drone !== swarm.primary) return;
         let lastMemoryCheck = Date.now();
         setInterval(() => {
             const now = Date.now();
@@ -189,69 +230,97 @@ function initializeIntelligentNavigation() {
     }
 }
 
-function initializeVisualization() {
+// 可视化服务挂在主机上，其余无人机通过编队状态一起显示
+function initializeVisualization(drone) {
     try {
-        visualizationServer = new VisualizationServer(bot, perception, controller, 3008);
+        visualizationServer = new VisualizationServer(drone.bot, drone.perception, drone.controller, 3008);
+        visualizationServer.setSwarm(swarm);
         console.log('可视化服务器初始化成功');
         console.log('请访问 http://localhost:3009 查看可视化界面');
-        bot.chat('可视化界面已启动: http://localhost:3009');
+        drone.bot.chat('可视化界面已启动: http://localhost:3009');
     } catch (error) {
         console.error('可视化服务器初始化失败:', error);
     }
 }
 
 // ===== 启动与初始化 =====
-bot.once('spawn', () => {
-    console.log('Bot已生成，开始初始化自定义寻路系统...');
-    
-    welcome();
-    setCreativeMode();
-    
-    // 启动可视化服务
-    try {
-        mineflayerViewer(bot, { port: 3007, firstPerson: false });
-        console.log('Minecraft可视化服务已启动: http://localhost:3007');
-    } catch (error) {
-        console.error('启动Minecraft可视化失败:', error);
-    }
-    
-    setupPathDrawing();
-    registerCommands(bot, controller, parser);
-    setupCustomChatEvent();
-    setupOtherChatEvents();
-    
-    // 等待2秒后初始化智能导航系统
-    setTimeout(() => {
-        initializeIntelligentNavigation();
+function createDrone(index) {
+    const username = index === 0 ? options.username : `${options.username}${index + 1}`;
+    const bot = mineflayer.createBot({ ...options, username });
+    const drone = swarm.addDrone(bot, username);
+    const { controller, registry } = drone;
+    const isPrimary = drone === swarm.primary;
+
+    bot.once('spawn', () => {
+        console.log(`[${username}] Bot已生成，开始初始化自定义寻路系统...`);
+        
+        welcome(drone);
+        setCreativeMode(drone);
+        
+        // 启动可视化服务，游戏画面端口只有一个，仅主机启动
+        if (isPrimary) {
+            try {
+                mineflayerViewer(bot, { port: 3007, firstPerson: false });
+                console.log('Minecraft可视化服务已启动: http://localhost:3007');
+            } catch (error) {
+                console.error('启动Minecraft可视化失败:', error);
+            }
+        }
+        
+        setupPathDrawing(drone);
+        if (!controller.loadHome()) {
+            controller.setHome(bot.entity.position);
+        }
+        registerCommands(bot, controller, registry);
+        registerNavigationCommands(drone);
+        if (isPrimary) {
+            registerSwarmCommands(bot, swarm, registry);
+        }
+        setupCustomChatEvent(drone);
+        setupOtherChatEvents(drone);
         
-        // 再等待1秒后启动可视化服务器
+        // 等待2秒后初始化智能导航系统
         setTimeout(() => {
-            initializeVisualization();
-        }, 1000);
-    }, 2000);
-});
+            initializeIntelligentNavigation(drone);
+            
+            // 再等待1秒后启动可视化服务器
+            if (isPrimary) {
+                setTimeout(() => {
+                    initializeVisualization(drone);
+                }, 1000);
+            }
+        }, 2000);
+    });
 
-bot.on('error', (err) => {
-    console.error('Bot错误:', err);
-    
-    // 尝试重连
-    console.log('尝试在5秒后重连...');
-    setTimeout(() => {
-        console.log('正在重新连接到Minecraft服务器...');
-        // 这里可以添加重连逻辑
-    }, 5000);
-});
+    bot.on('error', (err) => {
+        console.error(`[${username}] Bot错误:`, err);
+        
+        // 尝试重连
+        console.log('尝试在5秒后重连...');
+        setTimeout(() => {
+            console.log('正在重新连接到Minecraft服务器...');
+            // 这里可以添加重连逻辑
+        }, 5000);
+    });
 
-bot.on('end', () => {
-    console.log('Bot连接已断开');
-    if (visualizationServer) {
-        visualizationServer.stop();
-    }
-});
+    bot.on('end', () => {
+        console.log(`[${username}] Bot连接已断开`);
+        swarm.removeDrone(drone);
+        if (isPrimary && visualizationServer) {
+            visualizationServer.stop();
+        }
+    });
 
-bot.on('kicked', (reason, loggedIn) => {
-    console.log('Bot被踢出:', reason);
-});
+    bot.on('kicked', (reason, loggedIn) => {
+        console.log(`[${username}] Bot被踢出:`, reason);
+    });
+
+    return drone;
+}
+
+for (let i = 0; i < swarmOptions.count; i++) {
+    setTimeout(() => createDrone(i), i * swarmOptions.spawnInterval);
+}
 
 // 优雅关闭
 process.on('SIGINT', () => {
@@ -259,7 +328,7 @@ process.on('SIGINT', () => {
     if (visualizationServer) {
         visualizationServer.stop();
     }
-    bot.end();
+    swarm.drones.forEach(drone => drone.bot.end());
     process.exit(0);
 });
 
@@ -269,8 +338,24 @@ console.log('===============================');
 console.log('指令说明:');
 console.log('!goto x y z  - 导航到指定坐标');
 console.log('!test        - 随机位置测试');
-console.log('!near        - 导航到最近方块');
+console.log('!near [方块] - 导航到最近方块');
 console.log('!stop        - 停止导航');
+console.log('!mission load 文件 / start / pause / resume / skip / abort - 航点任务');
+console.log('!survey x1 z1 x2 z2 高度 [间距] - 区域覆盖测绘');
+console.log('!follow 名称 [距离] [高度] - 跟随玩家或实体');
+console.log('!orbit x y z 半径 高度 [速度] [圈数] - 绕点环绕');
+console.log('!explore [半径|stop] [时间预算秒] - 边界探索未知区域并报告覆盖率');
+console.log('!motion [status|reset|set 参数 数值] - 路径跟踪误差与控制增益');
+console.log('!trajectory [status|set 参数 数值] - 飞行轨迹平滑与速度剖面');
+console.log('!entities [数量] - 附近的运动实体');
+console.log('!search [status|set 参数 数值] - 地面搜索统计与限制');
+console.log('!planner [名称] - 查看或切换地面规划算法');
+console.log('!cost [配置] - 查看或切换地形代价配置');
+console.log('!swarm [status|stop|rth] - 编队状态与控制 (DRONE_COUNT=N 启动N架)');
+console.log('!swarmSurvey x1 z1 x2 z2 高度 [间距] - 编队分区测绘');
+console.log('!swarmMission 文件 - 编队分段执行航点任务');
+console.log('@名称 !指令  - 指定某一架无人机执行指令');
 console.log('!status      - 查看状态');
 console.log('!debug       - 调试信息');
+console.log('!help [指令] - 查看指令用法');
 console.log('===============================');
@@ -0,0 +1,390 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Vec3 } = require('vec3');
+const { FlightState } = require('./flightStateMachine');
+
+// 任务文件只能从该目录加载(文件名来自聊天指令)
+const MISSION_DIR = path.join(__dirname, 'missions');
+
+// 航点到达后可执行的动作
+const WAYPOINT_ACTIONS = ['none', 'hover', 'land', 'takeoff', 'chat', 'rth'];
+
+/**
+ * 多航点任务执行器
+ * 任务格式: { name, continueOnFailure, waypoints: [{ x, y, z, altitude, heading, loiter, action, message }] }
+ * altitude 为绝对Y，覆盖航点的 y；heading 为到达后的朝向(0=北,90=东)；loiter 为停留秒数
+ * continueOnFailure 为 true 时航点失败会跳到下一个航点，否则中止任务
+ * 进度通过 'mission' 事件上报: { type, mission, index, total, ... }
+ */
+class MissionRunner extends EventEmitter {
+    constructor(controller) {
+        super();
+        this.controller = controller;
+        this.bot = controller.bot;
+        this.mission = null;
+        this.state = 'idle'; // idle | running | paused | completed | aborted
+        this.index = 0;
+        this.phase = null;   // takeoff | navigate | turn | loiter | action
+        this.phaseSince = 0;
+        this.loiterRemaining = 0;
+        this.arriveRadius = 2.0;
+        this.navigateGrace = 500; // 发出导航后等待状态稳定的时间
+        this.phaseTimeout = 20000; // 起飞、降落等待的最长时间
+    }
+
+    // 校验并规范化任务对象，非法时抛出错误
+    static normalize(data) {
+        if (!data || !Array.isArray(data.waypoints) || data.waypoints.length === 0) {
+            throw new Error('任务必须包含非空的 waypoints 数组');
+        }
+        const waypoints = data.waypoints.map((wp, i) => {
+            const x = Number(wp.x);
+            const z = Number(wp.z);
+            const y = wp.altitude !== undefined ? Number(wp.altitude) : Number(wp.y);
+            if ([x, y, z].some(isNaN)) {
+                throw new Error(`航点 ${i + 1} 坐标无效`);
+            }
+            const action = wp.action || 'none';
+            if (!WAYPOINT_ACTIONS.includes(action)) {
+                throw new Error(`航点 ${i + 1} 动作未知: ${action}，可选 ${WAYPOINT_ACTIONS.join('|')}`);
+            }
+            const loiter = wp.loiter === undefined ? 0 : Number(wp.loiter);
+            if (isNaN(loiter) || loiter < 0) {
+                throw new Error(`航点 ${i + 1} 停留时间无效`);
+            }
+            const heading = wp.heading === undefined || wp.heading === null ? null : Number(wp.heading);
+            if (heading !== null && isNaN(heading)) {
+                throw new Error(`航点 ${i + 1} 朝向无效`);
+            }
+            return {
+                position: new Vec3(x, y, z),
+                altitude: wp.altitude !== undefined,
+                heading,
+                loiter,
+                action,
+                message: wp.message || ''
+            };
+        });
+        return { name: data.name || '未命名任务', waypoints, continueOnFailure: !!data.continueOnFailure };
+    }
+
+    /**
+     * 从 missions 目录加载任务文件，file 为目录内的相对路径。
+     * 拒绝绝对路径和跳出目录的路径；读取或解析失败时不把原始错误(可能含文件内容)发回聊天
+     */
+    static loadFile(file) {
+        const fullPath = path.resolve(MISSION_DIR, file);
+        const relative = path.relative(MISSION_DIR, fullPath);
+        if (path.isAbsolute(file) || !relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+            throw new Error(`任务文件必须位于 missions 目录内: ${file}`);
+        }
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        } catch (error) {
+            console.error(`加载任务文件 ${fullPath} 失败:`, error);
+            throw new Error(error.code === 'ENOENT' ? `任务文件不存在: ${file}` : `任务文件 ${file} 不是有效的 JSON`);
+        }
+        return MissionRunner.normalize(data);
+    }
+
+    load(data) {
+        if (this.isActive()) {
+            throw new Error('已有任务在执行，请先 abort');
+        }
+        this.mission = MissionRunner.normalize(data);
+        this.state = 'idle';
+        this.index = 0;
+        this.phase = null;
+        this.report('missionLoaded');
+        return this.mission;
+    }
+
+    loadFile(file) {
+        if (this.isActive()) {
+            throw new Error('已有任务在执行，请先 abort');
+        }
+        this.mission = MissionRunner.loadFile(file);
+        this.state = 'idle';
+        this.index = 0;
+        this.phase = null;
+        this.report('missionLoaded', { file });
+        return this.mission;
+    }
+
+    isActive() {
+        return this.state === 'running' || this.state === 'paused';
+    }
+
+    start() {
+        if (!this.mission) {
+            throw new Error('没有已加载的任务');
+        }
+        if (this.isActive()) {
+            throw new Error('任务已在执行');
+        }
+        this.controller.stop();
+        this.state = 'running';
+        this.index = 0;
+        this.report('missionStarted');
+        this.beginWaypoint();
+    }
+
+    pause() {
+        if (this.state !== 'running') return false;
+        this.state = 'paused';
+        this.holdPosition();
+        if (this.phase === 'loiter') {
+            this.loiterRemaining = Math.max(0, this.loiterRemaining - (Date.now() - this.phaseSince));
+        }
+        this.report('missionPaused');
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return false;
+        this.state = 'running';
+        this.report('missionResumed');
+        // 导航与起飞阶段从头开始，停留阶段继续剩余时间
+        if (this.phase === 'loiter') {
+            this.setPhase('loiter');
+        } else if (this.phase === 'action') {
+            this.nextWaypoint();
+        } else {
+            this.beginWaypoint();
+        }
+        return true;
+    }
+
+    skip() {
+        if (!this.isActive()) return false;
+        this.report('waypointSkipped');
+        this.holdPosition();
+        if (this.state === 'paused') {
+            this.index++;
+            this.phase = null;
+            if (this.index >= this.mission.waypoints.length) {
+                this.finish();
+            }
+            return true;
+        }
+        this.nextWaypoint();
+        return true;
+    }
+
+    abort(reason = '中止') {
+        if (!this.isActive()) return false;
+        this.state = 'aborted';
+        this.phase = null;
+        this.holdPosition();
+        this.report('missionAborted', { reason });
+        return true;
+    }
+
+    // 悬停或停止当前运动，不触发控制器的 stop 以免递归中止任务
+    holdPosition() {
+        if (this.controller.isNavigating) {
+            this.controller.stopNavigation();
+        }
+        const flight = this.controller.flight;
+        if (flight.state === FlightState.CRUISING || flight.state === FlightState.TAKING_OFF) {
+            flight.hover('任务中断');
+        }
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this.phaseSince = Date.now();
+    }
+
+    currentWaypoint() {
+        return this.mission.waypoints[this.index];
+    }
+
+    beginWaypoint() {
+        const waypoint = this.currentWaypoint();
+        this.loiterRemaining = waypoint.loiter * 1000;
+        this.report('waypointStarted', {
+            target: { x: waypoint.position.x, y: waypoint.position.y, z: waypoint.position.z }
+        });
+
+        // 指定了高度但还在地面时先起飞
+        const flight = this.controller.flight;
+        if (waypoint.altitude && !flight.isAirborne()) {
+            if (!flight.takeoff()) {
+                this.fail(`无法起飞: ${flight.lastError}`);
+                return;
+            }
+            this.setPhase('takeoff');
+            return;
+        }
+        this.startNavigation();
+    }
+
+    startNavigation() {
+        this.setPhase('navigate');
+        this.controller.navigateTo(this.currentWaypoint().position, { owner: 'mission' });
+    }
+
+    nextWaypoint() {
+        this.index++;
+        if (this.index >= this.mission.waypoints.length) {
+            this.finish();
+            return;
+        }
+        this.beginWaypoint();
+    }
+
+    finish() {
+        this.state = 'completed';
+        this.phase = null;
+        this.report('missionCompleted');
+    }
+
+    fail(reason) {
+        this.report('waypointFailed', { reason });
+        if (this.mission.continueOnFailure) {
+            this.holdPosition();
+            this.nextWaypoint();
+            return;
+        }
+        this.abort(reason);
+    }
+
+    update() {
+        if (this.state !== 'running') return;
+        const elapsed = Date.now() - this.phaseSince;
+        const waypoint = this.currentWaypoint();
+        const flight = this.controller.flight;
+
+        switch (this.phase) {
+            case 'takeoff':
+                if (flight.state === FlightState.HOVERING) {
+                    this.startNavigation();
+                } else if (flight.state !== FlightState.TAKING_OFF || elapsed > this.phaseTimeout) {
+                    this.fail(`起飞未完成，当前状态 ${flight.state}`);
+                }
+                break;
+            case 'navigate':
+                if (this.controller.isNavigating || elapsed < this.navigateGrace) return;
+                if (this.bot.entity.position.distanceTo(waypoint.position) > this.arriveRadius) {
+                    this.fail('未能到达航点');
+                    return;
+                }
+                this.report('waypointReached');
+                if (waypoint.heading !== null) {
+                    this.setPhase('turn');
+                    this.controller.turn(waypoint.heading).finally(() => {
+                        if (this.state === 'running' && this.phase === 'turn') {
+                            this.setPhase('loiter');
+                        }
+                    });
+                } else {
+                    this.setPhase('loiter');
+                }
+                break;
+            case 'loiter':
+                if (elapsed >= this.loiterRemaining) {
+                    this.runAction(waypoint);
+                }
+                break;
+            case 'action':
+                // 降落、起飞等动作需等待飞行状态稳定
+                if (waypoint.action === 'land') {
+                    if (flight.state === FlightState.GROUNDED) {
+                        this.nextWaypoint();
+                    } else if (flight.state !== FlightState.LANDING || elapsed > this.phaseTimeout) {
+                        this.fail(`降落未完成，当前状态 ${flight.state}`);
+                    }
+                } else if (waypoint.action === 'takeoff') {
+                    if (flight.state === FlightState.HOVERING) {
+                        this.nextWaypoint();
+                    } else if (flight.state !== FlightState.TAKING_OFF || elapsed > this.phaseTimeout) {
+                        this.fail(`起飞未完成，当前状态 ${flight.state}`);
+                    }
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    runAction(waypoint) {
+        const flight = this.controller.flight;
+        this.setPhase('action');
+        this.report('actionExecuted', { action: waypoint.action });
+
+        switch (waypoint.action) {
+            case 'hover':
+                if (flight.isAirborne() && !flight.hover('任务航点')) {
+                    this.fail(`当前飞行状态 ${flight.state} 无法悬停`);
+                    return;
+                }
+                break;
+            case 'land': {
+                if (!flight.isAirborne()) break;
+                const result = flight.land();
+                if (!result.success) {
+                    this.fail(`无法降落: ${result.reason}`);
+                }
+                return;
+            }
+            case 'takeoff':
+                if (flight.isAirborne()) break;
+                if (!flight.takeoff()) {
+                    this.fail(`无法起飞: ${flight.lastError}`);
+                }
+                return;
+            case 'chat':
+                if (waypoint.message) {
+                    this.bot.chat(waypoint.message);
+                }
+                break;
+            case 'rth':
+                // 返航会接管控制，任务到此结束
+                this.finish();
+                this.controller.returnHome('任务航点');
+                return;
+            default:
+                break;
+        }
+        this.nextWaypoint();
+    }
+
+    report(type, extra = {}) {
+        const event = {
+            type,
+            mission: this.mission ? this.mission.name : null,
+            index: this.index,
+            total: this.mission ? this.mission.waypoints.length : 0,
+            state: this.state,
+            time: Date.now(),
+            ...extra
+        };
+        console.log(`任务事件: ${type} [${event.index + 1}/${event.total}]${extra.reason ? ` ${extra.reason}` : ''}`);
+        this.emit('mission', event);
+    }
+
+    getStatus() {
+        return {
+            name: this.mission ? this.mission.name : null,
+            state: this.state,
+            phase: this.phase,
+            index: this.index,
+            total: this.mission ? this.mission.waypoints.length : 0,
+            waypoints: this.mission ? this.mission.waypoints.map(wp => ({
+                x: wp.position.x,
+                y: wp.position.y,
+                z: wp.position.z,
+                heading: wp.heading,
+                loiter: wp.loiter,
+                action: wp.action
+            })) : []
+        };
+    }
+}
+
+MissionRunner.WAYPOINT_ACTIONS = WAYPOINT_ACTIONS;
+
+module.exports = MissionRunner;
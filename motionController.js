@@ -0,0 +1,267 @@
+const { Vec3 } = require('vec3');
+
+// 角度归一化到 [-PI, PI]
+function wrapAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// 点在线段上的投影：t 为未截断的参数，closest 为线段上最近点；planar 时距离只计水平分量
+function projectOnSegment(start, end, position, planar) {
+    const dx = end.x - start.x;
+    const dy = planar ? 0 : end.y - start.y;
+    const dz = end.z - start.z;
+    const lengthSq = dx * dx + dy * dy + dz * dz;
+    const t = lengthSq > 0
+        ? ((position.x - start.x) * dx + (position.y - start.y) * dy + (position.z - start.z) * dz) / lengthSq
+        : 1;
+    const s = clamp(t, 0, 1);
+    const closest = new Vec3(start.x + dx * s, start.y + (end.y - start.y) * s, start.z + dz * s);
+    const offsetY = planar ? 0 : closest.y - position.y;
+    const distance = Math.sqrt((closest.x - position.x) ** 2 + offsetY ** 2 + (closest.z - position.z) ** 2);
+    return { t, closest, distance };
+}
+
+/**
+ * 闭环运动控制器
+ * 纯追踪(pure pursuit)：在路径上取当前位置投影点前方 lookahead 距离的点作为追踪目标；
+ * 有时间参数化轨迹时直接跟踪参考点；
+ * 偏航用带限幅的PID平滑转向，地面按目标在机体坐标系中的分量组合前进和侧移，
+ * 飞行时按剩余距离减速，垂直方向单独比例控制，俯仰跟随运动方向。
+ * 增益与误差均以tick(50ms)为时间单位
+ */
+class MotionController {
+    constructor(options = {}) {
+        this.config = {
+            groundLookahead: 1.2,    // 地面追踪前视距离(格)
+            flightLookahead: 2.0,    // 飞行追踪前视距离(格)
+            yawKp: 0.5,              // 偏航比例增益
+            yawKi: 0.02,             // 偏航积分增益
+            yawKd: 0.1,              // 偏航微分增益
+            yawIntegralLimit: 1.0,   // 积分项限幅(rad·tick)，防止积分饱和
+            maxYawRate: 0.5,         // 每tick最大转角(rad)
+            forwardThreshold: 0.5,   // 目标在前方分量超过该值时前进(cos 60°)
+            strafeThreshold: 0.35,   // 目标在侧向分量超过该值时侧移
+            jumpHeight: 0.5,         // 地面目标高出该值时跳跃
+            speedGain: 0.25,         // 飞行减速增益：速度 = 增益 × 距终点距离(每tick)
+            minSpeed: 0.05,          // 飞行最低速度(格/tick)
+            verticalGain: 0.3,       // 飞行垂直比例增益
+            maxVerticalSpeed: 0.4,   // 飞行最大升降速度(格/tick)
+            maxPitch: 0.6,           // 俯仰角限幅(rad)
+            historySize: 600,        // 保留的跟踪误差采样数(约30秒)
+            ...options
+        };
+        this.yawIntegral = 0;
+        this.lastYawError = null;
+        this.tracking = null; // 最近一次采样 { time, crossTrack, headingError, altitudeError, lookahead }
+        this.history = [];
+    }
+
+    configure(key, value) {
+        if (!(key in this.config)) {
+            throw new Error(`未知的控制参数: ${key}`);
+        }
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            throw new Error(`控制参数 ${key} 必须为非负数`);
+        }
+        this.config[key] = value;
+    }
+
+    // 开始新的跟踪时清空积分、微分状态和误差记录
+    reset() {
+        this.yawIntegral = 0;
+        this.lastYawError = null;
+        this.tracking = null;
+        this.history = [];
+    }
+
+    /**
+     * 纯追踪前视点
+     * path 为航点序列，index 为当前目标航点下标；planar 为 true 时只计算水平误差
+     * 返回 { point, index, crossTrack, altitudeError }，index 为越过航段终点后推进的下标
+     */
+    getLookahead(path, index, position, planar = false) {
+        const lookahead = planar ? this.config.groundLookahead : this.config.flightLookahead;
+        const last = path[path.length - 1];
+        if (index >= path.length) {
+            return { point: last, index, crossTrack: 0, altitudeError: last.y - position.y };
+        }
+
+        // 当前航段上离机体最近的点；越过航段终点或切弯后离下一段更近时推进到下一段
+        let segmentIndex = index;
+        let projection = projectOnSegment(segmentIndex > 0 ? path[segmentIndex - 1] : position, path[segmentIndex], position, planar);
+        while (segmentIndex < path.length - 1) {
+            const next = projectOnSegment(path[segmentIndex], path[segmentIndex + 1], position, planar);
+            if (projection.t < 1 && next.distance > projection.distance) break;
+            segmentIndex++;
+            projection = next;
+        }
+        const closest = projection.closest;
+        const crossTrack = projection.distance;
+
+        // 从投影点沿路径前进 lookahead 距离
+        let remaining = lookahead;
+        let from = closest;
+        let point = new Vec3(last.x, last.y, last.z);
+        for (let i = segmentIndex; i < path.length; i++) {
+            const to = path[i];
+            const length = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2 + (to.z - from.z) ** 2);
+            if (length >= remaining) {
+                const ratio = length > 0 ? remaining / length : 0;
+                point = new Vec3(from.x + (to.x - from.x) * ratio, from.y + (to.y - from.y) * ratio, from.z + (to.z - from.z) * ratio);
+                break;
+            }
+            remaining -= length;
+            from = to;
+        }
+
+        return { point, index: segmentIndex, crossTrack, altitudeError: closest.y - position.y };
+    }
+
+    // 偏航PID，返回限幅后的新偏航角和当前误差
+    steerYaw(currentYaw, targetYaw) {
+        const { yawKp, yawKi, yawKd, yawIntegralLimit, maxYawRate } = this.config;
+        const error = wrapAngle(targetYaw - currentYaw);
+        this.yawIntegral = clamp(this.yawIntegral + error, -yawIntegralLimit, yawIntegralLimit);
+        const derivative = this.lastYawError === null ? 0 : wrapAngle(error - this.lastYawError);
+        this.lastYawError = error;
+        const output = clamp(yawKp * error + yawKi * this.yawIntegral + yawKd * derivative, -maxYawRate, maxYawRate);
+        return { yaw: wrapAngle(currentYaw + output), error };
+    }
+
+    /**
+     * 地面控制：平滑转向，同时按目标在机体坐标系中的分量组合前后左右
+     * 返回 { yaw, pitch, controls: { forward, back, left, right, jump }, headingError }
+     */
+    computeGround(position, currentYaw, target) {
+        const dx = target.x - position.x;
+        const dz = target.z - position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const controls = { forward: false, back: false, left: false, right: false, jump: false };
+        if (distance < 0.05) {
+            return { yaw: currentYaw, pitch: 0, controls, headingError: 0 };
+        }
+
+        const { yaw, error } = this.steerYaw(currentYaw, Math.atan2(-dx, -dz));
+        // 转向未完成时用侧移补偿剩余的方向偏差，不再停下原地转向
+        const forward = (-Math.sin(yaw) * dx - Math.cos(yaw) * dz) / distance;
+        const left = (-Math.cos(yaw) * dx + Math.sin(yaw) * dz) / distance;
+        const { forwardThreshold, strafeThreshold, jumpHeight } = this.config;
+        controls.forward = forward > forwardThreshold;
+        controls.back = forward < -forwardThreshold;
+        controls.left = left > strafeThreshold;
+        controls.right = left < -strafeThreshold;
+        controls.jump = target.y - position.y > jumpHeight;
+        return { yaw, pitch: 0, controls, headingError: error };
+    }
+
+    /**
+     * 飞行控制：返回本tick的位移和姿态 { step: Vec3, yaw, pitch, headingError }
+     * maxSpeed 为速度上限(格/tick)，remaining 为到终点的剩余距离，用于末段减速
+     */
+    computeFlight(position, currentYaw, target, maxSpeed, remaining) {
+        const { speedGain, minSpeed, verticalGain, maxVerticalSpeed, maxPitch } = this.config;
+        const dx = target.x - position.x;
+        const dy = target.y - position.y;
+        const dz = target.z - position.z;
+        const horizontal = Math.sqrt(dx * dx + dz * dz);
+
+        const speed = clamp(speedGain * (remaining === undefined ? Math.sqrt(horizontal * horizontal + dy * dy) : remaining), minSpeed, maxSpeed);
+        let vy = clamp(verticalGain * dy, -maxVerticalSpeed, maxVerticalSpeed);
+        if (Math.abs(vy) > Math.abs(dy)) vy = dy;
+        let vh = Math.min(speed, horizontal);
+        // 合速度不超过速度上限，水平与垂直按比例缩小
+        const total = Math.sqrt(vh * vh + vy * vy);
+        if (total > speed && total > 0) {
+            vh *= speed / total;
+            vy *= speed / total;
+        }
+        const step = horizontal > 0
+            ? new Vec3(dx / horizontal * vh, vy, dz / horizontal * vh)
+            : new Vec3(0, vy, 0);
+
+        let yaw = currentYaw;
+        let headingError = 0;
+        if (horizontal > 0.1) {
+            const steer = this.steerYaw(currentYaw, Math.atan2(-dx, -dz));
+            yaw = steer.yaw;
+            headingError = steer.error;
+        }
+        const pitch = clamp(Math.atan2(vy, Math.max(vh, 1e-3)), -maxPitch, maxPitch);
+        return { step, yaw, pitch, headingError };
+    }
+
+    /**
+     * 轨迹跟踪：reference 为下一tick的参考状态 { position, velocity }(速度单位格/秒)，
+     * 位移直接指向参考位置并限幅为 maxStep，机头朝参考速度方向
+     * 返回 { step: Vec3, yaw, pitch, headingError }
+     */
+    computeTrajectory(position, currentYaw, reference, maxStep) {
+        const { maxPitch } = this.config;
+        let step = reference.position.minus(position);
+        const length = step.norm();
+        if (length > maxStep) {
+            step = step.scaled(maxStep / length);
+        }
+
+        const velocity = reference.velocity;
+        const horizontal = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        let yaw = currentYaw;
+        let headingError = 0;
+        let pitch = 0;
+        if (horizontal > 0.1) {
+            const steer = this.steerYaw(currentYaw, Math.atan2(-velocity.x, -velocity.z));
+            yaw = steer.yaw;
+            headingError = steer.error;
+            pitch = clamp(Math.atan2(velocity.y, horizontal), -maxPitch, maxPitch);
+        }
+        return { step, yaw, pitch, headingError };
+    }
+
+    // 记录一次跟踪误差采样
+    record(sample) {
+        this.tracking = { time: Date.now(), ...sample };
+        this.history.push(this.tracking);
+        if (this.history.length > this.config.historySize) {
+            this.history.shift();
+        }
+    }
+
+    // 当前误差和历史统计：横向误差、航向误差的均方根与最大值，高度误差的平均绝对值
+    getTrackingError() {
+        const count = this.history.length;
+        if (count === 0) {
+            return { current: null, samples: 0 };
+        }
+        let crossSq = 0, crossMax = 0, headingSq = 0, headingMax = 0, altitudeAbs = 0;
+        for (const sample of this.history) {
+            crossSq += sample.crossTrack ** 2;
+            crossMax = Math.max(crossMax, sample.crossTrack);
+            headingSq += sample.headingError ** 2;
+            headingMax = Math.max(headingMax, Math.abs(sample.headingError));
+            altitudeAbs += Math.abs(sample.altitudeError);
+        }
+        return {
+            current: this.tracking,
+            samples: count,
+            crossTrackRms: Math.sqrt(crossSq / count),
+            crossTrackMax: crossMax,
+            headingErrorRms: Math.sqrt(headingSq / count),
+            headingErrorMax: headingMax,
+            altitudeErrorMean: altitudeAbs / count
+        };
+    }
+
+    getHistory() {
+        return this.history.slice();
+    }
+}
+
+MotionController.wrapAngle = wrapAngle;
+
+module.exports = MotionController;
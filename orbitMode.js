@@ -0,0 +1,251 @@
+const { Vec3 } = require('vec3');
+const { FlightState } = require('./flightStateMachine');
+
+// 环绕飞行：以固定半径和高度绕兴趣点飞行，机头始终对准中心
+class OrbitMode {
+    constructor(controller) {
+        this.controller = controller;
+        this.bot = controller.bot;
+        this.orbit = null; // { center, radius, altitude, speed, laps, phase, travelled, lastAngle, radiusOffset, altitudeOffset }
+
+        this.config = {
+            entryTolerance: 1.5,    // 离轨道超过该距离时先用规划器飞到入轨点
+            lookahead: 2,           // 沿轨道前方检查障碍的弧长(格)
+            altitudeSteps: 4,       // 遇障时最多升高的格数
+            radiusSteps: 3,         // 遇障时半径最多增减的格数
+            knowledgeInterval: 1000, // 刷新知识地图的间隔
+            entryRetryInterval: 2000,
+            maxEntryAttempts: 3
+        };
+        this.lastKnowledgeUpdate = 0;
+    }
+
+    isActive() {
+        return this.orbit !== null;
+    }
+
+    /**
+     * 开始环绕
+     * center: 中心点；radius: 半径；altitude: 相对中心的高度；speed: 格/秒，负数为顺时针；laps: 圈数，0为持续环绕
+     */
+    start(center, radius, altitude, speed = 2, laps = 0) {
+        if (!(radius > 0)) {
+            throw new Error('环绕半径必须大于0');
+        }
+        if (speed === 0) {
+            throw new Error('环绕速度不能为0');
+        }
+        this.controller.stop();
+        this.orbit = {
+            center: new Vec3(center.x, center.y, center.z),
+            radius,
+            altitude,
+            speed,
+            laps,
+            phase: 'entry',
+            entryAttempts: 0,
+            lastEntryAttempt: 0,
+            travelled: 0,
+            lastAngle: null,
+            radiusOffset: 0,
+            altitudeOffset: 0
+        };
+        console.log(`开始环绕 (${center.x}, ${center.y}, ${center.z}) 半径 ${radius} 高度 ${altitude} 速度 ${speed}${laps ? ` ${laps} 圈` : ''}`);
+
+        const flight = this.controller.flight;
+        if (altitude > 0 && !flight.isAirborne() && !flight.takeoff()) {
+            this.bot.chat(`无法起飞: ${flight.lastError}`);
+            this.orbit = null;
+            return false;
+        }
+        return true;
+    }
+
+    stop(reason = '停止') {
+        if (!this.isActive()) return false;
+        console.log(`停止环绕: ${reason}`);
+        this.orbit = null;
+        if (this.controller.isNavigating) {
+            this.controller.stopNavigation();
+        }
+        this.controller.clearMovement();
+        if (this.controller.flight.state === FlightState.CRUISING) {
+            this.controller.flight.hover('环绕结束');
+        }
+        return true;
+    }
+
+    angleOf(position) {
+        return Math.atan2(position.z - this.orbit.center.z, position.x - this.orbit.center.x);
+    }
+
+    pointAt(angle, radius, altitude) {
+        const center = this.orbit.center;
+        return new Vec3(
+            center.x + radius * Math.cos(angle),
+            center.y + altitude,
+            center.z + radius * Math.sin(angle)
+        );
+    }
+
+    // 轨道点附近机体占用的体素在知识地图中没有障碍
+    isPointClear(point) {
+        const pathfinding = this.controller.pathfinding;
+        if (!pathfinding || typeof pathfinding.isVoxelFlyable !== 'function') {
+            return true;
+        }
+        const cell = { x: Math.floor(point.x), y: Math.floor(point.y), z: Math.floor(point.z) };
+        return pathfinding.isVoxelFlyable(cell, 0);
+    }
+
+    // 前方轨道被占用时依次尝试升高、扩大半径、缩小半径，返回可用的偏移
+    findClearOffset(angle) {
+        const { radius, altitude } = this.orbit;
+        const candidates = [{ radiusOffset: 0, altitudeOffset: 0 }];
+        for (let i = 1; i <= this.config.altitudeSteps; i++) {
+            candidates.push({ radiusOffset: 0, altitudeOffset: i });
+        }
+        for (let i = 1; i <= this.config.radiusSteps; i++) {
+            candidates.push({ radiusOffset: i, altitudeOffset: 0 });
+            if (radius - i >= 1) {
+                candidates.push({ radiusOffset: -i, altitudeOffset: 0 });
+            }
+        }
+        return candidates.find(c => this.isPointClear(this.pointAt(angle, radius + c.radiusOffset, altitude + c.altitudeOffset))) || null;
+    }
+
+    update() {
+        if (!this.isActive()) return;
+        const flight = this.controller.flight;
+        if (flight.state === FlightState.TAKING_OFF) return;
+
+        const now = Date.now();
+        const pathfinding = this.controller.pathfinding;
+        if (pathfinding && now - this.lastKnowledgeUpdate > this.config.knowledgeInterval) {
+            this.lastKnowledgeUpdate = now;
+            pathfinding.updateKnowledgeMap();
+        }
+
+        const orbit = this.orbit;
+        const position = this.bot.entity.position.clone();
+        const angle = this.angleOf(position);
+
+        if (orbit.phase === 'entry') {
+            this.updateEntry(position, angle);
+            return;
+        }
+
+        // 累计实际转过的角度，用于计算圈数
+        if (orbit.lastAngle !== null) {
+            let delta = angle - orbit.lastAngle;
+            while (delta > Math.PI) delta -= 2 * Math.PI;
+            while (delta < -Math.PI) delta += 2 * Math.PI;
+            orbit.travelled += delta * Math.sign(orbit.speed);
+        }
+        orbit.lastAngle = angle;
+        if (orbit.laps > 0 && orbit.travelled >= orbit.laps * 2 * Math.PI) {
+            this.finish();
+            return;
+        }
+
+        const direction = Math.sign(orbit.speed);
+        const radius = orbit.radius + orbit.radiusOffset;
+        const lookaheadAngle = angle + direction * this.config.lookahead / radius;
+        this.adjustForObstacles(lookaheadAngle);
+        // 轨道受阻且无法绕开时已停止环绕
+        if (!this.isActive()) return;
+
+        const step = Math.abs(orbit.speed) / 20; // 每tick前进的弧长
+        const nextAngle = angle + direction * step / (orbit.radius + orbit.radiusOffset);
+        const target = this.pointAt(nextAngle, orbit.radius + orbit.radiusOffset, orbit.altitude + orbit.altitudeOffset);
+
+        if (this.controller.isAirborne()) {
+            // 偏离轨道(如调整半径后)时允许以两倍步长回到轨道
+            this.controller.flyTowards(position, target, { lookAt: orbit.center, speed: step * 2 });
+        } else {
+            this.controller.calculateMovement(position, target, { lookAt: orbit.center });
+        }
+    }
+
+    // 离轨道较远时先规划到最近的入轨点
+    updateEntry(position, angle) {
+        const orbit = this.orbit;
+        const entry = this.pointAt(angle, orbit.radius, orbit.altitude);
+        if (position.distanceTo(entry) <= this.config.entryTolerance) {
+            if (this.controller.isNavigating) {
+                this.controller.stopNavigation();
+            }
+            // 环绕时位置由本模块控制，飞行状态切到巡航以免悬停保持把机体拉回
+            const flight = this.controller.flight;
+            if (flight.isAirborne() && !flight.cruise()) {
+                this.bot.chat(`当前飞行状态 ${flight.state} 无法环绕`);
+                this.stop('无法巡航');
+                return;
+            }
+            orbit.phase = 'orbit';
+            orbit.lastAngle = angle;
+            this.bot.chat(`已入轨，开始环绕${orbit.laps ? ` ${orbit.laps} 圈` : ''}`);
+            return;
+        }
+        const now = Date.now();
+        if (this.controller.isNavigating || now - orbit.lastEntryAttempt < this.config.entryRetryInterval) {
+            return;
+        }
+        if (orbit.entryAttempts >= this.config.maxEntryAttempts) {
+            this.bot.chat('无法到达环绕轨道，停止环绕');
+            this.stop('无法入轨');
+            return;
+        }
+        orbit.entryAttempts++;
+        orbit.lastEntryAttempt = now;
+        this.controller.navigateTo(entry, { owner: 'orbit', quiet: true });
+    }
+
+    adjustForObstacles(angle) {
+        const orbit = this.orbit;
+        const current = { radiusOffset: orbit.radiusOffset, altitudeOffset: orbit.altitudeOffset };
+        const nominalClear = this.isPointClear(this.pointAt(angle, orbit.radius, orbit.altitude));
+        if (nominalClear) {
+            if (current.radiusOffset !== 0 || current.altitudeOffset !== 0) {
+                orbit.radiusOffset = 0;
+                orbit.altitudeOffset = 0;
+                console.log('轨道前方无障碍，恢复原定半径和高度');
+            }
+            return;
+        }
+        const adjustedClear = this.isPointClear(this.pointAt(angle, orbit.radius + current.radiusOffset, orbit.altitude + current.altitudeOffset));
+        if (adjustedClear) return;
+
+        const offset = this.findClearOffset(angle);
+        if (!offset) {
+            this.bot.chat('环绕轨道被障碍物阻挡且无法绕开，停止环绕');
+            this.stop('轨道受阻');
+            return;
+        }
+        orbit.radiusOffset = offset.radiusOffset;
+        orbit.altitudeOffset = offset.altitudeOffset;
+        console.log(`轨道前方有障碍，调整为 半径${offset.radiusOffset >= 0 ? '+' : ''}${offset.radiusOffset} 高度+${offset.altitudeOffset}`);
+    }
+
+    finish() {
+        const laps = this.orbit.laps;
+        this.stop('完成');
+        this.bot.chat(`环绕完成，共 ${laps} 圈`);
+    }
+
+    getStatus() {
+        if (!this.isActive()) return null;
+        const orbit = this.orbit;
+        return {
+            center: { x: orbit.center.x, y: orbit.center.y, z: orbit.center.z },
+            radius: orbit.radius + orbit.radiusOffset,
+            altitude: orbit.altitude + orbit.altitudeOffset,
+            speed: orbit.speed,
+            phase: orbit.phase,
+            laps: orbit.laps,
+            completedLaps: orbit.travelled / (2 * Math.PI)
+        };
+    }
+}
+
+module.exports = OrbitMode;
@@ -0,0 +1,58 @@
+const AStarPlanner = require('./aStarPlanner');
+const ThetaStarPlanner = require('./thetaStarPlanner');
+const JumpPointPlanner = require('./jumpPointPlanner');
+const RrtStarPlanner = require('./rrtStarPlanner');
+const DStarLitePlanner = require('./dStarLitePlanner');
+const HierarchicalPlanner = require('./hierarchicalPlanner');
+
+/**
+ * 地面规划算法注册表
+ * 每个算法实现 plan(start, goal, world, limits) → { path, stats }，按名称创建，运行时可切换
+ */
+class PlannerRegistry {
+    constructor() {
+        this.entries = new Map(); // 名称 -> { name, description, factory }
+    }
+
+    register(name, description, factory) {
+        this.entries.set(name, { name, description, factory });
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    // options.random: 随机算法采样用的随机数函数，缺省为 Math.random
+    create(name, options = {}) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`未知的规划算法: ${name}，可用: ${this.names().join(', ')}`);
+        }
+        const planner = entry.factory(options);
+        planner.name = name;
+        return planner;
+    }
+
+    names() {
+        return Array.from(this.entries.keys());
+    }
+
+    list() {
+        return Array.from(this.entries.values()).map(({ name, description }) => ({ name, description }));
+    }
+
+    // 内置算法
+    static createDefault() {
+        const registry = new PlannerRegistry();
+        registry.register('astar', 'A*，8邻域最优路径，可上下台阶和下落', () => new AStarPlanner({ vertical: true }));
+        registry.register('weighted', '加权A*(w=1.5)，扩展更少，路径不保证最优，可上下台阶和下落', () => new AStarPlanner({ weight: 1.5, vertical: true }));
+        registry.register('thetastar', 'Theta*，任意角度路径', () => new ThetaStarPlanner());
+        registry.register('jps', '跳点搜索，均匀代价栅格上的快速A*', () => new JumpPointPlanner());
+        registry.register('rrtstar', 'RRT*，随机采样并重连优化', options => new RrtStarPlanner({ random: options.random }));
+        registry.register('dstarlite', 'D* Lite，保留搜索树，地图变化时增量修复', () => new DStarLitePlanner());
+        registry.register('hpa', '分层A*，16×16区域抽象图上规划粗略路线，只细化前两个区域，适合远距离', () => new HierarchicalPlanner());
+        return registry;
+    }
+}
+
+module.exports = PlannerRegistry;
@@ -0,0 +1,99 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// 被取代的请求的结果，与同步搜索的返回值形式一致
+function cancelledResult() {
+    return {
+        path: null,
+        stats: { result: 'cancelled', expanded: 0, generated: 0, cost: null },
+        safetyChecks: 0
+    };
+}
+
+/**
+ * 地面规划线程(主线程一侧)
+ * 把知识地图快照和规划请求发给常驻的工作线程(planningWorkerThread.js)，结果以 Promise 异步返回。
+ * 快照中的格子变化和方块只包含上次发送之后的部分，线程保留知识地图并据此接续，D* Lite 和分层规划的增量状态跨请求保留。
+ * 新请求取代所有未完成的旧请求：旧请求立即以 cancelled 结束，线程中正在进行的搜索读到共享内存中的最新请求号后提前返回。
+ * 线程在第一次请求时启动，出错或退出后下次请求重新启动并发送完整快照
+ */
+class PlanningWorker {
+    constructor(options = {}) {
+        this.script = options.script || path.join(__dirname, 'planningWorkerThread.js');
+        this.worker = null;
+        this.latest = new Int32Array(new SharedArrayBuffer(4)); // 最新的请求号
+        this.sequence = 0;
+        this.pending = new Map(); // 请求号 -> { resolve, reject }
+        this.sentVersion = null;  // 线程已收到的知识地图版本，线程未启动或重启后为 null
+    }
+
+    start() {
+        if (this.worker) return;
+        const worker = new Worker(this.script, { workerData: { latest: this.latest } });
+        // 空闲的规划线程不阻止进程退出
+        worker.unref();
+        worker.on('message', message => this.handleMessage(message));
+        worker.on('error', error => this.fail(worker, error));
+        worker.on('exit', code => this.fail(worker, new Error(`规划线程已退出(代码 ${code})`)));
+        this.worker = worker;
+    }
+
+    /**
+     * 发送规划请求 { snapshot, start, goal, planner, searchConfig }，snapshot 由 AdaptiveExplorer.createPlanningSnapshot 生成，
+     * 其中的方块数组转移给线程。结果为 { path, stats, safetyChecks }，被之后的请求取代时 stats.result 为 cancelled
+     */
+    plan(request) {
+        this.start();
+        const id = ++this.sequence;
+        Atomics.store(this.latest, 0, id);
+        for (const { resolve } of this.pending.values()) {
+            resolve(cancelledResult());
+        }
+        this.pending.clear();
+        return new Promise((resolve, reject) => {
+            this.worker.postMessage({ id, ...request }, [request.snapshot.blocks.buffer]);
+            this.sentVersion = request.snapshot.version;
+            this.pending.set(id, { resolve, reject });
+        });
+    }
+
+    handleMessage(message) {
+        const entry = this.pending.get(message.id);
+        // 已被取代的请求，结果已经给出
+        if (!entry) return;
+        this.pending.delete(message.id);
+        if (message.error) {
+            entry.reject(new Error(message.error));
+        } else if (message.cancelled) {
+            entry.resolve(cancelledResult());
+        } else {
+            entry.resolve({ path: message.path, stats: message.stats, safetyChecks: message.safetyChecks });
+        }
+    }
+
+    // 线程出错或退出时拒绝未完成的请求，已结束的旧线程的事件忽略
+    fail(worker, error) {
+        if (this.worker !== worker) return;
+        this.worker = null;
+        this.sentVersion = null;
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    terminate() {
+        if (!this.worker) return;
+        const worker = this.worker;
+        this.worker = null;
+        this.sentVersion = null;
+        Atomics.store(this.latest, 0, ++this.sequence);
+        for (const { resolve } of this.pending.values()) {
+            resolve(cancelledResult());
+        }
+        this.pending.clear();
+        worker.terminate();
+    }
+}
+
+module.exports = PlanningWorker;
@@ -0,0 +1,35 @@
+const { parentPort, workerData } = require('worker_threads');
+const { Vec3 } = require('vec3');
+const AdaptiveExplorer = require('./RealTimePathfinding');
+const SeededRandom = require('./seededRandom');
+
+// 地面规划线程入口(由 PlanningWorker 启动)：常驻一个不连接服务器的探索器，知识地图跨请求保留，按主线程发来的快照增量更新后搜索
+const latest = workerData.latest;
+const explorer = new AdaptiveExplorer({ entity: { position: new Vec3(0, 0, 0) } }, null);
+
+parentPort.on('message', request => {
+    const { id, snapshot } = request;
+    // 变化日志和方块都要按顺序完整接续，已被取代的请求也不例外。接续出错时不捕获，
+    // 线程因未捕获的异常退出，主线程重启线程后发送完整快照
+    explorer.applyCellChanges(snapshot);
+    explorer.loadPlanningSnapshot(snapshot);
+    if (Atomics.load(latest, 0) !== id) {
+        parentPort.postMessage({ id, cancelled: true });
+        return;
+    }
+    try {
+        if (explorer.planner.name !== request.planner) {
+            explorer.planner = explorer.createPlanner(request.planner);
+        }
+        const random = new SeededRandom(request.seed);
+        explorer.setRandom(() => random.next());
+        explorer.searchConfig = request.searchConfig;
+        const { path, stats, safetyChecks } = explorer.searchGroundPath(request.start, request.goal, {
+            ...request.searchConfig,
+            cancelled: () => Atomics.load(latest, 0) !== id
+        });
+        parentPort.postMessage({ id, path, stats, safetyChecks });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,243 @@
+const BinaryHeap = require('./binaryHeap');
+const GroundWorldModel = require('./groundWorldModel');
+
+const DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// 抽象图跨多次规划保留，节点键以原点为基准打包，与每次规划的起点无关
+const ORIGIN = { x: 0, z: 0 };
+
+/**
+ * 分层规划的区域抽象图
+ * 地面按 size×size 划分区域，相邻区域边界上两侧都可通行的连续一段为一个入口：不宽于 maxEntranceWidth 时取中点，
+ * 更宽时取两端，每处形成一对跨边界的门户格子。同一区域内门户之间的边代价为区域内(8邻域、含地形代价)的最短路代价，
+ * 一对跨边界门户之间为单步移动代价。区域在搜索用到时才构建并缓存，知识地图记录到格子变化时，
+ * 变化格子邻近代价半径内的区域连同其边界失效；可通行性取构建时机体高度附近的地面，
+ * 机体高度与构建时相差超过 levelTolerance 的区域在下次用到时重建
+ */
+class RegionGraph {
+    constructor(options = {}) {
+        this.size = options.regionSize || 16;
+        this.maxEntranceWidth = options.maxEntranceWidth || 6;
+        this.levelTolerance = options.levelTolerance || 4;
+        this.built = 0; // 累计构建的区域数
+        this.clear();
+    }
+
+    clear() {
+        this.regions = new Map(); // 区域键 -> { rx, rz, y, open, portals, edges: Map(节点键 -> [{ node, cost }]) }
+        this.borders = new Map(); // 边界键 -> [{ a, b, forward, backward }]，a、b 为边界两侧的门户格子
+        this.version = null;
+        this.profile = null;
+    }
+
+    /**
+     * 按知识地图变化日志使受影响的区域失效，地形代价配置改变或日志已截断时整体清空，返回失效的区域数
+     */
+    sync(world) {
+        let invalidated = 0;
+        const changes = this.version === null ? null : world.changesSince(this.version);
+        if (this.profile !== world.profile || changes === null) {
+            invalidated = this.regions.size;
+            this.clear();
+            this.profile = world.profile;
+        } else {
+            const radius = world.influenceRadius;
+            const dirty = new Set();
+            for (const change of changes) {
+                const minRx = Math.floor((change.x - radius) / this.size);
+                const maxRx = Math.floor((change.x + radius) / this.size);
+                const minRz = Math.floor((change.z - radius) / this.size);
+                const maxRz = Math.floor((change.z + radius) / this.size);
+                for (let rx = minRx; rx <= maxRx; rx++) {
+                    for (let rz = minRz; rz <= maxRz; rz++) {
+                        dirty.add(this.regionKey(rx, rz));
+                    }
+                }
+            }
+            for (const key of dirty) {
+                const [rx, rz] = key.split(',').map(Number);
+                invalidated += this.invalidate(rx, rz);
+            }
+        }
+        this.version = world.version;
+        return invalidated;
+    }
+
+    // 区域失效时它的四条边界随之失效，共用这些边界门户的相邻区域也要重建
+    invalidate(rx, rz) {
+        let removed = 0;
+        for (const { key } of this.bordersOf(rx, rz)) {
+            this.borders.delete(key);
+        }
+        for (const [dx, dz] of [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            if (this.regions.delete(this.regionKey(rx + dx, rz + dz))) {
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    regionKey(rx, rz) {
+        return `${rx},${rz}`;
+    }
+
+    nodeKey(x, z) {
+        return GroundWorldModel.packKey(x, z, ORIGIN);
+    }
+
+    regionOf(cell) {
+        return { rx: Math.floor(cell.x / this.size), rz: Math.floor(cell.z / this.size) };
+    }
+
+    // 两个格子所在区域的切比雪夫距离
+    regionDistance(a, b) {
+        const ra = this.regionOf(a);
+        const rb = this.regionOf(b);
+        return Math.max(Math.abs(ra.rx - rb.rx), Math.abs(ra.rz - rb.rz));
+    }
+
+    // 取区域，未构建或构建时的高度已偏离时重新构建
+    region(rx, rz, world) {
+        const key = this.regionKey(rx, rz);
+        let region = this.regions.get(key);
+        if (region && Math.abs(region.y - world.y) > this.levelTolerance) {
+            this.invalidate(rx, rz);
+            region = null;
+        }
+        if (!region) {
+            region = this.buildRegion(rx, rz, world);
+            this.regions.set(key, region);
+        }
+        return region;
+    }
+
+    // 格子所在区域内与它相连的边；格子不是门户时为空
+    edgesFrom(cell, world) {
+        const { rx, rz } = this.regionOf(cell);
+        return this.region(rx, rz, world).edges.get(this.nodeKey(cell.x, cell.z)) || [];
+    }
+
+    buildRegion(rx, rz, world) {
+        // 区域内各格子的可通行性，按区域内下标 (z - minZ) * size + (x - minX) 存放
+        const size = this.size;
+        const open = new Uint8Array(size * size);
+        for (let i = 0; i < open.length; i++) {
+            open[i] = world.isSafeCell(rx * size + i % size, rz * size + Math.floor(i / size)) ? 1 : 0;
+        }
+        const region = { rx, rz, y: world.y, open, portals: [], edges: new Map() };
+
+        const portals = region.portals;
+        const links = new Map(); // 门户节点键 -> 跨边界的边
+        for (const { axis, bx, bz, side } of this.bordersOf(rx, rz)) {
+            for (const pair of this.border(axis, bx, bz, world)) {
+                const own = side === 'a' ? pair.a : pair.b;
+                const link = side === 'a' ? { node: pair.b, cost: pair.forward } : { node: pair.a, cost: pair.backward };
+                const key = this.nodeKey(own.x, own.z);
+                if (!links.has(key)) {
+                    links.set(key, []);
+                    portals.push(own);
+                }
+                links.get(key).push(link);
+            }
+        }
+
+        for (const portal of portals) {
+            const key = this.nodeKey(portal.x, portal.z);
+            const costs = this.searchRegion(portal, region, world);
+            const list = links.get(key).slice();
+            for (const other of portals) {
+                if (other === portal) continue;
+                const cost = costs[this.localIndex(other, region)];
+                if (cost !== Infinity) {
+                    list.push({ node: other, cost });
+                }
+            }
+            region.edges.set(key, list);
+        }
+        this.built++;
+        return region;
+    }
+
+    localIndex(cell, region) {
+        return (cell.z - region.rz * this.size) * this.size + (cell.x - region.rx * this.size);
+    }
+
+    // 区域的四条边界：axis 为 x 时是 (bx, bz) 与 (bx + 1, bz) 之间的边界，为 z 时是 (bx, bz) 与 (bx, bz + 1) 之间；side 为本区域所在的一侧
+    bordersOf(rx, rz) {
+        return [
+            { axis: 'x', bx: rx, bz: rz, side: 'a' },
+            { axis: 'x', bx: rx - 1, bz: rz, side: 'b' },
+            { axis: 'z', bx: rx, bz: rz, side: 'a' },
+            { axis: 'z', bx: rx, bz: rz - 1, side: 'b' }
+        ].map(border => ({ ...border, key: `${border.axis}:${border.bx},${border.bz}` }));
+    }
+
+    // 边界上的门户对，按需计算并缓存
+    border(axis, bx, bz, world) {
+        const key = `${axis}:${bx},${bz}`;
+        let pairs = this.borders.get(key);
+        if (pairs) return pairs;
+
+        const size = this.size;
+        const pairAt = i => axis === 'x'
+            ? { a: { x: bx * size + size - 1, z: bz * size + i }, b: { x: bx * size + size, z: bz * size + i } }
+            : { a: { x: bx * size + i, z: bz * size + size - 1 }, b: { x: bx * size + i, z: bz * size + size } };
+        const isOpen = pair => world.isSafeCell(pair.a.x, pair.a.z) && world.isSafeCell(pair.b.x, pair.b.z);
+
+        pairs = [];
+        let runStart = null;
+        for (let i = 0; i <= size; i++) {
+            const open = i < size && isOpen(pairAt(i));
+            if (open && runStart === null) {
+                runStart = i;
+            } else if (!open && runStart !== null) {
+                const runEnd = i - 1;
+                const picks = runEnd - runStart + 1 > this.maxEntranceWidth ? [runStart, runEnd] : [Math.floor((runStart + runEnd) / 2)];
+                for (const pick of picks) {
+                    const { a, b } = pairAt(pick);
+                    pairs.push({ a, b, forward: world.cost(a, b), backward: world.cost(b, a) });
+                }
+                runStart = null;
+            }
+        }
+        this.borders.set(key, pairs);
+        return pairs;
+    }
+
+    /**
+     * 区域内从 source 出发的 Dijkstra，返回按区域内下标存放的代价(不可达为 Infinity)。
+     * source 本身不做可通行检查(机体所在格子可能因刚走过而被标记)，其余格子须可通行
+     */
+    searchRegion(source, region, world) {
+        const size = this.size;
+        const minX = region.rx * size;
+        const minZ = region.rz * size;
+        const costs = new Float64Array(size * size).fill(Infinity);
+        costs[this.localIndex(source, region)] = 0;
+        const openSet = new BinaryHeap();
+        openSet.push({ x: source.x, z: source.z, g: 0 }, 0);
+        while (openSet.size > 0) {
+            const current = openSet.pop();
+            if (current.g > costs[this.localIndex(current, region)]) continue;
+            for (const [dx, dz] of DIRECTIONS) {
+                const lx = current.x + dx - minX;
+                const lz = current.z + dz - minZ;
+                if (lx < 0 || lx >= size || lz < 0 || lz >= size) continue;
+                const index = lz * size + lx;
+                if (!region.open[index]) continue;
+                const next = { x: minX + lx, z: minZ + lz, g: 0 };
+                next.g = current.g + world.cost(current, next);
+                if (next.g < costs[index]) {
+                    costs[index] = next.g;
+                    openSet.push(next, next.g);
+                }
+            }
+        }
+        return costs;
+    }
+}
+
+module.exports = RegionGraph;
@@ -0,0 +1,182 @@
+/**
+ * 多机时空预约表
+ * 每架无人机规划出路径后按巡航速度估算经过每个格子的时间窗并登记，
+ * 其他无人机规划时避开在同一时间被占用的格子；其他无人机的当前位置在近期内也视为占用
+ */
+class ReservationTable {
+    constructor(options = {}) {
+        this.config = {
+            timeMargin: 1500,        // 时间窗前后的余量(ms)，吸收速度估算误差
+            separation: 1,           // 水平方向额外隔开的格数
+            bodyHeight: 2,           // 机体占用的竖直格数
+            sampleStep: 0.5,         // 沿路径采样格子的步长
+            positionHorizon: 1500,   // 其他无人机当前位置只在该时长内视为占用，更远的时刻由路径预约和重规划负责
+            conflictDistance: 1.2,   // 运行时两机最近距离小于该值视为冲突
+            lookahead: 2,            // 运行时沿前进方向检查的距离
+            ...options
+        };
+        this.cells = new Map();     // 格子 -> Map(droneId -> { from, to })
+        this.byDrone = new Map();   // droneId -> Set(格子)
+        this.positions = new Map(); // droneId -> { x, y, z }
+    }
+
+    cellKey(x, y, z) {
+        return `${x},${y},${z}`;
+    }
+
+    // 登记路径: path 为 {x,y,z} 序列，speed 为格/秒，返回登记的格子数
+    reservePath(droneId, path, speed, startTime = Date.now()) {
+        this.release(droneId);
+        if (!path || path.length === 0 || !(speed > 0)) return 0;
+
+        const { timeMargin, sampleStep } = this.config;
+        const windows = new Map();
+        const mark = (point, distance) => {
+            const key = this.cellKey(Math.floor(point.x), Math.floor(point.y), Math.floor(point.z));
+            const time = startTime + distance / speed * 1000;
+            const window = windows.get(key);
+            if (window) {
+                window.from = Math.min(window.from, time - timeMargin);
+                window.to = Math.max(window.to, time + timeMargin);
+            } else {
+                windows.set(key, { from: time - timeMargin, to: time + timeMargin });
+            }
+        };
+
+        let travelled = 0;
+        mark(path[0], 0);
+        for (let i = 1; i < path.length; i++) {
+            const a = path[i - 1];
+            const b = path[i];
+            const length = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2 + (b.z - a.z) ** 2);
+            const steps = Math.max(1, Math.ceil(length / sampleStep));
+            for (let s = 1; s <= steps; s++) {
+                const t = s / steps;
+                mark({
+                    x: a.x + (b.x - a.x) * t,
+                    y: a.y + (b.y - a.y) * t,
+                    z: a.z + (b.z - a.z) * t
+                }, travelled + length * t);
+            }
+            travelled += length;
+        }
+
+        for (const [key, window] of windows) {
+            if (!this.cells.has(key)) {
+                this.cells.set(key, new Map());
+            }
+            this.cells.get(key).set(droneId, window);
+        }
+        this.byDrone.set(droneId, new Set(windows.keys()));
+        return windows.size;
+    }
+
+    release(droneId) {
+        const keys = this.byDrone.get(droneId);
+        if (!keys) return;
+        for (const key of keys) {
+            const owners = this.cells.get(key);
+            if (!owners) continue;
+            owners.delete(droneId);
+            if (owners.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+        this.byDrone.delete(droneId);
+    }
+
+    updatePosition(droneId, position) {
+        this.positions.set(droneId, { x: position.x, y: position.y, z: position.z });
+    }
+
+    removeDrone(droneId) {
+        this.release(droneId);
+        this.positions.delete(droneId);
+    }
+
+    hasOthers(droneId) {
+        for (const id of this.positions.keys()) {
+            if (id !== droneId) return true;
+        }
+        for (const id of this.byDrone.keys()) {
+            if (id !== droneId) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 机体位于 cell(脚下格) 时在 time 时刻是否与其他无人机冲突
+     * 检查其他无人机的路径预约，以及近期内它们当前所在的格子
+     */
+    isReserved(droneId, cell, time) {
+        if (!this.hasOthers(droneId)) return false;
+        const { separation, bodyHeight, positionHorizon } = this.config;
+
+        const nearTerm = time - Date.now() <= positionHorizon;
+        for (const [id, position] of this.positions) {
+            if (id === droneId || !nearTerm) continue;
+            if (Math.abs(Math.floor(position.x) - cell.x) <= separation &&
+                Math.abs(Math.floor(position.z) - cell.z) <= separation &&
+                Math.abs(Math.floor(position.y) - cell.y) < bodyHeight) {
+                return true;
+            }
+        }
+
+        for (let dx = -separation; dx <= separation; dx++) {
+            for (let dz = -separation; dz <= separation; dz++) {
+                for (let dy = 1 - bodyHeight; dy < bodyHeight; dy++) {
+                    const owners = this.cells.get(this.cellKey(cell.x + dx, cell.y + dy, cell.z + dz));
+                    if (!owners) continue;
+                    for (const [id, window] of owners) {
+                        if (id !== droneId && time >= window.from && time <= window.to) {
+                            return true;
+                        }
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 运行时冲突检查：沿 position -> next 方向前方 lookahead 距离内与其他无人机的最近距离
+     * 返回 { droneId, distance, yield }，yield 表示本机编号较大应让行；无冲突返回 null
+     */
+    findConflict(droneId, position, next) {
+        const { conflictDistance, lookahead } = this.config;
+        const dx = next.x - position.x;
+        const dy = next.y - position.y;
+        const dz = next.z - position.z;
+        const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const reach = Math.min(length, lookahead);
+
+        for (const [id, other] of this.positions) {
+            if (id === droneId) continue;
+            const ox = other.x - position.x;
+            const oy = other.y - position.y;
+            const oz = other.z - position.z;
+            // 他机在前进方向上的投影，背离他机时不算冲突
+            const along = length > 0 ? (ox * dx + oy * dy + oz * dz) / length : 0;
+            if (along <= 0) continue;
+            const t = Math.min(along, reach);
+            const cx = ox - dx / length * t;
+            const cy = oy - dy / length * t;
+            const cz = oz - dz / length * t;
+            const distance = Math.sqrt(cx * cx + cy * cy + cz * cz);
+            if (distance < conflictDistance) {
+                return { droneId: id, distance, yield: droneId > id };
+            }
+        }
+        return null;
+    }
+
+    getStatus() {
+        const drones = {};
+        for (const [id, keys] of this.byDrone) {
+            drones[id] = keys.size;
+        }
+        return { cells: this.cells.size, drones };
+    }
+}
+
+module.exports = ReservationTable;
@@ -0,0 +1,141 @@
+/**
+ * RRT* 采样规划器
+ * 在搜索范围内随机采样(按 goalBias 概率直接采样目标)，从最近节点向采样点延伸 stepSize 格，
+ * 新节点在 rewireRadius 内选择代价最小的父节点，并把邻近节点重连到新节点以缩短路径；
+ * 首次到达目标后继续采样 refineSamples 次优化路径。节点坐标为连续的水平坐标
+ */
+class RrtStarPlanner {
+    constructor(options = {}) {
+        this.name = options.name || 'rrtstar';
+        this.config = {
+            maxSamples: 4000,     // 最多采样次数
+            refineSamples: 500,   // 找到路径后的额外采样次数
+            stepSize: 3,          // 单次延伸距离(格)
+            goalBias: 0.1,        // 直接采样目标的概率
+            rewireRadius: 5,      // 选父节点和重连的邻域半径(格)
+            ...options.config
+        };
+        this.random = options.random || Math.random;
+    }
+
+    plan(start, goal, world, limits = {}) {
+        const { maxNodes = Infinity, maxTime = Infinity, goalTolerance = 1.5, cancelled = null } = limits;
+        const { maxSamples, refineSamples, stepSize, goalBias, rewireRadius } = this.config;
+        const startTime = Date.now();
+        const { minX, maxX, minZ, maxZ } = world.bounds;
+        const goalPoint = world.center(world.toCell(goal));
+
+        const root = { ...world.center(world.toCell(start)), cost: 0, parent: null, children: [] };
+        const nodes = [root];
+        let best = null;
+        let samples = 0;
+        let refineLeft = refineSamples;
+        let result = 'exhausted';
+        while (samples < maxSamples) {
+            if (nodes.length >= maxNodes) {
+                result = 'nodeLimit';
+                break;
+            }
+            if ((samples & 63) === 0 && Date.now() - startTime > maxTime) {
+                result = 'timeLimit';
+                break;
+            }
+            if ((samples & 63) === 0 && cancelled && cancelled()) {
+                result = 'cancelled';
+                break;
+            }
+            if (best && refineLeft-- <= 0) break;
+            samples++;
+
+            const sample = this.random() < goalBias
+                ? goalPoint
+                : { x: minX + this.random() * (maxX - minX + 1), z: minZ + this.random() * (maxZ - minZ + 1) };
+            const nearest = this.nearest(nodes, sample, world);
+            const distance = world.distance(nearest, sample);
+            if (distance < 1e-6) continue;
+            const ratio = Math.min(1, stepSize / distance);
+            const point = { x: nearest.x + (sample.x - nearest.x) * ratio, z: nearest.z + (sample.z - nearest.z) * ratio };
+            if (!world.isWalkable(Math.floor(point.x), Math.floor(point.z))) continue;
+
+            // 邻域内选择到达新节点代价最小且直线可通行的父节点
+            const near = nodes.filter(node => world.distance(node, point) <= rewireRadius);
+            let parent = null;
+            let cost = Infinity;
+            for (const candidate of near.concat(near.includes(nearest) ? [] : [nearest])) {
+                const candidateCost = candidate.cost + world.distance(candidate, point);
+                if (candidateCost < cost && world.isSegmentClear(candidate, point)) {
+                    parent = candidate;
+                    cost = candidateCost;
+                }
+            }
+            if (!parent) continue;
+
+            const node = { ...point, cost, parent, children: [] };
+            parent.children.push(node);
+            nodes.push(node);
+
+            // 重连：经新节点到达更近的邻居改挂到新节点下
+            for (const other of near) {
+                if (other === parent) continue;
+                const rewired = cost + world.distance(node, other);
+                if (rewired < other.cost && world.isSegmentClear(node, other)) {
+                    const siblings = other.parent.children;
+                    siblings.splice(siblings.indexOf(other), 1);
+                    other.parent = node;
+                    node.children.push(other);
+                    this.propagateCost(other, rewired - other.cost);
+                }
+            }
+
+            if (world.distance(node, goalPoint) < goalTolerance && (!best || node.cost < best.cost)) {
+                best = node;
+                result = 'found';
+            }
+        }
+        // 重连可能降低了已记录目标节点的代价，结束时在目标邻域内重新挑选
+        if (best) {
+            best = nodes
+                .filter(node => world.distance(node, goalPoint) < goalTolerance)
+                .reduce((a, b) => (b.cost < a.cost ? b : a));
+            result = 'found';
+        }
+
+        return {
+            path: best ? world.toPath(start, this.trace(best), goal) : null,
+            stats: { result, expanded: samples, generated: nodes.length, cost: best ? best.cost : null }
+        };
+    }
+
+    nearest(nodes, point, world) {
+        let nearest = nodes[0];
+        let distance = Infinity;
+        for (const node of nodes) {
+            const d = world.distance(node, point);
+            if (d < distance) {
+                nearest = node;
+                distance = d;
+            }
+        }
+        return nearest;
+    }
+
+    // 子树中所有节点的代价同步变化 delta
+    propagateCost(node, delta) {
+        const stack = [node];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            current.cost += delta;
+            stack.push(...current.children);
+        }
+    }
+
+    trace(node) {
+        const points = [];
+        for (let current = node; current && current.parent; current = current.parent) {
+            points.unshift({ x: current.x, z: current.z });
+        }
+        return points;
+    }
+}
+
+module.exports = RrtStarPlanner;
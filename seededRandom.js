@@ -0,0 +1,44 @@
+/**
+ * 可设定种子的伪随机数发生器(mulberry32)
+ * 同一种子给出同一序列，用来替代 Math.random 使实验可以复现；derive 按编号派生互不相关的子序列，
+ * 编队中每架无人机各用一个，互不影响彼此的取值顺序
+ */
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // 未指定种子时随机选一个，启动时打印出来，之后可用它复现本次运行
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // 解析配置中的种子(如环境变量)，缺省时随机选取
+    static from(value) {
+        if (value === undefined || value === null || value === '') {
+            return new SeededRandom();
+        }
+        const seed = Number(value);
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new Error(`随机种子应为 0~4294967295 的整数，收到 "${value}"`);
+        }
+        return new SeededRandom(seed);
+    }
+
+    // [0, 1) 上的均匀分布，用法同 Math.random
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // 按编号派生的子发生器，只取决于种子和编号
+    derive(index) {
+        return new SeededRandom(this.seed ^ Math.imul(index + 1, 0x9E3779B9));
+    }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,152 @@
+const Geofence = require('./geofence');
+
+// 区域覆盖测绘：在矩形或多边形区域上生成往复(割草机)航线，交给任务执行器飞行
+class SurveyPlanner {
+    constructor(controller) {
+        this.controller = controller;
+        this.active = null; // { name, points, altitude, spacing, startTime }
+        this.overlap = 0.2; // 相邻航线扫描带的重叠比例
+        this.maxLegLength = 32; // 长航线拆分为多段，减轻单次规划压力
+        this.surveyCount = 0;
+
+        this.controller.mission.on('mission', (event) => this.handleMissionEvent(event));
+    }
+
+    // 根据感知系统的实际扫描半径计算航线间距
+    getDefaultSpacing() {
+        const perception = this.controller.perception;
+        const radius = perception && typeof perception.getEffectiveScanRadius === 'function'
+            ? perception.getEffectiveScanRadius()
+            : 4;
+        return Math.max(1, 2 * radius * (1 - this.overlap));
+    }
+
+    // points: [{x,z}, ...] 至少3个顶点；altitude 为绝对Y
+    start(points, altitude, spacing) {
+        if (!Array.isArray(points) || points.length < 3) {
+            throw new Error('测绘区域至少需要3个顶点');
+        }
+        const lineSpacing = spacing > 0 ? spacing : this.getDefaultSpacing();
+        const waypoints = this.generatePattern(points, lineSpacing).map(p => ({
+            x: p.x,
+            y: altitude,
+            z: p.z,
+            altitude
+        }));
+        if (waypoints.length === 0) {
+            throw new Error('测绘区域过小，未生成航线');
+        }
+
+        const runner = this.controller.mission;
+        if (runner.isActive()) {
+            throw new Error('已有任务在执行，请先 abort');
+        }
+        const name = `survey-${++this.surveyCount}`;
+        // 航点不可达时跳过继续，规划器会在航段内绕开障碍
+        runner.load({ name, waypoints, continueOnFailure: true });
+        this.active = { name, points, altitude, spacing: lineSpacing, startTime: Date.now() };
+        runner.start();
+        console.log(`开始测绘 ${name}: ${waypoints.length} 个航点，航线间距 ${lineSpacing.toFixed(1)}`);
+        return this.active;
+    }
+
+    // 往复航线：沿 z 方向按间距布置扫描线，每条线与多边形求交得到线段，方向交替
+    generatePattern(points, spacing) {
+        const zs = points.map(p => p.z);
+        const minZ = Math.min(...zs);
+        const maxZ = Math.max(...zs);
+        // 扫描线数量向上取整后均匀分布，保证边缘也在扫描带内
+        const count = Math.max(1, Math.ceil((maxZ - minZ) / spacing));
+        const step = (maxZ - minZ) / count;
+        const lines = [];
+        for (let i = 0; i < count; i++) {
+            lines.push(minZ + step * (i + 0.5));
+        }
+
+        const pattern = [];
+        lines.forEach((z, lineIndex) => {
+            const segments = this.intersectLine(points, z);
+            if (lineIndex % 2 === 1) {
+                segments.reverse().forEach(segment => segment.reverse());
+            }
+            for (const [startX, endX] of segments) {
+                pattern.push(...this.splitLeg(startX, endX, z));
+            }
+        });
+        return pattern;
+    }
+
+    // 水平线 z 与多边形边的交点，按 x 排序后两两成段，并向内收缩半格
+    intersectLine(points, z) {
+        const xs = [];
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.z > z) !== (b.z > z)) {
+                xs.push(a.x + (z - a.z) * (b.x - a.x) / (b.z - a.z));
+            }
+        }
+        xs.sort((a, b) => a - b);
+        const segments = [];
+        for (let i = 0; i + 1 < xs.length; i += 2) {
+            const start = xs[i] + 0.5;
+            const end = xs[i + 1] - 0.5;
+            segments.push(start <= end ? [start, end] : [(xs[i] + xs[i + 1]) / 2, (xs[i] + xs[i + 1]) / 2]);
+        }
+        return segments;
+    }
+
+    splitLeg(startX, endX, z) {
+        const length = Math.abs(endX - startX);
+        const count = Math.max(1, Math.ceil(length / this.maxLegLength));
+        const points = [{ x: startX, z }];
+        if (length === 0) return points;
+        for (let i = 1; i <= count; i++) {
+            points.push({ x: startX + (endX - startX) * i / count, z });
+        }
+        return points;
+    }
+
+    // 统计区域内 (x,z) 格子中在记忆地图里出现过方块的比例
+    computeCoverage(points) {
+        const perception = this.controller.perception;
+        const memoryBlocks = perception ? perception.getMemoryBlocksArray() : [];
+        const observed = new Set(memoryBlocks.map(block => `${block.position.x},${block.position.z}`));
+
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        let total = 0;
+        let seen = 0;
+        for (let x = Math.floor(Math.min(...xs)); x <= Math.floor(Math.max(...xs)); x++) {
+            for (let z = Math.floor(Math.min(...zs)); z <= Math.floor(Math.max(...zs)); z++) {
+                if (!Geofence.isPointInPolygon({ x: x + 0.5, z: z + 0.5 }, points)) continue;
+                total++;
+                if (observed.has(`${x},${z}`)) seen++;
+            }
+        }
+        return { observed: seen, total, percent: total > 0 ? seen / total * 100 : 0 };
+    }
+
+    handleMissionEvent(event) {
+        if (!this.active || event.mission !== this.active.name) return;
+        if (event.type !== 'missionCompleted' && event.type !== 'missionAborted') return;
+
+        const coverage = this.computeCoverage(this.active.points);
+        const duration = ((Date.now() - this.active.startTime) / 1000).toFixed(0);
+        const result = event.type === 'missionCompleted' ? '测绘完成' : `测绘中止(${event.reason})`;
+        console.log(`${result}: 覆盖 ${coverage.observed}/${coverage.total} 格 (${coverage.percent.toFixed(1)}%)，用时 ${duration}s`);
+        this.controller.bot.chat(`${result}，覆盖率 ${coverage.percent.toFixed(1)}% (${coverage.observed}/${coverage.total} 格)`);
+        this.active = null;
+    }
+
+    getStatus() {
+        return this.active ? {
+            name: this.active.name,
+            points: this.active.points,
+            altitude: this.active.altitude,
+            spacing: this.active.spacing
+        } : null;
+    }
+}
+
+module.exports = SurveyPlanner;
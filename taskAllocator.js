@@ -0,0 +1,140 @@
+/**
+ * 多机任务分配
+ * 测绘区域沿 z 方向切成面积相等的条带，航点序列切成航程相近的连续段，
+ * 再按无人机当前位置到各子任务起点的距离贪心配对
+ */
+class TaskAllocator {
+    constructor() {
+        this.bisectIterations = 30; // 二分查找条带分界的迭代次数
+    }
+
+    polygonArea(points) {
+        let area = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            area += (points[j].x + points[i].x) * (points[j].z - points[i].z);
+        }
+        return Math.abs(area) / 2;
+    }
+
+    // 用 z >= minZ 和 z <= maxZ 两个半平面依次裁剪多边形(Sutherland-Hodgman)
+    clipPolygon(points, minZ, maxZ) {
+        const clip = (polygon, inside, boundary) => {
+            const result = [];
+            for (let i = 0; i < polygon.length; i++) {
+                const current = polygon[i];
+                const previous = polygon[(i + polygon.length - 1) % polygon.length];
+                const currentIn = inside(current);
+                const previousIn = inside(previous);
+                if (currentIn !== previousIn) {
+                    const t = (boundary - previous.z) / (current.z - previous.z);
+                    result.push({ x: previous.x + (current.x - previous.x) * t, z: boundary });
+                }
+                if (currentIn) {
+                    result.push({ x: current.x, z: current.z });
+                }
+            }
+            return result;
+        };
+        const lower = clip(points, p => p.z >= minZ, minZ);
+        return lower.length >= 3 ? clip(lower, p => p.z <= maxZ, maxZ) : [];
+    }
+
+    // 把多边形切成 count 条面积相等的条带，按 z 从小到大返回
+    splitArea(points, count) {
+        const zs = points.map(p => p.z);
+        const minZ = Math.min(...zs);
+        const maxZ = Math.max(...zs);
+        const total = this.polygonArea(points);
+        if (count <= 1 || total === 0) {
+            return [points.map(p => ({ x: p.x, z: p.z }))];
+        }
+
+        const cuts = [minZ];
+        for (let k = 1; k < count; k++) {
+            const wanted = total * k / count;
+            let low = cuts[cuts.length - 1];
+            let high = maxZ;
+            for (let i = 0; i < this.bisectIterations; i++) {
+                const middle = (low + high) / 2;
+                const clipped = this.clipPolygon(points, minZ, middle);
+                if (clipped.length >= 3 && this.polygonArea(clipped) < wanted) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            cuts.push((low + high) / 2);
+        }
+        cuts.push(maxZ);
+
+        const strips = [];
+        for (let i = 0; i < count; i++) {
+            const strip = this.clipPolygon(points, cuts[i], cuts[i + 1]);
+            if (strip.length >= 3 && this.polygonArea(strip) > 0) {
+                strips.push(strip);
+            }
+        }
+        return strips;
+    }
+
+    // 把有序航点按累计航程切成 count 段连续子序列，返回各段的下标数组
+    splitRoute(positions, count) {
+        if (positions.length === 0) return [];
+        const segments = Math.max(1, Math.min(count, positions.length));
+        const cumulative = [0];
+        for (let i = 1; i < positions.length; i++) {
+            const a = positions[i - 1];
+            const b = positions[i];
+            cumulative.push(cumulative[i - 1] + Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2 + (b.z - a.z) ** 2));
+        }
+        const total = cumulative[cumulative.length - 1];
+
+        const groups = [];
+        let start = 0;
+        for (let k = 1; k <= segments; k++) {
+            // 每段至少一个航点，并给后续段留出航点
+            let end = k === segments ? positions.length : start + 1;
+            while (k < segments && end < positions.length - (segments - k) && cumulative[end] <= total * k / segments) {
+                end++;
+            }
+            const indices = [];
+            for (let i = start; i < end; i++) {
+                indices.push(i);
+            }
+            groups.push(indices);
+            start = end;
+        }
+        return groups;
+    }
+
+    /**
+     * 贪心配对：反复选出距离最近的(无人机, 子任务)组合
+     * drones: [{ id, position }]；tasks: [{ start: {x,y,z}, ... }]
+     * 返回 [{ drone, task }]，子任务多于无人机时多出的子任务不分配
+     */
+    assign(drones, tasks) {
+        const pairs = [];
+        drones.forEach((drone, d) => {
+            tasks.forEach((task, t) => {
+                const dx = task.start.x - drone.position.x;
+                const dz = task.start.z - drone.position.z;
+                const dy = task.start.y === undefined ? 0 : task.start.y - drone.position.y;
+                pairs.push({ d, t, distance: Math.sqrt(dx * dx + dy * dy + dz * dz) });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const usedDrones = new Set();
+        const usedTasks = new Set();
+        const result = [];
+        for (const pair of pairs) {
+            if (usedDrones.has(pair.d) || usedTasks.has(pair.t)) continue;
+            usedDrones.add(pair.d);
+            usedTasks.add(pair.t);
+            result.push({ drone: drones[pair.d], task: tasks[pair.t] });
+        }
+        return result;
+    }
+}
+
+module.exports = TaskAllocator;
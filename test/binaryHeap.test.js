@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BinaryHeap = require('../binaryHeap');
+
+test('按优先级从小到大弹出', () => {
+    const heap = new BinaryHeap();
+    [5, 1, 4, 2, 3, 0].forEach(priority => heap.push(`item${priority}`, priority));
+    assert.strictEqual(heap.size, 6);
+    assert.strictEqual(heap.peek(), 'item0');
+    const order = [];
+    while (heap.size > 0) {
+        order.push(heap.pop());
+    }
+    assert.deepStrictEqual(order, ['item0', 'item1', 'item2', 'item3', 'item4', 'item5']);
+    assert.strictEqual(heap.pop(), undefined);
+});
+
+test('自定义比较按二元键的字典序', () => {
+    const heap = new BinaryHeap((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+    heap.push('c', [2, 0]);
+    heap.push('b', [1, 5]);
+    heap.push('a', [1, 2]);
+    assert.deepStrictEqual([heap.pop(), heap.pop(), heap.pop()], ['a', 'b', 'c']);
+});
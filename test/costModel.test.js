@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CostModel = require('../costModel');
+
+const data = {
+    tags: { liquid: ['water', 'lava'] },
+    profiles: {
+        base: {
+            maxHazard: 10,
+            fallback: { cost: 1 },
+            rules: [
+                { match: ['#liquid'], obstacle: true, standable: false },
+                { match: ['sand'], cost: 2 }
+            ]
+        },
+        child: {
+            extends: 'base',
+            rules: [{ match: ['sand'], cost: 3, hazard: 12 }]
+        }
+    }
+};
+
+test('标签按子串匹配，继承的配置自身规则优先', () => {
+    const model = new CostModel(data, 'base');
+    assert.ok(model.isObstacle('flowing_water'));
+    assert.ok(!model.isStandable('lava'));
+    assert.strictEqual(model.lookup('sand').cost, 2);
+    assert.strictEqual(model.lookup('stone').cost, 1);
+    model.setProfile('child');
+    assert.strictEqual(model.lookup('sand').cost, 3);
+    assert.ok(model.isHazardous('sand'));
+    // 被继承的规则仍然生效，未写的字段取自父配置
+    assert.ok(model.isObstacle('water'));
+    assert.strictEqual(model.profile.maxHazard, 10);
+});
+
+test('配置错误时抛出', () => {
+    assert.throws(() => new CostModel({ profiles: { a: { extends: 'b' } } }, 'a'), /不存在/);
+    assert.throws(() => new CostModel({ profiles: { a: { extends: 'b' }, b: { extends: 'a' } } }, 'a'), /循环继承/);
+    assert.throws(() => new CostModel({ profiles: { a: { rules: [{ match: ['x'], cost: 0.5 }] } } }, 'a'), /cost/);
+    assert.throws(() => new CostModel({ profiles: { a: { rules: [{ match: ['#nope'] }] } } }, 'a'), /未知标签/);
+    assert.throws(() => new CostModel(data, 'missing'), /未知的代价配置/);
+});
+
+test('内置配置都能加载', () => {
+    const model = CostModel.load();
+    for (const name of model.names()) {
+        model.setProfile(name);
+        assert.strictEqual(model.lookup('air').passable, true);
+    }
+});
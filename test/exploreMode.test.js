@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vec3, quiet, flatWorld, createExplorer } = require('./helpers');
+const ExploreMode = require('../exploreMode');
+
+// 只实现探索模式用到的控制器接口，记录导航请求
+function stubController(explorer, airborne) {
+    const calls = { navigate: [], chat: [] };
+    const controller = {
+        bot: { entity: explorer.bot.entity, chat: message => calls.chat.push(message) },
+        pathfinding: explorer,
+        perception: null,
+        isNavigating: false,
+        isAirborne: () => airborne,
+        stop: () => {},
+        stopNavigation: () => {},
+        navigateTo: (position, options) => calls.navigate.push({ position, options })
+    };
+    return { controller, calls };
+}
+
+test('地面上开始探索时前往边界', t => {
+    quiet(t);
+    const explorer = createExplorer(flatWorld(-5, 5, -5, 5));
+    const { controller, calls } = stubController(explorer, false);
+    const mode = new ExploreMode(controller);
+    mode.start(10);
+    assert.strictEqual(mode.explore.altitude, 0);
+    mode.update();
+    assert.strictEqual(calls.navigate.length, 1);
+    assert.strictEqual(calls.navigate[0].position.y, 64);
+});
+
+test('飞行中开始探索时按下方地面统计覆盖率和边界，按离地高度巡航', t => {
+    quiet(t);
+    // 起飞后离地5格，地面方块在机体下方6格
+    const explorer = createExplorer(flatWorld(-5, 5, -5, 5), new Vec3(0.5, 69, 0.5));
+    const { controller, calls } = stubController(explorer, true);
+    const mode = new ExploreMode(controller);
+    mode.start(10);
+    assert.strictEqual(mode.explore.center.y, 64);
+    assert.strictEqual(mode.explore.altitude, 5);
+    assert.strictEqual(mode.explore.initialCoverage.known, 121);
+    mode.update();
+    assert.ok(mode.isActive());
+    assert.deepStrictEqual(calls.chat, []);
+    assert.strictEqual(calls.navigate.length, 1);
+    assert.strictEqual(calls.navigate[0].position.y, 69);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vec3, quiet, flatWorld, fence, createExplorer } = require('./helpers');
+const SeededRandom = require('../seededRandom');
+
+test('exploreToTarget 返回带编号和游标的计划，跟随进度同步后计划不变', async t => {
+    quiet(t);
+    const explorer = createExplorer(flatWorld(-5, 30, -10, 10));
+    const target = new Vec3(20.5, 64, 0.5);
+    const plan = await explorer.exploreToTarget(target);
+    assert.strictEqual(plan.reason, 'newTarget');
+    assert.strictEqual(plan.source, 'planner');
+    assert.ok(plan.cursor >= 1 && plan.cursor < plan.waypoints.length);
+    assert.deepStrictEqual(plan.target, { x: 20.5, y: 64, z: 0.5 });
+    // 走到游标所指的航点后同步进度，游标前进到下一个航点
+    const waypoint = plan.waypoints[plan.cursor];
+    explorer.bot.entity.position = new Vec3(waypoint.x, waypoint.y, waypoint.z);
+    const again = await explorer.exploreToTarget(target, { planId: plan.id, cursor: plan.cursor });
+    assert.strictEqual(again.id, plan.id);
+    assert.strictEqual(again.cursor, plan.cursor + 1);
+});
+
+test('覆盖率和探索边界', t => {
+    quiet(t);
+    const explorer = createExplorer(flatWorld(-5, 5, -5, 5));
+    const center = { x: 0.5, y: 64, z: 0.5 };
+    const coverage = explorer.getCoverage(center, 10);
+    assert.strictEqual(coverage.known, 121);
+    assert.ok(coverage.ratio > 0 && coverage.ratio < 1);
+    const frontiers = explorer.findFrontiers(center, 10);
+    assert.ok(frontiers.length > 0);
+    assert.ok(frontiers.every(frontier => frontier.gain > 0));
+    assert.strictEqual(explorer.findFrontiers(center, 4).length, 0);
+});
+
+test('切换代价配置后按新规则计算地形代价', t => {
+    quiet(t);
+    const explorer = createExplorer(flatWorld(-5, 5, -5, 5, [{ position: { x: 3, y: 63, z: 3 }, type: 'soul_sand' }]));
+    const cell = { x: 3.5, y: 64, z: 3.5 };
+    assert.ok(explorer.hasUniformTerrain());
+    assert.strictEqual(explorer.getTerrainCost(cell).cost, 1);
+    const version = explorer.knowledgeVersion;
+    explorer.setCostProfile('cautious');
+    assert.ok(!explorer.hasUniformTerrain());
+    assert.strictEqual(explorer.getTerrainCost(cell).cost, 4);
+    assert.ok(explorer.knowledgeVersion > version);
+    assert.throws(() => explorer.setCostProfile('missing'), /未知的代价配置/);
+});
+
+test('规划线程按快照重建知识地图后规划结果与主线程相同', t => {
+    quiet(t);
+    const main = createExplorer(flatWorld(-5, 30, -10, 10, fence(10, -5, 5)));
+    const worker = createExplorer([]);
+    const snapshot = main.createPlanningSnapshot(null);
+    worker.applyCellChanges(snapshot);
+    worker.loadPlanningSnapshot(snapshot);
+    assert.strictEqual(worker.knowledgeVersion, main.knowledgeVersion);
+    const start = new Vec3(0.5, 64, 0.5);
+    const goal = new Vec3(25.5, 64, 0.5);
+    // 邻域顺序随机，等代价路径可能不同，比较最优代价
+    const expected = main.searchGroundPath(start, goal).stats;
+    const actual = worker.searchGroundPath(start, goal).stats;
+    assert.strictEqual(actual.result, 'found');
+    assert.strictEqual(actual.cost, expected.cost);
+});
+
+test('同一种子下邻域顺序和随机采样可以复现', t => {
+    quiet(t);
+    const run = seed => {
+        const explorer = createExplorer(flatWorld(-5, 30, -10, 10));
+        const random = new SeededRandom(seed);
+        explorer.setRandom(() => random.next());
+        explorer.setPlanner('rrtstar');
+        const neighbors = explorer.getKnowledgeBasedNeighbors({ x: 0, y: 64, z: 0 }, 1);
+        const { path } = explorer.searchGroundPath(new Vec3(0.5, 64, 0.5), new Vec3(25.5, 64, 5.5));
+        return JSON.stringify({ neighbors, path });
+    };
+    assert.strictEqual(run(11), run(11));
+    assert.notStrictEqual(run(11), run(12));
+});
+
+// 知识地图和障碍集合的可比较形式
+function describeKnowledge(explorer) {
+    const blocks = Array.from(explorer.knowledgeMap, ([key, info]) => `${key}:${info.block.type}${info.synthetic ? '*' : ''}`);
+    return { blocks: blocks.sort(), obstacles: Array.from(explorer.obstacleMap).sort() };
+}
+
+test('规划线程连续加载快照后，知识地图和格子变化日志与主线程一致，之后的快照只带变化的方块', t => {
+    quiet(t);
+    const blocks = flatWorld(-5, 30, -10, 10, fence(10, -5, 5));
+    const main = createExplorer(blocks);
+    const worker = createExplorer([]);
+    const sync = since => {
+        const snapshot = main.createPlanningSnapshot(since);
+        worker.applyCellChanges(snapshot);
+        worker.loadPlanningSnapshot(snapshot);
+        assert.strictEqual(worker.knowledgeVersion, main.knowledgeVersion);
+        assert.deepStrictEqual(describeKnowledge(worker), describeKnowledge(main));
+        return snapshot;
+    };
+
+    assert.ok(sync(null).full);
+    assert.deepStrictEqual(worker.cellChanges, []);
+
+    // 新发现一道栅栏，一块地面过期被删除
+    const since = main.knowledgeVersion;
+    blocks.push(...fence(20, -5, 5));
+    blocks.splice(blocks.findIndex(block => block.position.x === 0 && block.position.z === 0), 1);
+    main.knowledgeMap.get('0,63,0').timestamp = 0;
+    main.updateKnowledgeMap();
+    assert.ok(main.knowledgeVersion > since);
+    const snapshot = sync(since);
+    assert.ok(!snapshot.full);
+    assert.strictEqual(snapshot.count, 11);
+    assert.deepStrictEqual(snapshot.removed, ['0,63,0']);
+
+    const project = changes => changes.map(({ version, x, z }) => ({ version, x, z }));
+    assert.deepStrictEqual(project(worker.cellChanges), project(main.cellChanges.filter(change => change.version > since)));
+    assert.deepStrictEqual(worker.getCellChangesSince(since), main.getCellChangesSince(since));
+
+    // 切换代价配置后线程按新配置重新分类保留的方块
+    const beforeProfile = main.knowledgeVersion;
+    main.setCostProfile('cautious');
+    sync(beforeProfile);
+    assert.strictEqual(worker.costModel.profileName, 'cautious');
+    const cell = { x: 9.5, y: 64, z: 0.5 };
+    assert.ok(main.getTerrainCost(cell).penalty > 0);
+    assert.strictEqual(worker.getTerrainCost(cell).penalty, main.getTerrainCost(cell).penalty);
+});
+
+test('getGroundLevelKnowledge 按代价模型跳过不能站立和可穿过的方块', t => {
+    quiet(t);
+    const explorer = createExplorer(flatWorld(-5, 5, -5, 5, [
+        { position: { x: 2, y: 64, z: 0 }, type: 'grass' },
+        { position: { x: 3, y: 63, z: 0 }, type: 'water' },
+        { position: { x: 4, y: 64, z: 0 }, type: 'stone' }
+    ]));
+    assert.strictEqual(explorer.getGroundLevelKnowledge(2.5, 0.5), 64);
+    assert.strictEqual(explorer.getGroundLevelKnowledge(4.5, 0.5), 65);
+    // 水下没有已知方块，按机体所在高度处理
+    assert.strictEqual(explorer.getGroundLevelKnowledge(3.5, 0.5), 64);
+});
+
+test('D* Lite 重规划时沿用未到达的中间目标，以便增量修复', async t => {
+    quiet(t);
+    const blocks = flatWorld(-5, 30, -10, 10);
+    const explorer = createExplorer(blocks);
+    explorer.setPlanner('dstarlite');
+    // 最终目标远在已知区域之外，每次重规划都要走中间目标
+    explorer.finalTarget = new Vec3(200.5, 64, 0.5);
+    await explorer.replanPath(explorer.bot.entity.position);
+    const intermediate = explorer.intermediateTarget.position;
+    assert.strictEqual(explorer.lastSearchStats.mode, 'full');
+
+    // 沿计划走一步，行走轨迹记入变化日志，但感知没有新发现时不重规划
+    const position = explorer.bot.entity.position;
+    explorer.updatePositionTracking(position);
+    const waypoint = explorer.plannedPath[explorer.pathIndex];
+    const direction = new Vec3(waypoint.x - position.x, 0, waypoint.z - position.z).normalize();
+    explorer.bot.entity.position = position.plus(direction.scaled(1.5));
+    explorer.updateKnowledgeMap();
+    explorer.lastReplanTime = 0;
+    assert.strictEqual(explorer.needsReplanning(explorer.bot.entity.position), null);
+
+    blocks.push(...fence(5, 3, 6));
+    explorer.updateKnowledgeMap();
+    explorer.lastReplanTime = 0;
+    assert.strictEqual(explorer.needsReplanning(explorer.bot.entity.position), 'changed');
+    await explorer.replanPath(explorer.bot.entity.position);
+    assert.strictEqual(explorer.intermediateTarget.position, intermediate);
+    assert.strictEqual(explorer.lastSearchStats.mode, 'repair');
+});
+
+test('三维飞行规划按调用方给的迭代次数和时间限制提前结束', async t => {
+    quiet(t);
+    const explorer = createExplorer(flatWorld(-5, 30, -10, 10));
+    const start = new Vec3(0.5, 70, 0.5);
+    const goal = new Vec3(20.5, 70, 0.5);
+    assert.ok(await explorer.planFlightPath(start, goal));
+    assert.strictEqual(await explorer.planFlightPath(start, goal, { maxIterations: 3 }), null);
+    assert.strictEqual(await explorer.planFlightPath(start, goal, { maxTime: -1 }), null);
+});
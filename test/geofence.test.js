@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Geofence = require('../geofence');
+
+function createFence() {
+    const geofence = new Geofence();
+    geofence.addNoFlyZone({ id: 'box', type: 'box', min: { x: 0, y: 60, z: 0 }, max: { x: 10, y: 80, z: 10 } });
+    geofence.addNoFlyZone({ type: 'polygon', points: [{ x: 20, z: 0 }, { x: 30, z: 0 }, { x: 25, z: 10 }] });
+    geofence.setAltitudeLimits(50, 120);
+    geofence.setBoundary({ type: 'cylinder', center: { x: 0, z: 0 }, radius: 100 });
+    return geofence;
+}
+
+test('禁飞区、高度限制和作业边界', () => {
+    const geofence = createFence();
+    assert.ok(!geofence.isPositionAllowed({ x: 5, y: 70, z: 5 }));
+    assert.ok(geofence.isPositionAllowed({ x: 5, y: 90, z: 5 }));
+    assert.ok(!geofence.isPositionAllowed({ x: 25, y: 70, z: 3 }));
+    assert.ok(!geofence.isPositionAllowed({ x: 200, y: 70, z: 0 }));
+    // 高度限制只约束飞行状态
+    assert.ok(!geofence.isPositionAllowed({ x: 50, y: 130, z: 50 }));
+    assert.ok(geofence.isPositionAllowed({ x: 50, y: 130, z: 50 }, { airborne: false }));
+    assert.strictEqual(geofence.clampAltitude(200), 120);
+});
+
+test('穿越禁飞区的线段不合法', () => {
+    const geofence = createFence();
+    assert.ok(geofence.segmentViolation({ x: -5, y: 70, z: 5 }, { x: 15, y: 70, z: 5 }));
+    assert.strictEqual(geofence.segmentViolation({ x: -5, y: 90, z: 5 }, { x: 15, y: 90, z: 5 }), null);
+});
+
+test('toJSON/fromJSON 往返后判定一致', () => {
+    const geofence = createFence();
+    const copy = Geofence.fromJSON(JSON.parse(JSON.stringify(geofence.toJSON())));
+    assert.strictEqual(copy.version, geofence.version);
+    for (const pos of [{ x: 5, y: 70, z: 5 }, { x: 25, y: 70, z: 3 }, { x: 40, y: 70, z: 40 }, { x: 200, y: 70, z: 0 }]) {
+        assert.strictEqual(copy.isPositionAllowed(pos), geofence.isPositionAllowed(pos));
+    }
+    assert.ok(copy.removeNoFlyZone('box'));
+});
+
+test('isPointInPolygon 可直接用于禁飞区以外的多边形', () => {
+    const square = [{ x: 0, z: 0 }, { x: 4, z: 0 }, { x: 4, z: 4 }, { x: 0, z: 4 }];
+    assert.ok(Geofence.isPointInPolygon({ x: 2.5, z: 0.5 }, square));
+    assert.ok(!Geofence.isPointInPolygon({ x: 4.5, z: 0.5 }, square));
+});
@@ -0,0 +1,41 @@
+const { Vec3 } = require('vec3');
+const AdaptiveExplorer = require('../RealTimePathfinding');
+const SeededRandom = require('../seededRandom');
+
+// 规划和探索模块的过程日志很多，测试 t 期间不输出，测试结束后自动恢复
+function quiet(t) {
+    t.mock.method(console, 'log', () => {});
+}
+
+// 以 y = 63 的石头为地面的平地，extra 中同一位置的方块覆盖地面
+function flatWorld(minX, maxX, minZ, maxZ, extra = []) {
+    const blocks = [];
+    for (let x = minX; x <= maxX; x++) {
+        for (let z = minZ; z <= maxZ; z++) {
+            blocks.push({ position: { x, y: 63, z }, type: 'stone' });
+        }
+    }
+    return blocks.concat(extra);
+}
+
+// x = wallX 处从 minZ 到 maxZ 的一道栅栏
+function fence(wallX, minZ, maxZ) {
+    const blocks = [];
+    for (let z = minZ; z <= maxZ; z++) {
+        blocks.push({ position: { x: wallX, y: 64, z }, type: 'oak_fence' });
+    }
+    return blocks;
+}
+
+// 机体站在 position、知识地图由 blocks 构成的探索器，blocks 可在之后修改并再次 updateKnowledgeMap。
+// 随机数用固定种子，随机采样的规划结果每次相同
+function createExplorer(blocks, position = new Vec3(0.5, 64, 0.5)) {
+    const bot = { entity: { position } };
+    const explorer = new AdaptiveExplorer(bot, { getMemoryBlocksArray: () => blocks });
+    const random = new SeededRandom(1);
+    explorer.setRandom(() => random.next());
+    explorer.updateKnowledgeMap();
+    return explorer;
+}
+
+module.exports = { Vec3, quiet, flatWorld, fence, createExplorer };
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MissionRunner = require('../missionRunner');
+
+test('从 missions 目录加载任务文件', () => {
+    const mission = MissionRunner.loadFile('example.json');
+    assert.ok(mission.waypoints.length > 0);
+});
+
+test('拒绝 missions 目录以外的路径', () => {
+    for (const file of ['../package.json', '../../etc/passwd', '/etc/passwd', 'sub/../../package.json', '.']) {
+        assert.throws(() => MissionRunner.loadFile(file), /必须位于 missions 目录内/);
+    }
+});
+
+test('读取或解析失败时不带出文件内容', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.throws(() => MissionRunner.loadFile('missing.json'), { message: '任务文件不存在: missing.json' });
+});
+
+test('以 .. 开头的文件名仍在 missions 目录内', t => {
+    t.mock.method(console, 'error', () => {});
+    assert.throws(() => MissionRunner.loadFile('..plan.json'), { message: '任务文件不存在: ..plan.json' });
+});
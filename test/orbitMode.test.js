@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vec3 } = require('vec3');
+const OrbitMode = require('../orbitMode');
+const { FlightState } = require('../flightStateMachine');
+
+// 只实现环绕模式用到的接口；blocked 为 true 时所有轨道点都不可飞
+function stubController(blocked) {
+    const calls = { chat: [], fly: 0 };
+    const controller = {
+        bot: {
+            entity: { position: new Vec3(10, 70, 0) },
+            chat: message => calls.chat.push(message)
+        },
+        flight: { state: FlightState.CRUISING, isAirborne: () => true, hover() {} },
+        pathfinding: {
+            updateKnowledgeMap() {},
+            isVoxelFlyable: () => !blocked
+        },
+        isNavigating: false,
+        isAirborne: () => true,
+        stop() {},
+        stopNavigation() {},
+        clearMovement() {},
+        flyTowards: () => { calls.fly++; },
+        calculateMovement() {}
+    };
+    return { controller, calls };
+}
+
+function orbiting(controller) {
+    const orbit = new OrbitMode(controller);
+    orbit.start(new Vec3(0, 60, 0), 10, 10, 2);
+    orbit.orbit.phase = 'orbit';
+    orbit.orbit.lastAngle = 0;
+    return orbit;
+}
+
+test('轨道畅通时沿轨道飞行', () => {
+    const { controller, calls } = stubController(false);
+    const orbit = orbiting(controller);
+    orbit.update();
+    assert.ok(orbit.isActive());
+    assert.strictEqual(calls.fly, 1);
+});
+
+test('轨道受阻且无法绕开时停止环绕，不再继续飞行', () => {
+    const { controller, calls } = stubController(true);
+    const orbit = orbiting(controller);
+    assert.doesNotThrow(() => orbit.update());
+    assert.ok(!orbit.isActive());
+    assert.strictEqual(calls.fly, 0);
+    assert.ok(calls.chat.some(message => message.includes('停止环绕')));
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Vec3, quiet, flatWorld, fence, createExplorer } = require('./helpers');
+const GroundWorldModel = require('../groundWorldModel');
+
+const start = new Vec3(2.5, 64, 0.5);
+const goal = new Vec3(35.5, 64, 0.5);
+
+// x = 20 处一道 z ∈ [-10, 10] 的栅栏，路径必须从两端绕过
+function walledExplorer() {
+    return createExplorer(flatWorld(0, 40, -15, 15, fence(20, -10, 10)), start.clone());
+}
+
+function crossesWall(path) {
+    for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        if ((a.x - 20.5) * (b.x - 20.5) <= 0) {
+            const t = (20.5 - a.x) / (b.x - a.x);
+            const z = a.z + (b.z - a.z) * t;
+            if (z > -10 && z < 11) return true;
+        }
+    }
+    return false;
+}
+
+for (const name of ['astar', 'weighted', 'thetastar', 'jps', 'rrtstar', 'dstarlite', 'hpa']) {
+    test(`${name} 绕过栅栏到达目标`, async t => {
+        quiet(t);
+        const explorer = walledExplorer();
+        explorer.setPlanner(name);
+        const path = await explorer.planGroundPath(start, goal);
+        assert.strictEqual(explorer.lastSearchStats.result, 'found');
+        assert.ok(path.length > 1);
+        const last = path[path.length - 1];
+        if (explorer.lastSearchStats.mode === 'partial') {
+            // 分层规划只细化到路线进入第三个区域的入口
+            assert.ok(last.x >= 32);
+        } else {
+            assert.ok(Math.hypot(last.x - goal.x, last.z - goal.z) <= explorer.searchConfig.goalTolerance + 1);
+        }
+        assert.ok(!crossesWall(path));
+    });
+}
+
+test('按节点数截止', async t => {
+    quiet(t);
+    const explorer = walledExplorer();
+    explorer.configureSearch('maxNodes', 10);
+    const path = await explorer.planGroundPath(start, goal);
+    assert.strictEqual(explorer.lastSearchStats.result, 'nodeLimit');
+    assert.strictEqual(path, null);
+});
+
+test('请求被取代时取消搜索', t => {
+    quiet(t);
+    const explorer = walledExplorer();
+    const { path, stats } = explorer.searchGroundPath(start, goal, { ...explorer.searchConfig, cancelled: () => true });
+    assert.strictEqual(stats.result, 'cancelled');
+    assert.strictEqual(path, null);
+});
+
+test('打包的节点键在搜索范围内互不相同', t => {
+    quiet(t);
+    const world = new GroundWorldModel(createExplorer([]), { x: 100, y: 64, z: -100 }, { x: 100, y: 64, z: -100 });
+    const keys = new Set();
+    for (let x = 50; x <= 150; x += 7) {
+        for (let z = -150; z <= -50; z += 7) {
+            keys.add(world.key(x, z));
+        }
+    }
+    assert.strictEqual(keys.size, 15 * 15);
+});
+
+test('D* Lite 目标不变时按变化日志增量修复', async t => {
+    quiet(t);
+    const blocks = flatWorld(0, 40, -15, 15, fence(20, -10, 10));
+    const explorer = createExplorer(blocks, start.clone());
+    explorer.setPlanner('dstarlite');
+    await explorer.planGroundPath(start, goal);
+    assert.strictEqual(explorer.lastSearchStats.mode, 'full');
+    // 封住南侧的缺口
+    blocks.push(...fence(20, 11, 15));
+    explorer.updateKnowledgeMap();
+    const path = await explorer.planGroundPath(start, goal);
+    const stats = explorer.lastSearchStats;
+    assert.strictEqual(stats.mode, 'repair');
+    assert.ok(stats.changedCells > 0);
+    assert.strictEqual(stats.result, 'found');
+    assert.ok(path.every(point => !(Math.floor(point.x) === 20 && point.z > 10)));
+    assert.strictEqual(stats.repairSkipped, null);
+    // 换目标后退回完整规划并给出原因
+    await explorer.planGroundPath(start, new Vec3(35.5, 64, 5.5));
+    assert.strictEqual(explorer.lastSearchStats.mode, 'full');
+    assert.match(explorer.lastSearchStats.repairSkipped, /目标格/);
+});
+
+test('A* 沿已知地形上台阶', async t => {
+    quiet(t);
+    // x ≥ 10 的地面抬高一格
+    const raised = [];
+    for (let x = 10; x <= 30; x++) {
+        for (let z = -10; z <= 10; z++) {
+            raised.push({ position: { x, y: 64, z }, type: 'stone' });
+        }
+    }
+    const explorer = createExplorer(flatWorld(0, 30, -10, 10, raised), start.clone());
+    const path = await explorer.planGroundPath(start, new Vec3(20.5, 65, 0.5));
+    assert.strictEqual(explorer.lastSearchStats.result, 'found');
+    assert.strictEqual(path[path.length - 1].y, 65);
+    assert.ok(path.some(point => point.x > 10 && point.y === 65));
+});
+
+test('分层规划远距离时只细化前一段', async t => {
+    quiet(t);
+    const explorer = createExplorer(flatWorld(0, 120, -10, 10), start.clone());
+    explorer.setPlanner('hpa');
+    explorer.configureSearch('maxTime', 60000);
+    const path = await explorer.planGroundPath(start, new Vec3(110.5, 64, 0.5));
+    const far = explorer.lastSearchStats;
+    assert.strictEqual(far.mode, 'partial');
+    assert.ok(far.estimate >= far.cost);
+    assert.ok(path[path.length - 1].x < 60);
+    await explorer.planGroundPath(start, new Vec3(12.5, 64, 0.5));
+    assert.strictEqual(explorer.lastSearchStats.mode, 'direct');
+});
+
+test('未知的规划算法', t => {
+    quiet(t);
+    const explorer = createExplorer([]);
+    assert.throws(() => explorer.setPlanner('dijkstra'), /未知的规划算法/);
+});
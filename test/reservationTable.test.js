@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ReservationTable = require('../reservationTable');
+
+test('其他无人机路径预约的时间窗内格子被占用', () => {
+    const table = new ReservationTable();
+    const start = Date.now() + 60000;
+    const count = table.reservePath(1, [{ x: 0.5, y: 64, z: 0.5 }, { x: 10.5, y: 64, z: 0.5 }], 10, start);
+    assert.ok(count > 0);
+    // 第5格约在 0.5 秒后经过
+    assert.ok(table.isReserved(2, { x: 5, y: 64, z: 0 }, start + 500));
+    assert.ok(!table.isReserved(2, { x: 5, y: 64, z: 0 }, start + 10000));
+    assert.ok(!table.isReserved(1, { x: 5, y: 64, z: 0 }, start + 500));
+    assert.ok(!table.isReserved(2, { x: 5, y: 64, z: 5 }, start + 500));
+    table.release(1);
+    assert.ok(!table.isReserved(2, { x: 5, y: 64, z: 0 }, start + 500));
+});
+
+test('当前位置只在近期内视为占用，运行时冲突由编号较大的一方让行', () => {
+    const table = new ReservationTable();
+    table.updatePosition(1, { x: 3.5, y: 64, z: 0.5 });
+    assert.ok(table.isReserved(2, { x: 3, y: 64, z: 0 }, Date.now()));
+    assert.ok(!table.isReserved(2, { x: 3, y: 64, z: 0 }, Date.now() + 60000));
+    table.updatePosition(2, { x: 2.5, y: 64, z: 0.5 });
+    const conflict = table.findConflict(2, { x: 2.5, y: 64, z: 0.5 }, { x: 4.5, y: 64, z: 0.5 });
+    assert.ok(conflict);
+    assert.strictEqual(conflict.droneId, 1);
+    assert.strictEqual(conflict.yield, true);
+    table.removeDrone(1);
+    assert.ok(!table.hasOthers(2));
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SeededRandom = require('../seededRandom');
+
+test('同一种子给出同一序列，取值在 [0, 1)', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    for (let i = 0; i < 100; i++) {
+        const value = a.next();
+        assert.strictEqual(value, b.next());
+        assert.ok(value >= 0 && value < 1);
+    }
+    assert.notStrictEqual(new SeededRandom(43).next(), new SeededRandom(42).next());
+});
+
+test('派生序列只取决于种子和编号', () => {
+    const random = new SeededRandom(7);
+    random.next();
+    assert.strictEqual(random.derive(1).seed, new SeededRandom(7).derive(1).seed);
+    assert.notStrictEqual(random.derive(1).seed, random.derive(2).seed);
+});
+
+test('from 解析配置中的种子', () => {
+    assert.strictEqual(SeededRandom.from('123').seed, 123);
+    assert.ok(Number.isInteger(SeededRandom.from(undefined).seed));
+    assert.throws(() => SeededRandom.from('abc'), /随机种子/);
+    assert.throws(() => SeededRandom.from('-1'), /随机种子/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TrajectoryGenerator = require('../trajectoryGenerator');
+
+const path = [{ x: 0, y: 64, z: 0 }, { x: 10, y: 64, z: 0 }, { x: 10, y: 64, z: 10 }];
+
+test('平滑轨迹遵守速度和加速度限制，终点速度为0', () => {
+    const generator = new TrajectoryGenerator({ maxSpeed: 6, maxAcceleration: 4 });
+    const trajectory = generator.generate(path);
+    const points = trajectory.points;
+    assert.strictEqual(trajectory.smoothedSegments, 2);
+    assert.ok(trajectory.length >= 19 && trajectory.length < 21);
+    assert.strictEqual(points[0].v, 0);
+    assert.strictEqual(points[points.length - 1].v, 0);
+    for (let i = 1; i < points.length; i++) {
+        assert.ok(points[i].v <= 6 + 1e-9);
+        assert.ok(points[i].t > points[i - 1].t);
+        const ds = points[i].s - points[i - 1].s;
+        // v² 的变化不超过 2·a·ds
+        assert.ok(Math.abs(points[i].v ** 2 - points[i - 1].v ** 2) <= 2 * 4 * ds + 1e-6);
+    }
+});
+
+test('不满足净空的航段退回折线', () => {
+    const generator = new TrajectoryGenerator();
+    // 只有原折线上的点无障碍，样条在拐角处偏离折线
+    const isClear = point => Math.abs(point.z) < 1e-6 || Math.abs(point.x - 10) < 1e-6;
+    const trajectory = generator.generate(path, { isClear });
+    assert.ok(trajectory.fallbackSegments > 0);
+    assert.ok(trajectory.points.every(isClear));
+});
+
+test('按时间采样在两端截断', () => {
+    const generator = new TrajectoryGenerator();
+    const trajectory = generator.generate(path);
+    const start = generator.sample(trajectory, -1);
+    const end = generator.sample(trajectory, trajectory.duration + 1);
+    assert.strictEqual(start.position.x, 0);
+    assert.ok(end.finished);
+    assert.strictEqual(end.position.z, 10);
+    assert.throws(() => generator.configure('maxSpeed', -1), /必须为正数/);
+});
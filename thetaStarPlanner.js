@@ -0,0 +1,57 @@
+const AStarPlanner = require('./aStarPlanner');
+
+/**
+ * Lazy Theta* 任意角度规划器
+ * 松弛时假设邻居与当前节点的父节点直线可通行，按直线距离(地形代价的下界)挂到父节点上；
+ * 节点出堆时才检查这条直线并计算沿途的实际地形代价，不通或代价高于经相邻节点到达时，
+ * 改挂到代价最小的已关闭相邻节点(优先不切角的)。每个扩展节点只做一次直线检查，
+ * 得到的路径不受8方向限制，航点更少
+ */
+class ThetaStarPlanner extends AStarPlanner {
+    constructor(options = {}) {
+        super({ name: 'thetastar', ...options });
+    }
+
+    // 不切角：对角邻居要求两侧正交格都可通行，避免出现擦过障碍角的航段
+    successors(current, world) {
+        return super.successors(current, world).filter(neighbor =>
+            neighbor.x === current.x || neighbor.z === current.z ||
+            (world.isWalkable(neighbor.x, current.z) && world.isWalkable(current.x, neighbor.z)));
+    }
+
+    relax(current, node, world) {
+        const parent = current.parent || current;
+        const g = parent.g + world.distance(parent, node);
+        if (g >= node.g) return false;
+        node.g = g;
+        node.parent = parent;
+        return true;
+    }
+
+    settle(current, world, nodes) {
+        const parent = current.parent;
+        if (!parent) return;
+        let best = null;
+        if (world.isSegmentClear(world.center(parent), world.center(current))) {
+            const g = parent.g + world.cost(parent, current);
+            // 沿途地形代价均为1时实际代价就是松弛时的估计
+            if (g <= current.g + 1e-9) return;
+            best = { neighbor: parent, clear: true, g };
+        }
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const neighbor = nodes.get(world.key(current.x + dx, current.z + dz));
+                if (!neighbor || !neighbor.closed || neighbor === current) continue;
+                const clear = world.isSegmentClear(world.center(neighbor), world.center(current));
+                const g = neighbor.g + world.cost(neighbor, current);
+                if (!best || (clear && !best.clear) || (clear === best.clear && g < best.g)) {
+                    best = { neighbor, clear, g };
+                }
+            }
+        }
+        current.g = best.g;
+        current.parent = best.neighbor;
+    }
+}
+
+module.exports = ThetaStarPlanner;
@@ -0,0 +1,205 @@
+const { Vec3 } = require('vec3');
+
+/**
+ * 轨迹生成
+ * 把规划器输出的折线航点用向心 Catmull-Rom 样条平滑，逐段检查与知识地图的净空，
+ * 不满足净空的航段退回原折线(规划器已验证)；再按曲率和加速度限制生成速度剖面，
+ * 得到可按时间采样的参考轨迹。速度单位为格/秒，时间单位为秒
+ */
+class TrajectoryGenerator {
+    constructor(options = {}) {
+        this.config = {
+            sampleSpacing: 0.25,  // 样条采样间距(格)
+            alpha: 0.5,           // Catmull-Rom 参数化指数，0.5为向心参数化，避免尖点和自交
+            maxSpeed: 10,         // 最大速度(格/秒)
+            minSpeed: 0.5,        // 转弯限速的下限，避免在折线拐点停住
+            maxAcceleration: 8,   // 最大加减速度(格/秒²)
+            maxTurnRate: 3,       // 最大转向角速度(rad/秒)，限制弯道速度 v ≤ ω/κ
+            ...options
+        };
+    }
+
+    configure(key, value) {
+        if (!(key in this.config)) {
+            throw new Error(`未知的轨迹参数: ${key}`);
+        }
+        if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+            throw new Error(`轨迹参数 ${key} 必须为正数`);
+        }
+        this.config[key] = value;
+    }
+
+    /**
+     * 生成轨迹
+     * path: 航点序列 {x,y,z}；options.isClear(point): 样条点是否无障碍；
+     * options.maxSpeed: 本次速度上限(不超过配置)；options.startSpeed: 起始速度
+     * 返回 { points: [{ x, y, z, s, v, t, segment }], length, duration, smoothedSegments, fallbackSegments }
+     */
+    generate(path, options = {}) {
+        const points = [];
+        let smoothedSegments = 0;
+        let fallbackSegments = 0;
+        if (!path || path.length === 0) {
+            return { points, length: 0, duration: 0, smoothedSegments, fallbackSegments };
+        }
+
+        points.push({ x: path[0].x, y: path[0].y, z: path[0].z, segment: 0 });
+        for (let i = 0; i < path.length - 1; i++) {
+            let samples = this.sampleSegment(path, i);
+            if (options.isClear && !samples.every(point => options.isClear(point))) {
+                samples = this.sampleLine(path[i], path[i + 1]);
+                fallbackSegments++;
+            } else {
+                smoothedSegments++;
+            }
+            samples.forEach(point => points.push({ x: point.x, y: point.y, z: point.z, segment: i }));
+        }
+
+        const maxSpeed = Math.min(options.maxSpeed || this.config.maxSpeed, this.config.maxSpeed);
+        this.applySpeedProfile(points, maxSpeed, options.startSpeed || 0);
+        const last = points[points.length - 1];
+        return { points, length: last.s, duration: last.t, smoothedSegments, fallbackSegments };
+    }
+
+    // 航段 i 上的样条采样点(不含起点，含终点)，首尾航段用镜像的虚拟控制点
+    sampleSegment(path, i) {
+        const p1 = path[i];
+        const p2 = path[i + 1];
+        const p0 = i > 0 ? path[i - 1] : this.mirror(p1, p2);
+        const p3 = i + 2 < path.length ? path[i + 2] : this.mirror(p2, p1);
+
+        const { alpha, sampleSpacing } = this.config;
+        const knot = (a, b) => Math.max(Math.pow(this.distance(a, b), alpha), 1e-6);
+        const t0 = 0;
+        const t1 = t0 + knot(p0, p1);
+        const t2 = t1 + knot(p1, p2);
+        const t3 = t2 + knot(p2, p3);
+
+        const steps = Math.max(1, Math.ceil(this.distance(p1, p2) / sampleSpacing));
+        const samples = [];
+        for (let k = 1; k <= steps; k++) {
+            const t = t1 + (t2 - t1) * k / steps;
+            // Barry-Goldman 金字塔形式
+            const a1 = this.lerp(p0, p1, (t - t0) / (t1 - t0));
+            const a2 = this.lerp(p1, p2, (t - t1) / (t2 - t1));
+            const a3 = this.lerp(p2, p3, (t - t2) / (t3 - t2));
+            const b1 = this.lerp(a1, a2, (t - t0) / (t2 - t0));
+            const b2 = this.lerp(a2, a3, (t - t1) / (t3 - t1));
+            samples.push(this.lerp(b1, b2, (t - t1) / (t2 - t1)));
+        }
+        return samples;
+    }
+
+    sampleLine(from, to) {
+        const steps = Math.max(1, Math.ceil(this.distance(from, to) / this.config.sampleSpacing));
+        const samples = [];
+        for (let k = 1; k <= steps; k++) {
+            samples.push(this.lerp(from, to, k / steps));
+        }
+        return samples;
+    }
+
+    /**
+     * 速度剖面：弯道限速取 min(maxSpeed, maxTurnRate / 曲率)，
+     * 再正向按加速度、反向按减速度限制(终点速度为0)，最后积分出各点时间
+     */
+    applySpeedProfile(points, maxSpeed, startSpeed) {
+        const { minSpeed, maxAcceleration, maxTurnRate } = this.config;
+        const count = points.length;
+        points[0].s = 0;
+        for (let i = 1; i < count; i++) {
+            points[i].s = points[i - 1].s + this.distance(points[i - 1], points[i]);
+        }
+
+        const limits = points.map((point, i) => {
+            if (i === 0 || i === count - 1) return maxSpeed;
+            const curvature = this.curvature(points[i - 1], point, points[i + 1]);
+            return curvature > 0 ? Math.min(maxSpeed, Math.max(minSpeed, maxTurnRate / curvature)) : maxSpeed;
+        });
+
+        const speeds = new Array(count);
+        speeds[0] = Math.min(startSpeed, limits[0]);
+        for (let i = 1; i < count; i++) {
+            const ds = points[i].s - points[i - 1].s;
+            speeds[i] = Math.min(limits[i], Math.sqrt(speeds[i - 1] ** 2 + 2 * maxAcceleration * ds));
+        }
+        speeds[count - 1] = 0;
+        for (let i = count - 2; i >= 0; i--) {
+            const ds = points[i + 1].s - points[i].s;
+            speeds[i] = Math.min(speeds[i], Math.sqrt(speeds[i + 1] ** 2 + 2 * maxAcceleration * ds));
+        }
+
+        points[0].v = speeds[0];
+        points[0].t = 0;
+        for (let i = 1; i < count; i++) {
+            const ds = points[i].s - points[i - 1].s;
+            const average = (speeds[i] + speeds[i - 1]) / 2;
+            points[i].v = speeds[i];
+            points[i].t = points[i - 1].t + (ds > 0 ? ds / Math.max(average, 1e-3) : 0);
+        }
+    }
+
+    /**
+     * 按时间采样参考状态，time 超出范围时截断到起点或终点
+     * 返回 { position: Vec3, velocity: Vec3, speed, segment, finished }
+     */
+    sample(trajectory, time) {
+        const points = trajectory.points;
+        const last = points[points.length - 1];
+        if (time >= trajectory.duration || points.length === 1) {
+            return { position: new Vec3(last.x, last.y, last.z), velocity: new Vec3(0, 0, 0), speed: 0, segment: last.segment, finished: true };
+        }
+
+        let low = 0;
+        let high = points.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (points[middle].t <= time) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        const a = points[low];
+        const b = points[high];
+        const ratio = b.t > a.t ? Math.max(0, (time - a.t) / (b.t - a.t)) : 0;
+        const speed = a.v + (b.v - a.v) * ratio;
+        const length = b.s - a.s;
+        const direction = length > 0
+            ? new Vec3((b.x - a.x) / length, (b.y - a.y) / length, (b.z - a.z) / length)
+            : new Vec3(0, 0, 0);
+        return {
+            position: new Vec3(a.x + (b.x - a.x) * ratio, a.y + (b.y - a.y) * ratio, a.z + (b.z - a.z) * ratio),
+            velocity: direction.scaled(speed),
+            speed,
+            segment: b.segment,
+            finished: false
+        };
+    }
+
+    // 三点外接圆曲率 4·面积/(abc)
+    curvature(a, b, c) {
+        const ab = this.distance(a, b);
+        const bc = this.distance(b, c);
+        const ca = this.distance(c, a);
+        if (ab === 0 || bc === 0 || ca === 0) return 0;
+        const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+        const vx = c.x - a.x, vy = c.y - a.y, vz = c.z - a.z;
+        const cross = Math.sqrt((uy * vz - uz * vy) ** 2 + (uz * vx - ux * vz) ** 2 + (ux * vy - uy * vx) ** 2);
+        return 2 * cross / (ab * bc * ca);
+    }
+
+    mirror(point, about) {
+        return { x: 2 * point.x - about.x, y: 2 * point.y - about.y, z: 2 * point.z - about.z };
+    }
+
+    lerp(a, b, t) {
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+    }
+
+    distance(a, b) {
+        return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2 + (b.z - a.z) ** 2);
+    }
+}
+
+module.exports = TrajectoryGenerator;
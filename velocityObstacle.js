@@ -0,0 +1,118 @@
+const { Vec3 } = require('vec3');
+
+/**
+ * 短时域速度障碍(Velocity Obstacle)避让
+ * 把运动实体视为以其速度匀速运动的球体，对期望速度附近的一组候选速度
+ * 计算在 horizon 秒内与各实体的最早碰撞时间，选出偏离期望速度最小且碰撞代价最低的速度；
+ * 候选中包含零速度，所有绕行方向都不安全时原地让行
+ */
+class VelocityObstacleAvoider {
+    constructor(options = {}) {
+        this.config = {
+            horizon: 2,              // 预测时域(秒)
+            bodyRadius: 0.4,         // 本机半径(格)
+            margin: 0.5,             // 额外安全间距(格)
+            detectionRadius: 12,     // 只考虑该距离内的实体
+            angleStep: Math.PI / 9,  // 水平绕行候选的角度间隔(20°)
+            maxAngle: Math.PI * 2 / 3, // 水平绕行最大偏转角
+            speedFactors: [1, 0.6, 0.3], // 候选速度相对期望速度的倍数
+            verticalFactor: 0.5,     // 飞行时上升/下降候选的速度倍数
+            collisionWeight: 3,      // 碰撞代价系数，代价 = 系数 / 碰撞时间
+            probeTime: 0.5,          // 检查候选速度在该时间后所在格子是否可通行
+            ...options
+        };
+    }
+
+    /**
+     * 相对位置 offset(实体 - 本机)、相对速度 relative(本机 - 实体)下的最早碰撞时间
+     * 已经重叠时：正在接近返回0，正在远离视为不碰撞
+     */
+    timeToCollision(offset, relative, radius) {
+        const distanceSq = offset.dot(offset);
+        const closing = offset.dot(relative);
+        if (distanceSq < radius * radius) {
+            return closing > 0 ? 0 : Infinity;
+        }
+        const speedSq = relative.dot(relative);
+        if (speedSq === 0 || closing <= 0) return Infinity;
+        const discriminant = closing * closing - speedSq * (distanceSq - radius * radius);
+        if (discriminant < 0) return Infinity;
+        return (closing - Math.sqrt(discriminant)) / speedSq;
+    }
+
+    // 以 velocity 运动时与各障碍的最早碰撞 { time, obstacle }
+    evaluate(position, velocity, obstacles) {
+        let earliest = { time: Infinity, obstacle: null };
+        for (const obstacle of obstacles) {
+            const radius = obstacle.radius + this.config.bodyRadius + this.config.margin;
+            const time = this.timeToCollision(obstacle.position.minus(position), velocity.minus(obstacle.velocity), radius);
+            if (time < earliest.time) {
+                earliest = { time, obstacle };
+            }
+        }
+        return earliest;
+    }
+
+    // 期望速度按水平偏转角和速度倍数展开的候选集，vertical 时加入升降候选
+    candidates(preferred, vertical) {
+        const { angleStep, maxAngle, speedFactors, verticalFactor } = this.config;
+        const speed = preferred.norm();
+        const horizontal = Math.sqrt(preferred.x * preferred.x + preferred.z * preferred.z);
+        const result = [new Vec3(0, 0, 0)];
+        if (speed === 0) return result;
+
+        // 水平方向缺失(纯升降)时以x轴为基准展开
+        const baseYaw = horizontal > 1e-6 ? Math.atan2(preferred.x, preferred.z) : 0;
+        for (let angle = 0; angle <= maxAngle + 1e-9; angle += angleStep) {
+            for (const sign of angle === 0 ? [1] : [1, -1]) {
+                const yaw = baseYaw + sign * angle;
+                for (const factor of speedFactors) {
+                    const h = (horizontal > 1e-6 ? horizontal : speed) * factor;
+                    const vy = horizontal > 1e-6 ? preferred.y * factor : 0;
+                    result.push(new Vec3(Math.sin(yaw) * h, vy, Math.cos(yaw) * h));
+                }
+            }
+        }
+        if (vertical) {
+            const vy = speed * verticalFactor;
+            result.push(new Vec3(preferred.x * verticalFactor, vy, preferred.z * verticalFactor));
+            result.push(new Vec3(preferred.x * verticalFactor, -vy, preferred.z * verticalFactor));
+            result.push(new Vec3(0, vy, 0));
+            result.push(new Vec3(0, -vy, 0));
+        }
+        return result;
+    }
+
+    /**
+     * 选择避让速度
+     * obstacles: [{ id, name, position(中心), velocity, radius }]；options.vertical: 允许升降；
+     * options.isAllowed(velocity): 候选速度是否可行(如不会撞上方块)
+     * 返回 { velocity, changed, time, obstacle }，time 为所选速度下的最早碰撞时间
+     */
+    select(position, preferred, obstacles, options = {}) {
+        const { horizon, collisionWeight } = this.config;
+        const current = this.evaluate(position, preferred, obstacles);
+        if (current.time >= horizon) {
+            return { velocity: preferred, changed: false, time: current.time, obstacle: null };
+        }
+
+        let best = null;
+        for (const velocity of this.candidates(preferred, options.vertical)) {
+            if (options.isAllowed && velocity.norm() > 0 && !options.isAllowed(velocity)) continue;
+            const collision = this.evaluate(position, velocity, obstacles);
+            const penalty = collision.time < horizon ? collisionWeight / Math.max(collision.time, 0.05) : 0;
+            const cost = velocity.minus(preferred).norm() + penalty;
+            if (!best || cost < best.cost) {
+                best = { velocity, cost, collision };
+            }
+        }
+        return {
+            velocity: best.velocity,
+            changed: true,
+            time: best.collision.time,
+            obstacle: current.obstacle
+        };
+    }
+}
+
+module.exports = VelocityObstacleAvoider;
@@ -11,10 +11,32 @@ class VisualizationServer {
     this.port = port;
     this.clients = new Set();
     this.updateInterval = null;
+    this.swarm = null;
     
     this.setupServer();
     this.setupHTTPServer();
     this.startUpdating();
+    
+    if (this.controller.mission) {
+      this.controller.mission.on('mission', (event) => this.broadcast({ type: 'missionEvent', ...event }));
+    }
+  }
+
+  // 接入编队后状态中附带所有无人机，指令可用 drone 字段指定执行的无人机
+  setSwarm(swarm) {
+    this.swarm = swarm;
+  }
+
+  // 按消息中的 drone(编号或名称)选择执行对象，缺省为主机
+  resolveDrone(data) {
+    if (this.swarm && data.drone !== undefined && data.drone !== null) {
+      const drone = this.swarm.findDrone(data.drone);
+      if (!drone) {
+        throw new Error(`编队中没有无人机 ${data.drone}`);
+      }
+      return { bot: drone.bot, controller: drone.controller };
+    }
+    return { bot: this.bot, controller: this.controller };
   }
 
   setupServer() {
@@ -106,26 +128,229 @@ class VisualizationServer {
       case 'command':
         this.handleCommand(data, ws);
         break;
+      case 'geofence':
+        this.handleGeofence(data, ws);
+        break;
+      case 'mission':
+        this.handleMission(data, ws);
+        break;
+      case 'swarm':
+        this.handleSwarm(data, ws);
+        break;
+      case 'motion':
+        this.handleMotion(data, ws);
+        break;
+      case 'planner':
+        this.handlePlanner(data, ws);
+        break;
       default:
         console.log('未知消息类型:', data.type);
     }
   }
 
   handleCommand(data, ws) {
+    let bot, controller;
+    try {
+      ({ bot, controller } = this.resolveDrone(data));
+    } catch (error) {
+      this.sendError(ws, error);
+      return;
+    }
     switch (data.command) {
       case 'navigate':
         if (data.target) {
-          this.controller.navigateTo(data.target);
-          this.bot.chat(`通过可视化界面导航到 ${data.target.x}, ${data.target.y}, ${data.target.z}`);
+          controller.navigateTo(data.target);
+          bot.chat(`通过可视化界面导航到 ${data.target.x}, ${data.target.y}, ${data.target.z}`);
         }
         break;
       case 'stop':
-        this.controller.stop();
-        this.bot.chat('通过可视化界面停止导航');
+        controller.stop();
+        bot.chat('通过可视化界面停止导航');
         break;
       case 'status':
         this.sendAgentState(ws);
         break;
+      case 'returnHome':
+        if (controller.returnHome('可视化界面')) {
+          bot.chat('通过可视化界面返航');
+        }
+        break;
+    }
+  }
+
+  // 任务上传与控制: upload(可带 start: true) / start / pause / resume / skip / abort
+  handleMission(data, ws) {
+    try {
+      const runner = this.resolveDrone(data).controller.mission;
+      switch (data.action) {
+        case 'upload':
+          runner.load(data.mission);
+          if (data.start) {
+            runner.start();
+          }
+          break;
+        case 'start':
+          runner.start();
+          break;
+        case 'pause':
+          runner.pause();
+          break;
+        case 'resume':
+          runner.resume();
+          break;
+        case 'skip':
+          runner.skip();
+          break;
+        case 'abort':
+          runner.abort('可视化界面');
+          break;
+        default:
+          console.log('未知任务操作:', data.action);
+          return;
+      }
+      this.broadcastAgentState();
+    } catch (error) {
+      console.error('处理任务消息失败:', error);
+      this.sendError(ws, error);
+    }
+  }
+
+  // 编队控制: stop / rth / survey(points, altitude, spacing) / mission(mission)
+  handleSwarm(data, ws) {
+    if (!this.swarm) {
+      this.sendError(ws, new Error('未启用编队'));
+      return;
+    }
+    try {
+      switch (data.action) {
+        case 'stop':
+          this.swarm.stopAll();
+          break;
+        case 'rth':
+          this.swarm.returnAll('可视化界面');
+          break;
+        case 'survey':
+          this.swarm.survey(data.points, data.altitude, data.spacing);
+          break;
+        case 'mission':
+          this.swarm.dispatchMission(data.mission);
+          break;
+        default:
+          console.log('未知编队操作:', data.action);
+          return;
+      }
+      this.broadcastAgentState();
+    } catch (error) {
+      console.error('处理编队消息失败:', error);
+      this.sendError(ws, error);
+    }
+  }
+
+  // 路径跟踪: history 返回误差采样记录 / set(key, value) 调整增益 / reset 清空记录
+  handleMotion(data, ws) {
+    try {
+      const { controller } = this.resolveDrone(data);
+      const motion = controller.motion;
+      switch (data.action) {
+        case 'history':
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({
+              type: 'tracking',
+              drone: controller.droneId,
+              config: motion.config,
+              summary: motion.getTrackingError(),
+              history: motion.getHistory()
+            }));
+          }
+          return;
+        case 'set':
+          motion.configure(data.key, data.value);
+          break;
+        case 'reset':
+          motion.reset();
+          break;
+        default:
+          console.log('未知跟踪操作:', data.action);
+          return;
+      }
+      this.broadcastAgentState();
+    } catch (error) {
+      console.error('处理跟踪消息失败:', error);
+      this.sendError(ws, error);
+    }
+  }
+
+  // 地面规划算法: set(name) 切换 / list 返回可用算法和最近一次搜索统计
+  handlePlanner(data, ws) {
+    try {
+      const pathfinding = this.resolveDrone(data).controller.pathfinding;
+      if (!pathfinding) {
+        throw new Error('路径规划器尚未就绪');
+      }
+      switch (data.action) {
+        case 'set':
+          pathfinding.setPlanner(data.name);
+          break;
+        case 'list':
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'planners', drone: data.drone, ...this.getPlannerState(pathfinding) }));
+          }
+          return;
+        default:
+          console.log('未知规划算法操作:', data.action);
+          return;
+      }
+      this.broadcastAgentState();
+    } catch (error) {
+      console.error('处理规划算法消息失败:', error);
+      this.sendError(ws, error);
+    }
+  }
+
+  getPlannerState(pathfinding) {
+    return {
+      current: pathfinding.planner.name,
+      available: pathfinding.planners.list(),
+      search: pathfinding.lastSearchStats
+    };
+  }
+
+  sendError(ws, error) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'error', message: error.message }));
+    }
+  }
+
+  handleGeofence(data, ws) {
+    const geofence = this.controller.geofence;
+    if (!geofence) {
+      return;
+    }
+    try {
+      switch (data.action) {
+        case 'addZone':
+          geofence.addNoFlyZone(data.zone);
+          break;
+        case 'removeZone':
+          geofence.removeNoFlyZone(data.id);
+          break;
+        case 'setAltitude':
+          geofence.setAltitudeLimits(data.min, data.max);
+          break;
+        case 'setBoundary':
+          geofence.setBoundary(data.boundary);
+          break;
+        case 'clear':
+          geofence.clear();
+          break;
+        default:
+          console.log('未知围栏操作:', data.action);
+          return;
+      }
+      this.broadcastAgentState();
+    } catch (error) {
+      console.error('处理围栏消息失败:', error);
+      this.sendError(ws, error);
     }
   }
 
@@ -148,13 +373,8 @@ class VisualizationServer {
     }
   }
 
-  broadcastAgentState() {
-    const agentState = this.getAgentState();
-    const message = JSON.stringify({
-      type: 'agentState',
-      ...agentState
-    });
-    
+  broadcast(data) {
+    const message = JSON.stringify(data);
     this.clients.forEach(ws => {
       if (ws.readyState === WebSocket.OPEN) {
         ws.send(message);
@@ -162,6 +382,14 @@ class VisualizationServer {
     });
   }
 
+  broadcastAgentState() {
+    const agentState = this.getAgentState();
+    this.broadcast({
+      type: 'agentState',
+      ...agentState
+    });
+  }
+
   getAgentState() {
     const position = this.bot.entity.position;
     const yaw = this.bot.entity.yaw;
@@ -183,10 +411,16 @@ class VisualizationServer {
     }
     
     let plannedPath = [];
+    let pathCursor = 0;
+    let plan = null;
+    let smoothedPath = [];
     let actualPath = [];
     if (this.controller && typeof this.controller.getPathInfo === 'function') {
       const info = this.controller.getPathInfo();
       plannedPath = info.plannedPath || [];
+      pathCursor = info.pathCursor || 0;
+      plan = info.plan || null;
+      smoothedPath = info.smoothedPath || [];
       actualPath = info.actualPath || [];
     }
     
@@ -200,8 +434,22 @@ class VisualizationServer {
       target: target,
       visibleBlocks: visibleBlocks,
       isNavigating: this.controller.isNavigating || false,
+      flightState: this.controller.flight ? this.controller.flight.state : null,
+      battery: this.controller.energy ? this.controller.energy.getStatus() : null,
+      returningHome: !!this.controller.rth,
+      tracking: this.controller.motion ? this.controller.motion.getTrackingError() : null,
+      avoidance: this.controller.avoidance || null,
+      planner: this.controller.pathfinding ? this.getPlannerState(this.controller.pathfinding) : null,
+      entities: this.perception && typeof this.perception.getEntitiesArray === 'function' ? this.perception.getEntitiesArray() : [],
+      mission: this.controller.mission ? this.controller.mission.getStatus() : null,
+      home: this.controller.home ? { x: this.controller.home.x, y: this.controller.home.y, z: this.controller.home.z } : null,
+      geofence: this.controller.geofence ? this.controller.geofence.toJSON() : null,
       plannedPath: plannedPath,
-      actualPath: actualPath
+      pathCursor: pathCursor,
+      plan: plan,
+      smoothedPath: smoothedPath,
+      actualPath: actualPath,
+      drones: this.swarm ? this.swarm.getDronesState() : []
     };
   }
 